@@ -0,0 +1,146 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Bell, ChevronDown, RefreshCw } from 'lucide-react'
+
+const LOG_REFRESH_MS = 60_000
+const LOG_LIMIT = 25
+
+const METRIC_LABELS = {
+    aqi: 'AQI',
+    nowcastAqi: 'NowCast AQI',
+    pm25: 'PM2.5',
+    pm10: 'PM10',
+    no2: 'NO₂',
+    co: 'CO',
+    o3: 'O₃',
+    so2: 'SO₂',
+    temperature: 'Temp',
+    humidity: 'Humidity',
+    windSpeed: 'Wind',
+    pressure: 'Pressure',
+    precipitation: 'Rain',
+    precipitationProbability: 'Rain %',
+    boundaryLayerHeight: 'BLH',
+    waterLevel: 'Water level',
+}
+
+function formatTime(iso) {
+    return new Date(iso).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+}
+
+// Delivery summary for one alert: no webhooks, all delivered, or some failed
+function deliveryStatus(deliveries) {
+    if (!deliveries || deliveries.length === 0) return { color: 'bg-gray-500', label: 'Logged only' }
+    const failed = deliveries.filter(d => !d.ok).length
+    if (failed === 0) return { color: 'bg-green-400', label: `Delivered to ${deliveries.length} webhook${deliveries.length > 1 ? 's' : ''}` }
+    return { color: 'bg-red-400', label: `${failed} of ${deliveries.length} webhook deliveries failed` }
+}
+
+// ─── Alert log (from /api/alerts/log) ────────────────────────────
+export default function AlertLog() {
+    const [open, setOpen] = useState(false)
+    const [alerts, setAlerts] = useState([])
+    const [rules, setRules] = useState([])
+    const [ruleId, setRuleId] = useState('')
+    const [loading, setLoading] = useState(false)
+    const [error, setError] = useState(null)
+
+    const fetchLog = useCallback(async () => {
+        setLoading(true)
+        try {
+            setError(null)
+            const params = new URLSearchParams({ limit: String(LOG_LIMIT) })
+            if (ruleId) params.set('ruleId', ruleId)
+
+            const [logRes, rulesRes] = await Promise.all([
+                fetch(`/api/alerts/log?${params}`),
+                fetch('/api/alerts/rules')
+            ])
+            const logData = await logRes.json()
+            if (!logRes.ok) throw new Error(logData.error || `Alerts HTTP ${logRes.status}`)
+            const rulesData = await rulesRes.json()
+
+            setAlerts(logData)
+            if (rulesRes.ok) setRules(rulesData)
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setLoading(false)
+        }
+    }, [ruleId])
+
+    useEffect(() => {
+        if (!open) return
+        fetchLog()
+        const interval = setInterval(fetchLog, LOG_REFRESH_MS)
+        return () => clearInterval(interval)
+    }, [open, fetchLog])
+
+    return (
+        <div className="space-y-3">
+            <button
+                type="button"
+                onClick={() => setOpen(prev => !prev)}
+                className="w-full flex items-center justify-between text-[11px] uppercase tracking-[0.18em] text-gray-500 font-medium hover:text-gray-300 transition-colors"
+            >
+                <span className="flex items-center gap-2">
+                    <Bell size={13} className="text-amber-400" />
+                    Alert Log
+                </span>
+                <ChevronDown size={14} className={`transition-transform ${open ? 'rotate-180' : ''}`} />
+            </button>
+
+            {open && (
+                <div className="space-y-2">
+                    <div className="flex items-center gap-2">
+                        <select
+                            value={ruleId}
+                            onChange={(e) => setRuleId(e.target.value)}
+                            className="flex-1 min-w-0 pl-3 pr-2 py-1.5 rounded-lg bg-gray-900/70 border border-white/10 text-xs text-gray-100 outline-none focus:ring-2 focus:ring-blue-500/70 cursor-pointer"
+                        >
+                            <option value="" className="bg-gray-900">All rules</option>
+                            {rules.map(rule => (
+                                <option key={rule.id} value={rule.id} className="bg-gray-900">
+                                    {rule.name}{rule.enabled ? '' : ' (disabled)'}
+                                </option>
+                            ))}
+                        </select>
+                        <button
+                            type="button"
+                            onClick={fetchLog}
+                            className="p-1.5 rounded-lg bg-gray-900/70 border border-white/10 text-gray-400 hover:text-gray-200 transition-colors"
+                            title="Refresh alert log"
+                        >
+                            <RefreshCw size={13} className={loading ? 'animate-spin' : ''} />
+                        </button>
+                    </div>
+
+                    {error ? (
+                        <p className="text-xs text-red-400">{error}</p>
+                    ) : alerts.length === 0 ? (
+                        <p className="text-xs text-gray-500">{loading ? 'Loading alerts…' : 'No alerts have fired.'}</p>
+                    ) : (
+                        <div className="space-y-1.5 max-h-64 overflow-y-auto pr-1">
+                            {alerts.map(alert => {
+                                const status = deliveryStatus(alert.deliveries)
+                                return (
+                                    <div key={alert.id} className="px-3 py-2 rounded-xl bg-gray-900/60 border border-white/5">
+                                        <div className="flex items-center justify-between gap-2">
+                                            <p className="text-xs font-medium text-gray-100 truncate">{alert.ruleName}</p>
+                                            <span className={`w-1.5 h-1.5 rounded-full shrink-0 ${status.color}`} title={status.label} />
+                                        </div>
+                                        <p className="text-[11px] text-gray-400 truncate">{alert.stationName || alert.stationId}</p>
+                                        <p className="text-[11px] text-gray-500">
+                                            {METRIC_LABELS[alert.metric] ?? alert.metric}{' '}
+                                            <span className="text-amber-400 font-semibold">{alert.value}</span>
+                                            {' '}{alert.operator} {alert.threshold} · {formatTime(alert.triggeredAt)}
+                                        </p>
+                                    </div>
+                                )
+                            })}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
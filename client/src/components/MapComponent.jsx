@@ -8,15 +8,72 @@ import SimpleRenderer from '@arcgis/core/renderers/SimpleRenderer'
 import HeatmapRenderer from '@arcgis/core/renderers/HeatmapRenderer'
 import SimpleMarkerSymbol from '@arcgis/core/symbols/SimpleMarkerSymbol'
 import SimpleLineSymbol from '@arcgis/core/symbols/SimpleLineSymbol'
+import SimpleFillSymbol from '@arcgis/core/symbols/SimpleFillSymbol'
 import TextSymbol from '@arcgis/core/symbols/TextSymbol'
 import Point from '@arcgis/core/geometry/Point'
 import Polyline from '@arcgis/core/geometry/Polyline'
+import Polygon from '@arcgis/core/geometry/Polygon'
 import LabelClass from '@arcgis/core/layers/support/LabelClass'
 import { ZoomIn, ZoomOut, Home, AlertTriangle, RefreshCw } from 'lucide-react'
 
 // ─── Constants ──────────────────────────────────────────────────
 const INITIAL_CENTER = [72.8777, 19.0760]
 const INITIAL_ZOOM = 10
+const FORECAST_HOURS = 48
+const AQI_METRICS = ['instant', 'nowcast', 'forecast']
+const AQI_METRIC_LABELS = { instant: 'Instant AQI', nowcast: 'NowCast AQI', forecast: 'Forecast AQI' }
+const VIEW_MODES = ['markers', 'heatmap', 'surface']
+const VIEW_MODE_LABELS = { markers: 'Markers view', heatmap: 'Heatmap view', surface: 'Surface view' }
+const VIEW_MODE_COLORS = { markers: '#22c55e', heatmap: '#f97316', surface: '#3b82f6' }
+const SURFACE_METHODS = ['idw', 'kriging']
+const SURFACE_METHOD_LABELS = { idw: 'IDW', kriging: 'Kriging' }
+const SURFACE_TARGET_CELLS = 2500
+
+// AQI breakpoints shared by the station markers and the interpolated surface
+const AQI_COLOR_STOPS = [
+    { value: 50, color: "#22c55e" },
+    { value: 100, color: "#eab308" },
+    { value: 150, color: "#f97316" },
+    { value: 200, color: "#ef4444" },
+    { value: 300, color: "#a855f7" },
+    { value: 400, color: "#9f1239" }
+]
+
+// AQHI colour scale, used for the composite health risk index (AQHI + heat); 11 and up is 10+
+const HEALTH_RISK_COLOR_STOPS = [
+    { value: 1, color: "#00ccff" },
+    { value: 2, color: "#0099cc" },
+    { value: 3, color: "#006699" },
+    { value: 4, color: "#ffff00" },
+    { value: 5, color: "#ffcc00" },
+    { value: 6, color: "#ff9933" },
+    { value: 7, color: "#ff6666" },
+    { value: 8, color: "#ff0000" },
+    { value: 9, color: "#cc0000" },
+    { value: 10, color: "#990000" },
+    { value: 11, color: "#660000" }
+]
+
+// Station status from the server (by the age of its last reading) as a renderer field;
+// delayed and offline stations are faded so old readings do not pass for current ones
+const STATION_FRESHNESS = { live: 0, delayed: 1, offline: 2 }
+
+function formatStationAge(lastUpdated) {
+    const minutes = Math.round((Date.now() - new Date(lastUpdated).getTime()) / 60000)
+    if (!Number.isFinite(minutes)) return null
+    if (minutes < 60) return `${Math.max(minutes, 0)} min ago`
+    if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h ago`
+    return `${Math.round(minutes / (24 * 60))} days ago`
+}
+
+// Cell size (km) that keeps the surface near SURFACE_TARGET_CELLS for the current bounds
+function getSurfaceCellSize(bounds) {
+    const [lat1, lng1, lat2, lng2] = bounds.split(',').map(Number)
+    const heightKm = Math.abs(lat2 - lat1) * 111.32
+    const widthKm = Math.abs(lng2 - lng1) * 111.32 * Math.cos(((lat1 + lat2) / 2) * Math.PI / 180)
+    const cellSize = Math.sqrt((heightKm * widthKm) / SURFACE_TARGET_CELLS)
+    return Math.min(50, Math.max(0.5, Math.round(cellSize * 10) / 10))
+}
 
 // AQI Color Helpers
 function getAqiColor(aqi) {
@@ -39,12 +96,31 @@ function getAqiLabel(aqi) {
     return 'Hazardous'
 }
 
+function getHealthRiskColor(index) {
+    if (index === null || index === undefined) return '#6b7280'
+    const stop = HEALTH_RISK_COLOR_STOPS.find(s => index <= s.value)
+    return (stop ?? HEALTH_RISK_COLOR_STOPS[HEALTH_RISK_COLOR_STOPS.length - 1]).color
+}
+
+function formatHealthRiskIndex(index) {
+    if (index === null || index === undefined) return '—'
+    return index > 10 ? '10+' : String(index)
+}
+
 function getRiskColor(riskLevel) {
     if (riskLevel === 'Severe') return '#ef4444'
     if (riskLevel === 'Moderate') return '#f97316'
+    if (riskLevel === 'Unknown') return '#6b7280'
     return '#6366f1'
 }
 
+function getCongestionColor(congestionLevel) {
+    if (congestionLevel === 'Red') return '#ef4444'
+    if (congestionLevel === 'Yellow') return '#eab308'
+    if (congestionLevel === 'Unknown') return '#6b7280'
+    return '#22c55e'
+}
+
 export default function MapComponent({
     mapView,
     activeLayers,
@@ -52,9 +128,13 @@ export default function MapComponent({
     trafficData,
     weatherData,
     floodData,
+    wardData,
+    healthRiskData,
+    bounds,
     loading,
     error,
     countdown,
+    live,
     onRefresh,
     onFeatureSelect,
     selectedFeature,
@@ -62,13 +142,22 @@ export default function MapComponent({
 }) {
     const mapDiv = useRef(null)
     const viewRef = useRef(null)
-    const [viewMode, setViewMode] = useState('markers') // 'markers' | 'heatmap'
+    const [viewMode, setViewMode] = useState('markers') // 'markers' | 'heatmap' | 'surface'
+    const [surfaceMethod, setSurfaceMethod] = useState('idw') // 'idw' | 'kriging'
+    const [surfaceError, setSurfaceError] = useState(null)
+    const [aqiMetric, setAqiMetric] = useState('instant') // 'instant' | 'nowcast' | 'forecast'
+    const [forecast, setForecast] = useState(null) // /api/aqi/forecast response
+    const [forecastHour, setForecastHour] = useState(0)
+    const [forecastError, setForecastError] = useState(null)
 
     // Tooltip state
     const [tooltip, setTooltip] = useState(null) // { x, y, type, data }
 
     // Layer Refs
     const aqiLayerRef = useRef(null)
+    const surfaceLayerRef = useRef(null)
+    const wardLayerRef = useRef(null)
+    const healthRiskLayerRef = useRef(null)
     const trafficLayerRef = useRef(null)
     const weatherLayerRef = useRef(null)
     const floodLayerRef = useRef(null)
@@ -82,6 +171,8 @@ export default function MapComponent({
     const weatherDataRef = useRef(weatherData)
     const floodDataRef = useRef(floodData)
     const trafficDataRef = useRef(trafficData)
+    const wardDataRef = useRef(wardData)
+    const healthRiskDataRef = useRef(healthRiskData)
     const onFeatureSelectRef = useRef(onFeatureSelect)
 
     // Keep refs in sync with latest props
@@ -89,6 +180,8 @@ export default function MapComponent({
     useEffect(() => { weatherDataRef.current = weatherData }, [weatherData])
     useEffect(() => { floodDataRef.current = floodData }, [floodData])
     useEffect(() => { trafficDataRef.current = trafficData }, [trafficData])
+    useEffect(() => { wardDataRef.current = wardData }, [wardData])
+    useEffect(() => { healthRiskDataRef.current = healthRiskData }, [healthRiskData])
     useEffect(() => { onFeatureSelectRef.current = onFeatureSelect }, [onFeatureSelect])
 
     // ─── Initialize Map and View ─────────────────────────────────
@@ -112,6 +205,110 @@ export default function MapComponent({
             }
         })
 
+        // ── AQI Surface FeatureLayer (interpolated grid cells, below the stations) ──
+        const surfaceLayer = new FeatureLayer({
+            source: [],
+            objectIdField: 'OBJECTID',
+            geometryType: 'polygon',
+            spatialReference: { wkid: 4326 },
+            fields: [
+                { name: 'OBJECTID', type: 'oid' },
+                { name: 'aqi', type: 'double' }
+            ],
+            title: 'AQI Surface',
+            opacity: 0.55,
+            visible: false,
+            renderer: new SimpleRenderer({
+                symbol: new SimpleFillSymbol({ outline: { width: 0 } }),
+                visualVariables: [{ type: "color", field: "aqi", stops: AQI_COLOR_STOPS }]
+            })
+        })
+        map.add(surfaceLayer)
+        surfaceLayerRef.current = surfaceLayer
+
+        // ── Ward Choropleth FeatureLayer (mean AQI per BMC ward) ──
+        const wardLayer = new FeatureLayer({
+            source: [],
+            objectIdField: 'OBJECTID',
+            geometryType: 'polygon',
+            spatialReference: { wkid: 4326 },
+            fields: [
+                { name: 'OBJECTID', type: 'oid' },
+                { name: 'id', type: 'string' },
+                { name: 'name', type: 'string' },
+                { name: 'aqi', type: 'double' },
+                { name: 'estimated', type: 'small-integer' },
+                { name: 'approximate', type: 'small-integer' }
+            ],
+            title: 'AQI by Ward',
+            outFields: ['*'],
+            opacity: 0.6,
+            visible: false,
+            renderer: new SimpleRenderer({
+                symbol: new SimpleFillSymbol({
+                    color: "#6b7280", // wards with no station nearby
+                    outline: { color: [255, 255, 255, 0.6], width: 1 }
+                }),
+                visualVariables: [{ type: "color", field: "aqi", stops: AQI_COLOR_STOPS }]
+            }),
+            labelingInfo: [
+                new LabelClass({
+                    labelExpressionInfo: { expression: "$feature.name" },
+                    symbol: new TextSymbol({
+                        color: "white",
+                        font: { size: 9, weight: "bold", family: "sans-serif" },
+                        haloColor: "rgba(0,0,0,0.6)",
+                        haloSize: "1px"
+                    }),
+                    labelPlacement: "always-horizontal"
+                })
+            ]
+        })
+        map.add(wardLayer)
+        wardLayerRef.current = wardLayer
+
+        // ── Health Risk FeatureLayer (AQHI + heat per AQI station, squares under the AQI markers) ──
+        const healthRiskLayer = new FeatureLayer({
+            source: [],
+            objectIdField: 'OBJECTID',
+            geometryType: 'point',
+            spatialReference: { wkid: 4326 },
+            fields: [
+                { name: 'OBJECTID', type: 'oid' },
+                { name: 'id', type: 'string' },
+                { name: 'city', type: 'string' },
+                { name: 'riskIndex', type: 'double' },
+                { name: 'category', type: 'string' },
+                { name: 'heatLevel', type: 'string' }
+            ],
+            title: 'Health Risk (AQHI + Heat)',
+            outFields: ['*'],
+            visible: false,
+            renderer: new SimpleRenderer({
+                symbol: new SimpleMarkerSymbol({
+                    style: 'square',
+                    size: 30,
+                    color: "#6b7280", // no PM2.5 to compute the AQHI from
+                    outline: { color: [255, 255, 255, 0.8], width: 1.5 }
+                }),
+                visualVariables: [{ type: "color", field: "riskIndex", stops: HEALTH_RISK_COLOR_STOPS }]
+            }),
+            labelingInfo: [
+                new LabelClass({
+                    labelExpressionInfo: { expression: "IIf(IsEmpty($feature.riskIndex), '–', IIf($feature.riskIndex > 10, '10+', Text($feature.riskIndex)))" },
+                    symbol: new TextSymbol({
+                        color: "white",
+                        font: { size: 10, weight: "bold", family: "sans-serif" },
+                        haloColor: "rgba(0,0,0,0.6)",
+                        haloSize: "1px"
+                    }),
+                    labelPlacement: "center-center"
+                })
+            ]
+        })
+        map.add(healthRiskLayer)
+        healthRiskLayerRef.current = healthRiskLayer
+
         // ── AQI FeatureLayer ──
         const aqiLayer = new FeatureLayer({
             source: [],
@@ -122,7 +319,9 @@ export default function MapComponent({
                 { name: 'OBJECTID', type: 'oid' },
                 { name: 'aqi', type: 'double' },
                 { name: 'city', type: 'string' },
-                { name: 'id', type: 'string' }
+                { name: 'id', type: 'string' },
+                { name: 'freshness', type: 'small-integer' },
+                { name: 'lastUpdated', type: 'string' }
             ],
             title: 'AQI Data',
             outFields: ['*'],
@@ -159,13 +358,15 @@ export default function MapComponent({
                 { name: 'name', type: 'string' },
                 { name: 'id', type: 'string' },
                 { name: 'condition', type: 'string' },
-                { name: 'icon', type: 'string' }
+                { name: 'icon', type: 'string' },
+                { name: 'stale', type: 'small-integer' },
+                { name: 'observedAt', type: 'string' }
             ],
             title: 'Weather Data',
             outFields: ['*'],
             labelingInfo: [
                 new LabelClass({
-                    labelExpressionInfo: { expression: "$feature.temp + '°'" },
+                    labelExpressionInfo: { expression: "IIf(IsEmpty($feature.temp), '–', $feature.temp + '°')" },
                     symbol: new TextSymbol({
                         color: "white",
                         font: { size: 10, weight: "bold", family: "sans-serif" },
@@ -178,6 +379,7 @@ export default function MapComponent({
             renderer: new SimpleRenderer({
                 symbol: new SimpleMarkerSymbol({
                     size: 24,
+                    color: "#6b7280", // stations without any reading
                     outline: { color: [255, 255, 255, 0.8], width: 1.5 }
                 }),
                 visualVariables: [
@@ -191,6 +393,15 @@ export default function MapComponent({
                             { value: 32, color: "#f97316" },
                             { value: 37, color: "#ef4444" }
                         ]
+                    },
+                    {
+                        // Last-known readings are faded
+                        type: "opacity",
+                        field: "stale",
+                        stops: [
+                            { value: 0, opacity: 1 },
+                            { value: 1, opacity: 0.4 }
+                        ]
                     }
                 ]
             })
@@ -214,7 +425,7 @@ export default function MapComponent({
         view.on('click', async (event) => {
             const response = await view.hitTest(event)
             if (response.results.length > 0) {
-                const graphicResult = response.results.find(res => res.graphic)
+                const graphicResult = response.results.find(res => res.graphic && res.graphic.layer !== surfaceLayerRef.current)
                 if (graphicResult) {
                     const graphic = graphicResult.graphic
                     const layer = graphic.layer
@@ -223,6 +434,14 @@ export default function MapComponent({
                         const stationId = graphic.attributes.id
                         const station = aqiDataRef.current.find(s => String(s.id) === String(stationId))
                         if (station) onFeatureSelectRef.current(station, 'aqi')
+                    } else if (layer === wardLayerRef.current) {
+                        const id = graphic.attributes?.id
+                        const ward = wardDataRef.current.find(w => w.id === id)
+                        if (ward) onFeatureSelectRef.current(ward, 'ward')
+                    } else if (layer === healthRiskLayerRef.current) {
+                        const id = graphic.attributes?.id
+                        const location = healthRiskDataRef.current.find(l => String(l.id) === String(id))
+                        if (location) onFeatureSelectRef.current(location, 'healthRisk')
                     } else if (layer === floodLayerRef.current) {
                         const id = graphic.attributes?.id
                         const ft = floodDataRef.current.find(f => f.id === id)
@@ -246,7 +465,7 @@ export default function MapComponent({
             hoverTimerRef.current = setTimeout(async () => {
                 const response = await view.hitTest(event)
                 if (response.results.length > 0) {
-                    const graphicResult = response.results.find(res => res.graphic)
+                    const graphicResult = response.results.find(res => res.graphic && res.graphic.layer !== surfaceLayerRef.current)
                     if (graphicResult) {
                         const graphic = graphicResult.graphic
                         const layer = graphic.layer
@@ -263,7 +482,38 @@ export default function MapComponent({
                                     city: graphic.attributes.city,
                                     aqi: graphic.attributes.aqi,
                                     color: getAqiColor(graphic.attributes.aqi),
-                                    label: getAqiLabel(graphic.attributes.aqi)
+                                    label: getAqiLabel(graphic.attributes.aqi),
+                                    freshness: graphic.attributes.freshness,
+                                    lastUpdated: graphic.attributes.lastUpdated
+                                }
+                            })
+                        } else if (layer === wardLayerRef.current) {
+                            const aqi = graphic.attributes.aqi
+                            setTooltip({
+                                x: screenPoint.x,
+                                y: screenPoint.y,
+                                type: 'ward',
+                                data: {
+                                    name: graphic.attributes.name,
+                                    aqi,
+                                    estimated: graphic.attributes.estimated === 1,
+                                    approximate: graphic.attributes.approximate === 1,
+                                    color: getAqiColor(aqi),
+                                    label: getAqiLabel(aqi)
+                                }
+                            })
+                        } else if (layer === healthRiskLayerRef.current) {
+                            const index = graphic.attributes.riskIndex
+                            setTooltip({
+                                x: screenPoint.x,
+                                y: screenPoint.y,
+                                type: 'healthRisk',
+                                data: {
+                                    city: graphic.attributes.city,
+                                    index: formatHealthRiskIndex(index),
+                                    category: graphic.attributes.category,
+                                    heatLevel: graphic.attributes.heatLevel,
+                                    color: getHealthRiskColor(index)
                                 }
                             })
                         } else if (layer === weatherLayerRef.current) {
@@ -275,7 +525,9 @@ export default function MapComponent({
                                     name: graphic.attributes.name,
                                     temp: graphic.attributes.temp,
                                     condition: graphic.attributes.condition,
-                                    icon: graphic.attributes.icon
+                                    icon: graphic.attributes.icon,
+                                    stale: graphic.attributes.stale === 1,
+                                    observedAt: graphic.attributes.observedAt
                                 }
                             })
                         } else if (layer === floodLayerRef.current) {
@@ -358,13 +610,19 @@ export default function MapComponent({
         if (selectedFeatureType === 'aqi' && selectedFeature.lat && selectedFeature.lng) {
             point = new Point({ longitude: selectedFeature.lng, latitude: selectedFeature.lat })
             color = getAqiColor(selectedFeature.aqi)
+        } else if (selectedFeatureType === 'healthRisk' && selectedFeature.lat && selectedFeature.lng) {
+            point = new Point({ longitude: selectedFeature.lng, latitude: selectedFeature.lat })
+            color = getHealthRiskColor(selectedFeature.index)
         } else if ((selectedFeatureType === 'weather' || selectedFeatureType === 'flood') && selectedFeature.coordinates) {
             point = new Point({ longitude: selectedFeature.coordinates[0], latitude: selectedFeature.coordinates[1] })
             if (selectedFeatureType === 'flood') color = getRiskColor(selectedFeature.riskLevel)
             else color = '#22d3ee'
+        } else if (selectedFeatureType === 'ward' && selectedFeature.centroid) {
+            point = new Point({ longitude: selectedFeature.centroid[0], latitude: selectedFeature.centroid[1] })
+            color = getAqiColor(selectedFeature.aqi)
         } else if (selectedFeatureType === 'traffic' && selectedFeature.paths) {
             point = new Point({ longitude: selectedFeature.paths[0][0][0], latitude: selectedFeature.paths[0][0][1] })
-            color = selectedFeature.congestionLevel === 'Red' ? '#ef4444' : selectedFeature.congestionLevel === 'Yellow' ? '#eab308' : '#22c55e'
+            color = getCongestionColor(selectedFeature.congestionLevel)
         }
 
         if (!point) return
@@ -405,9 +663,16 @@ export default function MapComponent({
 
         layer.visible = activeLayers.aqi;
 
-        if (activeLayers.aqi && aqiData && aqiData.length > 0) {
-            const graphics = aqiData
-                .filter(d => d.lat && d.lng && d.aqi !== null)
+        // Forecast mode colors each station by its forecast for the selected hour
+        const stations = aqiMetric === 'forecast'
+            ? (forecast?.locations ?? []).map(l => ({ ...l, aqi: l.hourly[forecastHour]?.aqi ?? null }))
+            : aqiData
+
+        if (activeLayers.aqi && stations && stations.length > 0) {
+            // NowCast smooths short spikes; stations without enough history keep their instantaneous AQI
+            const valueOf = (d) => (aqiMetric === 'nowcast' ? d.nowcastAqi ?? d.aqi : d.aqi)
+            const graphics = stations
+                .filter(d => d.lat && d.lng && valueOf(d) !== null)
                 .map((d, index) => {
                     return new Graphic({
                         geometry: new Point({
@@ -418,7 +683,10 @@ export default function MapComponent({
                             OBJECTID: index,
                             id: d.id,
                             city: d.city,
-                            aqi: d.aqi
+                            aqi: valueOf(d),
+                            // Forecast hours are not observations, so they always render as live
+                            freshness: aqiMetric === 'forecast' ? 0 : STATION_FRESHNESS[d.status] ?? 0,
+                            lastUpdated: aqiMetric === 'forecast' ? null : d.lastUpdated
                         }
                     })
                 })
@@ -431,7 +699,128 @@ export default function MapComponent({
                 layer.applyEdits(edits)
             })
         }
-    }, [aqiData, activeLayers.aqi])
+    }, [aqiData, activeLayers.aqi, aqiMetric, forecast, forecastHour])
+
+    // ─── Update Ward Choropleth ──────────────────────────────────
+    useEffect(() => {
+        const layer = wardLayerRef.current;
+        if (!layer) return;
+
+        layer.visible = activeLayers.wards;
+
+        if (activeLayers.wards && wardData) {
+            const graphics = wardData.map((w, index) => new Graphic({
+                geometry: new Polygon({ rings: w.rings }),
+                attributes: {
+                    OBJECTID: index,
+                    id: w.id,
+                    name: w.name,
+                    aqi: w.aqi,
+                    estimated: w.estimated ? 1 : 0,
+                    approximate: w.approximate ? 1 : 0
+                }
+            }))
+
+            layer.queryFeatures().then((results) => {
+                layer.applyEdits({ addFeatures: graphics, deleteFeatures: results.features })
+            })
+        }
+    }, [wardData, activeLayers.wards])
+
+    // ─── Update Health Risk Layer ────────────────────────────────
+    useEffect(() => {
+        const layer = healthRiskLayerRef.current;
+        if (!layer) return;
+
+        layer.visible = activeLayers.healthRisk;
+
+        if (activeLayers.healthRisk && healthRiskData) {
+            const graphics = healthRiskData.map((l, index) => new Graphic({
+                geometry: new Point({ longitude: l.lng, latitude: l.lat }),
+                attributes: {
+                    OBJECTID: index,
+                    id: l.id,
+                    city: l.city,
+                    riskIndex: l.index,
+                    category: l.category,
+                    heatLevel: l.heat?.level ?? null
+                }
+            }))
+
+            layer.queryFeatures().then((results) => {
+                layer.applyEdits({ addFeatures: graphics, deleteFeatures: results.features })
+            })
+        }
+    }, [healthRiskData, activeLayers.healthRisk])
+
+    // ─── AQI Forecast ────────────────────────────────────────────
+    useEffect(() => {
+        if (aqiMetric !== 'forecast') return
+
+        let cancelled = false
+        setForecastError(null)
+        fetch(`/api/aqi/forecast?bounds=${bounds}&hours=${FORECAST_HOURS}`)
+            .then(res => res.json())
+            .then(data => {
+                if (data.error) throw new Error(data.error)
+                if (!cancelled) setForecast(data)
+            })
+            .catch(err => {
+                if (!cancelled) setForecastError(err.message)
+            })
+        return () => { cancelled = true }
+    }, [aqiMetric, bounds])
+
+    // ─── AQI Surface ─────────────────────────────────────────────
+    // Interpolated from the stations in view; refetched when they refresh
+    useEffect(() => {
+        const layer = surfaceLayerRef.current;
+        if (!layer) return;
+
+        const show = viewMode === 'surface' && activeLayers.aqi
+        layer.visible = show
+        if (!show) return
+
+        let cancelled = false
+        setSurfaceError(null)
+        fetch(`/api/aqi/grid?bounds=${bounds}&cellSize=${getSurfaceCellSize(bounds)}&method=${surfaceMethod}`)
+            .then(res => res.json())
+            .then(grid => {
+                if (grid.error) throw new Error(grid.error)
+                if (cancelled) return
+
+                const cells = []
+                grid.values.forEach((row, r) => {
+                    const south = grid.south + r * grid.latStep
+                    row.forEach((aqi, c) => {
+                        if (aqi === null) return
+                        const west = grid.west + c * grid.lngStep
+                        cells.push(new Graphic({
+                            geometry: new Polygon({
+                                rings: [[
+                                    [west, south],
+                                    [west, south + grid.latStep],
+                                    [west + grid.lngStep, south + grid.latStep],
+                                    [west + grid.lngStep, south],
+                                    [west, south]
+                                ]]
+                            }),
+                            attributes: { OBJECTID: cells.length, aqi }
+                        }))
+                    })
+                })
+
+                layer.queryFeatures().then((results) => {
+                    layer.applyEdits({ addFeatures: cells, deleteFeatures: results.features })
+                })
+            })
+            .catch(err => {
+                if (!cancelled) setSurfaceError(err.message)
+            })
+        return () => { cancelled = true }
+    }, [viewMode, activeLayers.aqi, bounds, surfaceMethod, aqiData])
+
+    const forecastTimes = forecast?.locations.find(l => l.hourly.length > 0)?.hourly.map(p => p.time) ?? []
 
     // ─── AQI Renderer (Markers vs Heatmap) ───────────────────────
     useEffect(() => {
@@ -464,13 +853,16 @@ export default function MapComponent({
                     {
                         type: "color",
                         field: "aqi",
+                        stops: AQI_COLOR_STOPS
+                    },
+                    {
+                        // Delayed readings are faded, offline ones more so
+                        type: "opacity",
+                        field: "freshness",
                         stops: [
-                            { value: 50, color: "#22c55e" },
-                            { value: 100, color: "#eab308" },
-                            { value: 150, color: "#f97316" },
-                            { value: 200, color: "#ef4444" },
-                            { value: 300, color: "#a855f7" },
-                            { value: 400, color: "#9f1239" }
+                            { value: 0, opacity: 1 },
+                            { value: 1, opacity: 0.55 },
+                            { value: 2, opacity: 0.25 }
                         ]
                     }
                 ]
@@ -503,6 +895,7 @@ export default function MapComponent({
             layer.renderer = new SimpleRenderer({
                 symbol: new SimpleMarkerSymbol({
                     size: 24,
+                    color: "#6b7280", // stations without any reading
                     outline: { color: [255, 255, 255, 0.8], width: 1.5 }
                 }),
                 visualVariables: [
@@ -516,6 +909,15 @@ export default function MapComponent({
                             { value: 32, color: "#f97316" },
                             { value: 37, color: "#ef4444" }
                         ]
+                    },
+                    {
+                        // Last-known readings are faded
+                        type: "opacity",
+                        field: "stale",
+                        stops: [
+                            { value: 0, opacity: 1 },
+                            { value: 1, opacity: 0.4 }
+                        ]
                     }
                 ]
             });
@@ -535,6 +937,7 @@ export default function MapComponent({
                 let color = [34, 197, 94, 0.8]
                 if (route.congestionLevel === "Red") color = [239, 68, 68, 0.8]
                 if (route.congestionLevel === "Yellow") color = [234, 179, 8, 0.8]
+                if (route.congestionLevel === "Unknown") color = [107, 114, 128, 0.6] // no recent speed samples
 
                 const graphic = new Graphic({
                     geometry: new Polyline({
@@ -572,8 +975,10 @@ export default function MapComponent({
                             id: w.id,
                             name: w.name,
                             temp: w.temperature,
-                            condition: w.condition || "Clear",
-                            icon: w.icon || '❓'
+                            condition: w.condition || 'No data',
+                            icon: w.icon || '❓',
+                            stale: w.stale ? 1 : 0,
+                            observedAt: w.observedAt
                         }
                     })
                 })
@@ -601,6 +1006,7 @@ export default function MapComponent({
                 let color = [99, 102, 241, 0.7]
                 if (f.riskLevel === 'Severe') color = [239, 68, 68, 0.8]
                 else if (f.riskLevel === 'Moderate') color = [249, 115, 22, 0.8]
+                else if (f.riskLevel === 'Unknown') color = [107, 114, 128, 0.6] // no water level reported yet
 
                 // Diamond marker
                 const graphic = new Graphic({
@@ -625,7 +1031,7 @@ export default function MapComponent({
                         latitude: f.coordinates[1]
                     }),
                     symbol: new TextSymbol({
-                        text: `${f.name}\n${f.riskLevel}`,
+                        text: `${f.name}\n${f.riskLevel === 'Unknown' ? 'No data' : f.riskLevel}`,
                         color: 'white',
                         font: { size: 9, weight: 'bold', family: 'sans-serif' },
                         haloColor: 'rgba(0,0,0,0.7)',
@@ -685,11 +1091,51 @@ export default function MapComponent({
                         <span className="text-2xl font-black" style={{ color: data.color }}>{data.aqi}</span>
                         <span className="text-[10px] text-gray-400 uppercase tracking-wider">{data.label}</span>
                     </div>
+                    {data.freshness > 0 && (
+                        <p className={`text-[10px] mt-1 ${data.freshness === STATION_FRESHNESS.offline ? 'text-red-400' : 'text-amber-400'}`}>
+                            {data.freshness === STATION_FRESHNESS.offline ? 'Offline' : 'Delayed'}
+                            {data.lastUpdated && formatStationAge(data.lastUpdated) && ` · last report ${formatStationAge(data.lastUpdated)}`}
+                        </p>
+                    )}
                     <p className="text-[10px] text-gray-500 mt-1">Click for full details →</p>
                 </div>
             )
         }
 
+        if (type === 'ward') {
+            return (
+                <div style={tooltipStyle} className="bg-gray-900/95 backdrop-blur-md border border-gray-600/50 rounded-xl px-4 py-3 shadow-2xl min-w-[180px] animate-fadeIn">
+                    <span className="text-xs font-semibold text-white truncate block mb-1.5">{data.name}</span>
+                    <div className="flex items-baseline gap-2">
+                        <span className="text-2xl font-black" style={{ color: data.color }}>{data.aqi ?? '—'}</span>
+                        <span className="text-[10px] text-gray-400 uppercase tracking-wider">{data.label}</span>
+                    </div>
+                    {data.estimated && data.aqi !== null && <p className="text-[10px] text-amber-400 mt-0.5">Estimated, no station in ward</p>}
+                    {data.approximate && <p className="text-[10px] text-gray-400 mt-0.5">Approximate ward outline</p>}
+                    <p className="text-[10px] text-gray-500 mt-1">Click for ward summary →</p>
+                </div>
+            )
+        }
+
+        if (type === 'healthRisk') {
+            return (
+                <div style={tooltipStyle} className="bg-gray-900/95 backdrop-blur-md border border-gray-600/50 rounded-xl px-4 py-3 shadow-2xl min-w-[180px] animate-fadeIn">
+                    <div className="flex items-center gap-2 mb-1.5">
+                        <span className="w-2.5 h-2.5 rounded-sm shrink-0" style={{ background: data.color }} />
+                        <span className="text-xs font-semibold text-white truncate">{data.city}</span>
+                    </div>
+                    <div className="flex items-baseline gap-2">
+                        <span className="text-2xl font-black" style={{ color: data.color }}>{data.index}</span>
+                        <span className="text-[10px] text-gray-400 uppercase tracking-wider">{data.category === 'Unknown' ? 'No PM2.5 data' : `${data.category} Risk`}</span>
+                    </div>
+                    {data.heatLevel && data.heatLevel !== 'None' && (
+                        <p className="text-[10px] text-orange-400 mt-0.5">Heat: {data.heatLevel}</p>
+                    )}
+                    <p className="text-[10px] text-gray-500 mt-1">Click for the breakdown →</p>
+                </div>
+            )
+        }
+
         if (type === 'weather') {
             return (
                 <div style={tooltipStyle} className="bg-gray-900/95 backdrop-blur-md border border-cyan-500/30 rounded-xl px-4 py-3 shadow-2xl min-w-[180px] animate-fadeIn">
@@ -697,10 +1143,17 @@ export default function MapComponent({
                         <span className="text-base">{data.icon}</span>
                         <span className="text-xs font-semibold text-white truncate">{data.name}</span>
                     </div>
-                    <div className="flex items-baseline gap-2">
-                        <span className="text-2xl font-black text-cyan-300">{data.temp}°C</span>
-                        <span className="text-[10px] text-gray-400 capitalize">{data.condition}</span>
-                    </div>
+                    {data.temp === null || data.temp === undefined ? (
+                        <p className="text-xs text-gray-400">Weather data unavailable</p>
+                    ) : (
+                        <div className="flex items-baseline gap-2">
+                            <span className={`text-2xl font-black ${data.stale ? 'text-gray-400' : 'text-cyan-300'}`}>{data.temp}°C</span>
+                            <span className="text-[10px] text-gray-400 capitalize">{data.condition}</span>
+                        </div>
+                    )}
+                    {data.stale && data.observedAt && (
+                        <p className="text-[10px] text-amber-400 mt-1">Last known reading · {new Date(data.observedAt).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}</p>
+                    )}
                     <p className="text-[10px] text-gray-500 mt-1">Click for forecast →</p>
                 </div>
             )
@@ -714,7 +1167,7 @@ export default function MapComponent({
                         <span className="text-xs font-semibold text-white truncate">{data.name}</span>
                     </div>
                     <div className="flex items-center gap-2">
-                        <span className="text-sm font-bold px-2 py-0.5 rounded-full" style={{ background: data.color + '33', color: data.color }}>{data.riskLevel} Risk</span>
+                        <span className="text-sm font-bold px-2 py-0.5 rounded-full" style={{ background: data.color + '33', color: data.color }}>{data.riskLevel === 'Unknown' ? 'No data' : `${data.riskLevel} Risk`}</span>
                     </div>
                     <p className="text-[10px] text-gray-500 mt-1">Click for details →</p>
                 </div>
@@ -722,13 +1175,11 @@ export default function MapComponent({
         }
 
         if (type === 'traffic') {
-            let tColor = '#22c55e'
-            if (data.congestionLevel === 'Red') tColor = '#ef4444'
-            if (data.congestionLevel === 'Yellow') tColor = '#eab308'
+            const tColor = getCongestionColor(data.congestionLevel)
             return (
                 <div style={tooltipStyle} className="bg-gray-900/95 backdrop-blur-md border border-gray-600/50 rounded-xl px-4 py-3 shadow-2xl min-w-[180px] animate-fadeIn">
                     <span className="text-xs font-semibold text-white truncate block mb-1">{data.name}</span>
-                    <span className="text-sm font-bold px-2 py-0.5 rounded-full" style={{ background: tColor + '33', color: tColor }}>{data.congestionLevel} Traffic</span>
+                    <span className="text-sm font-bold px-2 py-0.5 rounded-full" style={{ background: tColor + '33', color: tColor }}>{data.congestionLevel === 'Unknown' ? 'No data' : `${data.congestionLevel} Traffic`}</span>
                     <p className="text-[10px] text-gray-500 mt-1">Click for details →</p>
                 </div>
             )
@@ -752,20 +1203,51 @@ export default function MapComponent({
                 </span>
                 {!loading && !error && (activeLayers.aqi || activeLayers.weather) && (
                     <span className="text-gray-500 flex items-center gap-2">
-                        <span>
-                            Refresh in <span className="text-blue-400 font-medium">{countdown}s</span>
-                        </span>
+                        {live ? (
+                            <span className="inline-flex items-center gap-1.5 text-green-400 font-medium" title="Receiving live updates from the server">
+                                <span className="relative flex w-2 h-2">
+                                    <span className="absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75 animate-ping" />
+                                    <span className="relative inline-flex w-2 h-2 rounded-full bg-green-500" />
+                                </span>
+                                Live
+                            </span>
+                        ) : (
+                            <span title="Live updates unavailable, polling instead">
+                                Refresh in <span className="text-blue-400 font-medium">{countdown}s</span>
+                            </span>
+                        )}
                         <span className="w-px h-4 bg-gray-700" />
                         <button
                             type="button"
-                            onClick={() => setViewMode(prev => (prev === 'markers' ? 'heatmap' : 'markers'))}
+                            onClick={() => setViewMode(prev => VIEW_MODES[(VIEW_MODES.indexOf(prev) + 1) % VIEW_MODES.length])}
                             className="inline-flex items-center gap-1 rounded-full bg-gray-800/80 border border-gray-600 px-2 py-0.5 text-[11px] hover:border-blue-400 hover:text-blue-300 transition-colors"
+                            title="Surface view interpolates AQI between stations; the heatmap shows station density"
                         >
                             <span className="w-1.5 h-1.5 rounded-full"
-                                style={{ background: viewMode === 'heatmap' ? '#f97316' : '#22c55e' }}
+                                style={{ background: VIEW_MODE_COLORS[viewMode] }}
                             />
-                            {viewMode === 'markers' ? 'Markers view' : 'Heatmap view'}
+                            {VIEW_MODE_LABELS[viewMode]}
                         </button>
+                        {viewMode === 'surface' && activeLayers.aqi && (
+                            <button
+                                type="button"
+                                onClick={() => setSurfaceMethod(prev => SURFACE_METHODS[(SURFACE_METHODS.indexOf(prev) + 1) % SURFACE_METHODS.length])}
+                                className={`inline-flex items-center gap-1 rounded-full bg-gray-800/80 border px-2 py-0.5 text-[11px] hover:border-blue-400 hover:text-blue-300 transition-colors ${surfaceError ? 'border-red-500/60 text-red-300' : 'border-gray-600'}`}
+                                title={surfaceError ? `Surface unavailable: ${surfaceError}` : 'Switch the interpolation method'}
+                            >
+                                {SURFACE_METHOD_LABELS[surfaceMethod]}
+                            </button>
+                        )}
+                        {activeLayers.aqi && (
+                            <button
+                                type="button"
+                                onClick={() => setAqiMetric(prev => AQI_METRICS[(AQI_METRICS.indexOf(prev) + 1) % AQI_METRICS.length])}
+                                className="inline-flex items-center gap-1 rounded-full bg-gray-800/80 border border-gray-600 px-2 py-0.5 text-[11px] hover:border-blue-400 hover:text-blue-300 transition-colors"
+                                title="Switch between the latest reading, the 12-hour NowCast and the hourly forecast"
+                            >
+                                {AQI_METRIC_LABELS[aqiMetric]}
+                            </button>
+                        )}
                     </span>
                 )}
                 {(activeLayers.aqi || activeLayers.weather) && (
@@ -779,6 +1261,36 @@ export default function MapComponent({
                 )}
             </div>
 
+            {/* ── Forecast hour selector ── */}
+            {activeLayers.aqi && aqiMetric === 'forecast' && (
+                <div className="absolute top-16 right-4 z-[1000] w-64 bg-gray-900/90 backdrop-blur-sm border border-gray-700 rounded-xl px-4 py-3 text-xs text-gray-300 shadow-lg pointer-events-auto">
+                    {forecastError ? (
+                        <p className="text-red-400">Forecast unavailable: {forecastError}</p>
+                    ) : forecastTimes.length === 0 ? (
+                        <p className="text-gray-400">Loading forecast…</p>
+                    ) : (
+                        <>
+                            <div className="flex items-center justify-between mb-2">
+                                <span className="text-[10px] uppercase tracking-widest text-gray-400 font-semibold">Forecast</span>
+                                <span className="font-medium text-blue-300">
+                                    {forecastHour === 0 ? 'Now' : `+${forecastHour}h`} · {new Date(forecastTimes[Math.min(forecastHour, forecastTimes.length - 1)]).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}
+                                </span>
+                            </div>
+                            <input
+                                type="range"
+                                min={0}
+                                max={forecastTimes.length - 1}
+                                value={Math.min(forecastHour, forecastTimes.length - 1)}
+                                onChange={(e) => setForecastHour(Number(e.target.value))}
+                                className="w-full accent-blue-500"
+                                aria-label="Forecast hour"
+                            />
+                            <p className="text-[10px] text-gray-500 mt-1">Source: {forecast.source}</p>
+                        </>
+                    )}
+                </div>
+            )}
+
             {/* ── Custom Map Controls ── */}
             <div className="absolute bottom-6 right-6 z-[1000] flex flex-col gap-2 pointer-events-auto">
                 <button
@@ -863,6 +1375,25 @@ export default function MapComponent({
                 </div>
             )}
 
+            {/* ── Map Legend — Health Risk ── */}
+            {activeLayers.healthRisk && !loading && !error && (
+                <div className="absolute bottom-6 left-6 md:left-[380px] z-[1000] bg-gray-900/80 backdrop-blur-md border border-gray-700/50 rounded-xl px-4 py-3 shadow-xl pointer-events-auto transition-all duration-300 transform translate-y-0">
+                    <p className="text-[10px] uppercase tracking-widest text-gray-400 font-semibold mb-2">Health Risk (AQHI + Heat)</p>
+                    <div className="flex">
+                        {HEALTH_RISK_COLOR_STOPS.map(stop => (
+                            <div key={stop.value} className="flex flex-col items-center">
+                                <span className="w-4 h-3 inline-block" style={{ background: stop.color }} />
+                                <span className="text-[9px] text-gray-400 mt-0.5">{formatHealthRiskIndex(stop.value)}</span>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex justify-between text-[10px] text-gray-300 mt-1.5 gap-3">
+                        <span>Low</span><span>Moderate</span><span>High</span><span>Very High</span>
+                    </div>
+                    <p className="text-[10px] text-gray-500 mt-1.5">Heat index adds up to +4</p>
+                </div>
+            )}
+
             {/* ── Map Legend — Weather ── */}
             {activeLayers.weather && !loading && !error && (
                 <div className="absolute bottom-6 left-6 md:left-[380px] z-[1000] bg-gray-900/80 backdrop-blur-md border border-gray-700/50 rounded-xl px-4 py-3 shadow-xl pointer-events-auto transition-all duration-300 transform translate-y-0">
@@ -874,6 +1405,14 @@ export default function MapComponent({
                             <span className="absolute bottom-[-5px] right-[-32px] text-[10px] text-gray-300">15°</span>
                         </div>
                     </div>
+                    <div className="mt-3 pt-2 border-t border-white/10 space-y-1">
+                        <div className="flex items-center gap-2 text-[10px] text-gray-400">
+                            <span className="w-2.5 h-2.5 rounded-full bg-orange-400/40 inline-block" /> Last known
+                        </div>
+                        <div className="flex items-center gap-2 text-[10px] text-gray-400">
+                            <span className="w-2.5 h-2.5 rounded-full bg-gray-500 inline-block" /> Unavailable
+                        </div>
+                    </div>
                 </div>
             )}
         </div>
@@ -1,6 +1,7 @@
 import { useState, useMemo } from 'react'
-import { Wind, Search, X as CloseIcon, Car, CloudRain, Waves, Navigation } from 'lucide-react'
+import { Wind, Search, X as CloseIcon, Car, CloudRain, Waves, Navigation, Download, LayoutGrid, AlertTriangle, HeartPulse } from 'lucide-react'
 import { Link, useNavigate, useLocation } from 'react-router-dom'
+import AlertLog from './AlertLog'
 
 // --- REGIONS ---
 const REGIONS = [
@@ -13,15 +14,19 @@ export default function Sidebar({
     activeDashboard = 'aqi',
     aqiStations = [],
     weatherStations = [],
+    wards = [],
+    healthRisk = [],
     onSelectStation,
     selectedStation,
     selectedFeatureType,
     onRegionSelect,
     activeLayers = {},
-    onToggleLayer
+    onToggleLayer,
+    currentBounds
 }) {
     const [query, setQuery] = useState('')
     const [currentRegionName, setCurrentRegionName] = useState('Mumbai (MMR)')
+    const [excludeFlagged, setExcludeFlagged] = useState(true)
     const navigate = useNavigate();
     const location = useLocation();
 
@@ -29,19 +34,27 @@ export default function Sidebar({
 
     const searchResults = useMemo(() => {
         if (!normalizedQuery) return []
-        const currentData = activeDashboard === 'weather' ? weatherStations : aqiStations;
+        const currentData = activeDashboard === 'weather' ? weatherStations
+            : activeDashboard === 'wards' ? wards
+            : activeDashboard === 'healthRisk' ? healthRisk
+            : aqiStations;
         return currentData
             .filter(station => {
                 const name = station.city || station.name || ''
                 return name.toLowerCase().includes(normalizedQuery)
             })
             .slice(0, 5)
-    }, [aqiStations, weatherStations, activeDashboard, normalizedQuery])
+    }, [aqiStations, weatherStations, wards, healthRisk, activeDashboard, normalizedQuery])
 
     // --- Analytics Calculations ---
     const aqiAnalytics = useMemo(() => {
         if (activeDashboard !== 'aqi') return null;
-        const validStations = aqiStations.filter(s => s.aqi !== null && s.aqi !== undefined);
+        // Delayed and offline stations would report old air as current; they are counted separately
+        const isStale = s => s.status === 'delayed' || s.status === 'offline'
+        // Readings the server flagged as suspect (sensor faults, outliers) are optional
+        const validStations = aqiStations.filter(s => s.aqi !== null && s.aqi !== undefined && !isStale(s) && !(excludeFlagged && s.flagged));
+        const staleCount = aqiStations.filter(isStale).length;
+        const flaggedCount = aqiStations.filter(s => s.flagged && !isStale(s)).length;
         if (validStations.length === 0) return null;
 
         let sum = 0;
@@ -76,13 +89,17 @@ export default function Sidebar({
             min,
             max,
             count: validStations.length,
+            staleCount,
+            flaggedCount,
             distribution
         };
-    }, [aqiStations, activeDashboard]);
+    }, [aqiStations, activeDashboard, excludeFlagged]);
 
     const weatherAnalytics = useMemo(() => {
         if (activeDashboard !== 'weather') return null;
-        const validStations = weatherStations.filter(s => s.temperature !== undefined);
+        // Only current readings count; last-known (stale) and unavailable stations are reported separately
+        const validStations = weatherStations.filter(s => s.temperature !== undefined && s.temperature !== null && !s.stale);
+        const staleCount = weatherStations.filter(s => s.stale).length;
         if (validStations.length === 0) return null;
 
         let sum = 0;
@@ -142,6 +159,7 @@ export default function Sidebar({
             min,
             max,
             count: validStations.length,
+            staleCount,
             distribution,
             prediction: predictionText
         };
@@ -149,7 +167,7 @@ export default function Sidebar({
 
     const handleResultClick = (station) => {
         if (onSelectStation) {
-            onSelectStation(station, activeDashboard)
+            onSelectStation(station, activeDashboard === 'wards' ? 'ward' : activeDashboard)
         }
         setQuery(station.city || station.name || '')
     }
@@ -165,9 +183,11 @@ export default function Sidebar({
 
     const layerConfig = [
         { id: 'aqi', label: 'Air Quality (AQI)', icon: Wind, color: 'text-blue-400', activeColor: 'bg-blue-500/20 border-blue-500/50 text-blue-400' },
-        // { id: 'traffic', label: 'Traffic Congestion', icon: Car, color: 'text-amber-400', activeColor: 'bg-amber-500/20 border-amber-500/50 text-amber-400' },
+        { id: 'traffic', label: 'Traffic Congestion', icon: Car, color: 'text-amber-400', activeColor: 'bg-amber-500/20 border-amber-500/50 text-amber-400' },
         { id: 'weather', label: 'Weather & Temp', icon: CloudRain, color: 'text-cyan-400', activeColor: 'bg-cyan-500/20 border-cyan-500/50 text-cyan-400' },
-        { id: 'flood', label: 'Flood Warnings', icon: Waves, color: 'text-indigo-400', activeColor: 'bg-indigo-500/20 border-indigo-500/50 text-indigo-400' }
+        { id: 'flood', label: 'Flood Warnings', icon: Waves, color: 'text-indigo-400', activeColor: 'bg-indigo-500/20 border-indigo-500/50 text-indigo-400' },
+        { id: 'wards', label: 'AQI by Ward', icon: LayoutGrid, color: 'text-rose-400', activeColor: 'bg-rose-500/20 border-rose-500/50 text-rose-400' },
+        { id: 'healthRisk', label: 'Health Risk (AQHI + Heat)', icon: HeartPulse, color: 'text-orange-400', activeColor: 'bg-orange-500/20 border-orange-500/50 text-orange-400' }
     ];
 
     return (
@@ -224,6 +244,9 @@ export default function Sidebar({
                     </div>
                 </div>
 
+                {/* Alerts fired by the server-side rules */}
+                <AlertLog />
+
                 {/* Region Dropdown */}
                 <div className="space-y-2">
                     <p className="text-[11px] uppercase tracking-[0.18em] text-gray-500 font-medium">
@@ -247,6 +270,29 @@ export default function Sidebar({
                     </div>
                 </div>
 
+                {/* Export the stations in the current view */}
+                {(activeDashboard === 'aqi' || activeDashboard === 'weather') && currentBounds && (
+                    <div className="flex items-center justify-between gap-2">
+                        <p className="text-[11px] uppercase tracking-[0.18em] text-gray-500 font-medium">
+                            Export {activeDashboard === 'weather' ? 'Weather' : 'AQI'} View
+                        </p>
+                        <div className="flex gap-1.5">
+                            {[{ format: 'geojson', label: 'GeoJSON' }, { format: 'csv', label: 'CSV' }].map(({ format, label }) => (
+                                <a
+                                    key={format}
+                                    href={`/api/${activeDashboard === 'weather' ? 'weather' : 'aqi'}?bounds=${currentBounds}&format=${format}`}
+                                    download
+                                    className="inline-flex items-center gap-1 px-2.5 py-1 rounded-lg bg-gray-900/70 border border-white/10 text-[11px] text-gray-300 hover:border-blue-500/60 hover:text-blue-300 transition-colors"
+                                    title={`Download the stations in view as ${label}`}
+                                >
+                                    <Download size={12} />
+                                    {label}
+                                </a>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Search bar */}
                 <div className="space-y-2">
                     <p className="text-[11px] uppercase tracking-[0.18em] text-gray-500 font-medium">
@@ -289,9 +335,11 @@ export default function Sidebar({
                                                     {station.city || station.name || 'Unknown station'}
                                                 </p>
                                                 <p className="text-[11px] text-gray-500">
-                                                    {activeDashboard === 'aqi'
+                                                    {activeDashboard === 'healthRisk'
+                                                        ? <>Risk: <span className="font-semibold text-gray-200">{station.index === null ? '—' : station.index > 10 ? '10+' : station.index}</span> · {station.category}</>
+                                                        : activeDashboard === 'aqi' || activeDashboard === 'wards'
                                                         ? <>AQI: <span className="font-semibold text-gray-200">{station.aqi ?? '—'}</span></>
-                                                        : <>Temp: <span className="font-semibold text-gray-200">{station.temperature ? `${station.temperature}°C` : '—'}</span></>
+                                                        : <>Temp: <span className="font-semibold text-gray-200">{station.temperature ? `${station.temperature}°C` : '—'}</span>{station.stale && station.temperature !== null && <span className="text-amber-400"> · last known</span>}</>
                                                     }
                                                 </p>
                                             </div>
@@ -341,11 +389,26 @@ export default function Sidebar({
                                     </div>
                                 </div>
 
+                                {aqiAnalytics.flaggedCount > 0 && (
+                                    <label className="flex items-center gap-2 text-[11px] text-gray-400 cursor-pointer select-none">
+                                        <input
+                                            type="checkbox"
+                                            checked={excludeFlagged}
+                                            onChange={(e) => setExcludeFlagged(e.target.checked)}
+                                            className="accent-amber-500"
+                                        />
+                                        <AlertTriangle size={12} className="text-amber-400 shrink-0" />
+                                        Leave out {aqiAnalytics.flaggedCount} flagged reading{aqiAnalytics.flaggedCount === 1 ? '' : 's'}
+                                    </label>
+                                )}
+
                                 {/* Distribution Bar */}
                                 <div className="bg-gray-900/60 border border-white/5 rounded-xl p-3 space-y-2">
                                     <div className="flex justify-between items-center">
                                         <span className="text-[10px] text-gray-400 uppercase tracking-wider">Air Quality Distribution</span>
-                                        <span className="text-[10px] text-gray-500">{aqiAnalytics.count} Stations</span>
+                                        <span className="text-[10px] text-gray-500">
+                                            {aqiAnalytics.count} Stations{aqiAnalytics.staleCount > 0 && <span className="text-amber-400"> · {aqiAnalytics.staleCount} not reporting</span>}
+                                        </span>
                                     </div>
                                     <div className="h-2 w-full flex rounded-full overflow-hidden">
                                         {aqiAnalytics.distribution.good > 0 && <div style={{ width: `${(aqiAnalytics.distribution.good / aqiAnalytics.count) * 100}%` }} className="bg-[#22c55e] h-full" title={`Good: ${aqiAnalytics.distribution.good}`} />}
@@ -393,8 +456,9 @@ export default function Sidebar({
                                                         <p className="text-xs font-medium text-gray-100 truncate">
                                                             {station.city || 'Unknown'}
                                                         </p>
-                                                        <p className="text-[11px] text-gray-500 truncate">
+                                                        <p className="text-[11px] text-gray-500 truncate flex items-center gap-1">
                                                             AQI: <span className="text-amber-400 font-semibold">{station.aqi ?? '—'}</span>
+                                                            {station.flagged && <AlertTriangle size={11} className="text-amber-400 shrink-0" />}
                                                         </p>
                                                     </div>
                                                 </div>
@@ -442,7 +506,9 @@ export default function Sidebar({
                                 <div className="bg-gray-900/60 border border-white/5 rounded-xl p-3 space-y-2">
                                     <div className="flex justify-between items-center">
                                         <span className="text-[10px] text-gray-400 uppercase tracking-wider">Temp Distribution</span>
-                                        <span className="text-[10px] text-gray-500">{weatherAnalytics.count} Stations</span>
+                                        <span className="text-[10px] text-gray-500" title="Stations with only a last-known reading, or none, are left out">
+                                            {weatherAnalytics.count} Stations{weatherAnalytics.staleCount > 0 && <span className="text-amber-400"> · {weatherAnalytics.staleCount} not current</span>}
+                                        </span>
                                     </div>
                                     <div className="h-2 w-full flex rounded-full overflow-hidden">
                                         {weatherAnalytics.distribution.cool > 0 && <div style={{ width: `${(weatherAnalytics.distribution.cool / weatherAnalytics.count) * 100}%` }} className="bg-blue-400 h-full" title={`Cool (<25°C): ${weatherAnalytics.distribution.cool}`} />}
@@ -476,7 +542,7 @@ export default function Sidebar({
 
                             <div className="space-y-2">
                                 {weatherStations
-                                    .filter((s) => s.temperature !== undefined)
+                                    .filter((s) => s.temperature !== undefined && s.temperature !== null)
                                     .slice()
                                     .sort((a, b) => b.temperature - a.temperature)
                                     .slice(0, 10)
@@ -500,7 +566,8 @@ export default function Sidebar({
                                                             {station.name || 'Unknown'}
                                                         </p>
                                                         <p className="text-[11px] text-gray-500 truncate">
-                                                            Temp: <span className="text-orange-400 font-semibold">{station.temperature}°C</span>
+                                                            Temp: <span className={`${station.stale ? 'text-gray-400' : 'text-orange-400'} font-semibold`}>{station.temperature}°C</span>
+                                                            {station.stale && <span className="text-amber-400"> · last known</span>}
                                                         </p>
                                                     </div>
                                                 </div>
@@ -1,5 +1,5 @@
 import { useEffect, useState } from 'react'
-import { X, Wind, Clock, MapPin, AlertTriangle, Eye, Sun, Car, Waves, CloudRain, Droplets, ArrowRight } from 'lucide-react'
+import { X, Wind, Clock, MapPin, AlertTriangle, Eye, Sun, Car, Waves, CloudRain, Droplets, ArrowRight, Gauge, Navigation, Layers, Umbrella, HeartPulse, Thermometer } from 'lucide-react'
 import { ResponsiveContainer, BarChart, Bar, AreaChart, Area, XAxis, YAxis, Tooltip, Cell, CartesianGrid } from 'recharts'
 
 // ─── AQI helpers ────────────────────────────────────────────────
@@ -23,6 +23,25 @@ function getAqiLabel(aqi) {
     return 'Hazardous'
 }
 
+// CPCB National AQI category colors
+function getNaqiColor(category) {
+    if (category === 'Good') return '#00b050'
+    if (category === 'Satisfactory') return '#92d050'
+    if (category === 'Moderately Polluted') return '#eab308'
+    if (category === 'Poor') return '#f97316'
+    if (category === 'Very Poor') return '#ef4444'
+    if (category === 'Severe') return '#9f1239'
+    return '#6b7280'
+}
+
+// Reason codes the server attaches to suspect readings
+const FLAG_LABELS = {
+    out_of_range: 'Out of range',
+    spatial_outlier: 'Disagrees with nearby stations',
+    spike: 'Sudden spike',
+    stuck_value: 'Stuck sensor'
+}
+
 const POLLUTANTS = [
     { key: 'pm25', label: 'PM2.5', unit: 'µg/m³' },
     { key: 'pm10', label: 'PM10', unit: 'µg/m³' },
@@ -44,6 +63,62 @@ function getHealthAdvice(aqi) {
     return { title: 'Hazardous air quality', description: 'Serious health effects are possible for everyone. Avoid going outdoors.' }
 }
 
+// ─── Health risk helpers ─────────────────────────────────────────
+// AQHI colour scale (1–10, then 10+), shared with the map's health risk layer
+const HEALTH_RISK_COLORS = ['#00ccff', '#0099cc', '#006699', '#ffff00', '#ffcc00', '#ff9933', '#ff6666', '#ff0000', '#cc0000', '#990000', '#660000']
+
+const AQHI_INPUTS = [
+    { key: 'no2', label: 'NO₂', unit: 'ppb' },
+    { key: 'o3', label: 'O₃', unit: 'ppb' },
+    { key: 'pm25', label: 'PM2.5', unit: 'µg/m³' },
+]
+
+function getHealthRiskColor(index) {
+    if (index === null || index === undefined) return '#6b7280'
+    return HEALTH_RISK_COLORS[Math.min(Math.max(index, 1), 11) - 1]
+}
+
+function formatHealthRiskIndex(index) {
+    if (index === null || index === undefined) return '—'
+    return index > 10 ? '10+' : String(index)
+}
+
+// AQHI health messages for the composite category, with a heat warning on top when the heat
+// index is in one of the NWS caution bands
+function getRiskAdvice(category, heatLevel) {
+    let advice = null
+    if (category === 'Low') advice = { title: 'Low health risk', description: 'Ideal conditions for outdoor activities.' }
+    if (category === 'Moderate') advice = { title: 'Moderate health risk', description: 'People at risk (heart or lung conditions, children, older adults) should consider reducing strenuous outdoor activity if they have symptoms.' }
+    if (category === 'High') advice = { title: 'High health risk', description: 'People at risk should reduce or reschedule strenuous outdoor activity. Everyone else should consider doing the same if they have symptoms such as coughing or throat irritation.' }
+    if (category === 'Very High') advice = { title: 'Very high health risk', description: 'People at risk should avoid strenuous outdoor activity. Everyone else should reduce or reschedule it, especially if they have symptoms.' }
+    if (!advice) return null
+
+    if (heatLevel === 'Danger' || heatLevel === 'Extreme Danger') {
+        advice.heat = 'Heat stroke is likely with prolonged exposure. Stay in the shade or indoors, drink water often and check on vulnerable neighbours.'
+    } else if (heatLevel === 'Caution' || heatLevel === 'Extreme Caution') {
+        advice.heat = 'Heat exhaustion is possible with prolonged exertion. Take breaks in the shade and drink water often.'
+    }
+    return advice
+}
+
+// ─── Weather helpers ─────────────────────────────────────────────
+// Hourly forecast variables that can be charted (keys match the /api/weather forecast points)
+const WEATHER_VARIABLES = [
+    { key: 'temp', label: 'Temp', name: 'Temperature', unit: '°C', color: '#22d3ee', digits: 1 },
+    { key: 'windSpeed', label: 'Wind', name: 'Wind Speed', unit: 'km/h', color: '#a3e635', digits: 1 },
+    { key: 'humidity', label: 'Humidity', name: 'Relative Humidity', unit: '%', color: '#60a5fa', digits: 0 },
+    { key: 'pressure', label: 'Pressure', name: 'Pressure (MSL)', unit: 'hPa', color: '#c084fc', digits: 1 },
+    { key: 'boundaryLayerHeight', label: 'BLH', name: 'Boundary Layer Height', unit: 'm', color: '#f59e0b', digits: 0 },
+    { key: 'precipitationProbability', label: 'Rain %', name: 'Precipitation Probability', unit: '%', color: '#38bdf8', digits: 0 },
+]
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+
+function getCompassDirection(degrees) {
+    if (degrees === null || degrees === undefined) return '—'
+    return COMPASS_POINTS[Math.round(degrees / 45) % 8]
+}
+
 // ─── Component ───────────────────────────────────────────────────
 export default function StationPanel({ feature, featureType, onClose }) {
     const [detail, setDetail] = useState(null)
@@ -51,6 +126,8 @@ export default function StationPanel({ feature, featureType, onClose }) {
     const [error, setError] = useState(null)
     const [visible, setVisible] = useState(false)
     const [selectedPollutant, setSelectedPollutant] = useState(null)
+    const [weatherVariable, setWeatherVariable] = useState('temp')
+    const [forecastRange, setForecastRange] = useState('24h')
 
     // Animate in
     useEffect(() => {
@@ -78,8 +155,18 @@ export default function StationPanel({ feature, featureType, onClose }) {
                 })
                 .catch(err => setError(err.message))
                 .finally(() => setLoading(false))
+        } else if (featureType === 'weather') {
+            // The map list only carries 24 h of forecast; the detail call adds the full week
+            fetch(`/api/weather/${feature.id}?days=7`)
+                .then(res => res.json())
+                .then(data => {
+                    if (data.error) throw new Error(data.error)
+                    setDetail(data)
+                })
+                .catch(err => setError(err.message))
+                .finally(() => setLoading(false))
         } else {
-            // For mock Smart City Data (Flood, Traffic, Weather), use the feature directly
+            // Flood sites, road segments, wards and health risk locations arrive with their full state, so use the feature directly
             setDetail(feature)
             setLoading(false)
         }
@@ -99,7 +186,13 @@ export default function StationPanel({ feature, featureType, onClose }) {
         const color = getAqiColor(detail?.aqi ?? feature.aqi)
         const aqi = detail?.aqi ?? feature.aqi
         const city = detail?.city ?? feature.city
+        const status = detail?.status ?? feature.status
+        const lastUpdated = detail?.lastUpdated ?? feature.lastUpdated
+        const flags = detail?.flags ?? feature.flags ?? []
+        const calibration = detail?.calibration ?? feature.calibration
+        const raw = detail?.raw ?? feature.raw
         const healthAdvice = getHealthAdvice(aqi)
+        const dominantPollutant = POLLUTANTS.find(p => p.key === (detail?.dominantPollutant ?? feature.dominantPollutant))
 
         const pollutantData = POLLUTANTS.map(({ key, label, unit }) => {
             const raw = detail?.[key]
@@ -129,6 +222,22 @@ export default function StationPanel({ feature, featureType, onClose }) {
                     </div>
 
                     <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                        {/* Quality flags */}
+                        {!loading && flags.length > 0 && (
+                            <div className="rounded-xl p-3 flex gap-2.5" style={{ background: 'rgba(245,158,11,0.08)', border: '1px solid rgba(245,158,11,0.3)' }}>
+                                <AlertTriangle size={16} className="text-amber-400 shrink-0 mt-0.5" />
+                                <div className="space-y-1 min-w-0">
+                                    <p className="text-xs font-semibold text-amber-300">Suspect reading</p>
+                                    {flags.map(flag => (
+                                        <p key={flag.code} className="text-[11px] text-gray-300">
+                                            <span className="font-medium text-amber-200">{FLAG_LABELS[flag.code] ?? flag.code}:</span> {flag.detail}
+                                        </p>
+                                    ))}
+                                    <p className="text-[10px] text-gray-500">Left out of the averages, the AQI surface and the ward figures by default.</p>
+                                </div>
+                            </div>
+                        )}
+
                         {/* AQI Hero */}
                         <div className="rounded-2xl p-5 relative overflow-hidden transition-colors duration-500" style={{ background: loading ? 'rgba(31, 41, 55, 0.5)' : `linear-gradient(135deg, ${color}22, ${color}10)`, border: loading ? '1px solid rgba(255,255,255,0.05)' : `1px solid ${color}44` }}>
                             {!loading && <div className="absolute -top-6 -right-6 w-28 h-28 rounded-full opacity-20 blur-2xl transition-all duration-500" style={{ background: color }} />}
@@ -141,6 +250,29 @@ export default function StationPanel({ feature, featureType, onClose }) {
                             ) : (
                                 <><div className="text-6xl font-black" style={{ color }}>{aqi ?? '—'}</div><div className="text-sm mt-1 font-medium" style={{ color }}>{getAqiLabel(aqi)}</div></>
                             )}
+                            {!loading && detail?.nowcastAqi !== null && detail?.nowcastAqi !== undefined && (
+                                <p className="text-xs text-gray-400 mt-2">NowCast (12 h): <span className="font-semibold" style={{ color: getAqiColor(detail.nowcastAqi) }}>{detail.nowcastAqi}</span></p>
+                            )}
+                            {!loading && dominantPollutant && (
+                                <p className="text-xs text-gray-400 mt-2">Dominant pollutant: <span className="font-semibold text-gray-200">{dominantPollutant.label}</span></p>
+                            )}
+                            {!loading && calibration?.applied && (
+                                <p className="text-xs text-gray-400 mt-2">
+                                    Calibrated ({calibration.name}{calibration.humidity !== null ? `, RH ${Math.round(calibration.humidity)}%` : ''}) · raw AQI{' '}
+                                    <span className="font-semibold text-gray-300">{raw?.aqi ?? '—'}</span>
+                                    {raw?.pm25 !== null && raw?.pm25 !== undefined && <>, PM2.5 <span className="font-semibold text-gray-300">{raw.pm25}</span></>}
+                                </p>
+                            )}
+                            {!loading && calibration && !calibration.applied && (
+                                <p className="text-xs text-amber-400 mt-2">Uncalibrated low-cost sensor ({calibration.name}): {calibration.reason}</p>
+                            )}
+                            {!loading && lastUpdated && (
+                                <p className={`text-xs mt-2 flex items-center gap-1 ${status === 'offline' ? 'text-red-400' : status === 'delayed' ? 'text-amber-400' : 'text-gray-400'}`}>
+                                    <Clock size={12} className="shrink-0" />
+                                    {status === 'offline' ? 'Offline · ' : status === 'delayed' ? 'Delayed · ' : ''}
+                                    Last report {new Date(lastUpdated).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                                </p>
+                            )}
                         </div>
 
                         {/* Chart */}
@@ -164,6 +296,9 @@ export default function StationPanel({ feature, featureType, onClose }) {
                                     ) : <p className="text-xs text-gray-500 text-center py-6">No pollutant breakdown is available.</p>
                                 )}
                             </div>
+                            {!loading && detail?.derivedPollutants?.length > 0 && (
+                                <p className="text-[10px] text-gray-500 mt-2">Concentrations estimated from the source's per-pollutant AQI.</p>
+                            )}
 
                             {!loading && pollutantData.length > 0 && (
                                 <div className="space-y-3 mt-4">
@@ -199,6 +334,24 @@ export default function StationPanel({ feature, featureType, onClose }) {
                             )}
                         </div>
 
+                        {/* Indian National AQI (CPCB) next to the US EPA figure */}
+                        {!loading && detail?.naqi && (
+                            <div className="rounded-2xl px-4 py-4 bg-slate-950/80 border border-white/10 shadow-[0_18px_45px_rgba(0,0,0,0.65)]">
+                                <p className="text-[10px] text-gray-400 uppercase tracking-widest mb-2">India NAQI (CPCB)</p>
+                                {detail.naqi.aqi !== null ? (
+                                    <div className="flex items-baseline justify-between gap-3">
+                                        <div className="flex items-baseline gap-2">
+                                            <span className="text-3xl font-black" style={{ color: getNaqiColor(detail.naqi.category) }}>{detail.naqi.aqi}</span>
+                                            <span className="text-xs font-medium" style={{ color: getNaqiColor(detail.naqi.category) }}>{detail.naqi.category}</span>
+                                        </div>
+                                        <span className="text-[11px] text-gray-500">US EPA: <span className="font-semibold text-gray-300">{aqi ?? '—'}</span></span>
+                                    </div>
+                                ) : (
+                                    <p className="text-xs text-gray-500">Not enough pollutants reported ({detail.naqi.pollutantCount} of 3, incl. PM2.5 or PM10) to compute the NAQI.</p>
+                                )}
+                            </div>
+                        )}
+
                         {/* Health Advice */}
                         {healthAdvice && (
                             <div className="rounded-2xl px-4 py-4 flex gap-3 bg-slate-950/80 border border-white/10 shadow-[0_18px_45px_rgba(0,0,0,0.65)]">
@@ -216,6 +369,178 @@ export default function StationPanel({ feature, featureType, onClose }) {
         )
     }
 
+    // ─────────────────────────────────────────────────────────────
+    // RENDER: WARD SUMMARY VIEW
+    // ─────────────────────────────────────────────────────────────
+    if (featureType === 'ward') {
+        const d = feature;
+        const color = getAqiColor(d.aqi);
+
+        return (
+            <div className="absolute bottom-0 right-0 w-full md:w-[360px] h-[60%] md:h-full z-[2000] flex items-stretch pointer-events-none">
+                <div className={`pointer-events-auto h-full w-full flex flex-col transition-transform duration-300 ease-in-out ${visible ? 'translate-y-0 md:translate-x-0' : 'translate-y-full md:translate-y-0 md:translate-x-full'}`}
+                    style={{ background: 'linear-gradient(135deg, rgba(17,24,39,0.9) 0%, rgba(31,41,55,0.95) 100%)', backdropFilter: 'blur(20px)', borderLeft: `1px solid ${color}44`, borderTop: `1px solid ${color}44`, boxShadow: `-8px 0 32px ${color}22` }}>
+
+                    <div className="flex items-start justify-between p-6 border-b" style={{ borderColor: 'rgba(255,255,255,0.07)' }}>
+                        <div className="flex-1 min-w-0 pr-3">
+                            <div className="flex items-center gap-2 mb-1">
+                                <Layers size={14} style={{ color }} className="shrink-0" />
+                                <p className="text-xs text-gray-400 uppercase tracking-widest">BMC Ward Summary</p>
+                            </div>
+                            <h2 className="text-xl font-bold text-white leading-tight truncate">{d.name}</h2>
+                            {d.areas && <p className="text-xs text-gray-400 mt-1 truncate">{d.areas}</p>}
+                            {d.approximate && <p className="text-[10px] text-amber-400 mt-1">Approximate outline, not the official BMC ward boundary</p>}
+                        </div>
+                        <button onClick={handleClose} className="text-gray-400 hover:text-white transition-colors mt-1 shrink-0 bg-white/5 rounded-lg hover:bg-white/10 p-1.5"><X size={18} /></button>
+                    </div>
+
+                    <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                        <div className="rounded-2xl p-5 relative overflow-hidden" style={{ background: `linear-gradient(135deg, ${color}22, ${color}10)`, border: `1px solid ${color}44` }}>
+                            <div className="absolute -top-6 -right-6 w-28 h-28 rounded-full opacity-20 blur-2xl" style={{ background: color }} />
+                            <div className="flex items-center gap-2 mb-3">
+                                <Wind size={18} style={{ color }} />
+                                <span className="text-gray-300 text-sm font-medium">{d.estimated ? 'Estimated AQI' : 'Mean AQI'}</span>
+                            </div>
+                            <div className="text-5xl font-black mb-1" style={{ color }}>{d.aqi ?? '—'}</div>
+                            <div className="text-sm font-semibold text-gray-200">{getAqiLabel(d.aqi)}</div>
+                            {d.estimated && (
+                                <p className="text-xs text-amber-400 mt-2">
+                                    {d.aqi === null
+                                        ? 'No station in or near this ward.'
+                                        : 'No station in this ward. Interpolated from nearby stations.'}
+                                </p>
+                            )}
+                        </div>
+
+                        <div className="grid grid-cols-3 gap-3">
+                            <div className="bg-gray-800/60 rounded-xl p-3 border border-white/5">
+                                <div className="text-[10px] uppercase tracking-wider font-medium text-gray-400 mb-1">Mean</div>
+                                <div className="text-xl font-bold text-gray-100">{d.meanAqi ?? '—'}</div>
+                            </div>
+                            <div className="bg-gray-800/60 rounded-xl p-3 border border-white/5">
+                                <div className="text-[10px] uppercase tracking-wider font-medium text-gray-400 mb-1">Max</div>
+                                <div className="text-xl font-bold" style={{ color: getAqiColor(d.maxAqi) }}>{d.maxAqi ?? '—'}</div>
+                            </div>
+                            <div className="bg-gray-800/60 rounded-xl p-3 border border-white/5">
+                                <div className="text-[10px] uppercase tracking-wider font-medium text-gray-400 mb-1">Stations</div>
+                                <div className="text-xl font-bold text-gray-100">{d.stationCount}</div>
+                            </div>
+                        </div>
+
+                        {d.stations.length > 0 && (
+                            <div>
+                                <p className="text-xs uppercase tracking-wider font-medium text-gray-400 mb-2">Stations in this ward</p>
+                                <div className="space-y-2">
+                                    {[...d.stations].sort((a, b) => b.aqi - a.aqi).map(st => (
+                                        <div key={st.id} className="flex items-center justify-between bg-gray-800/60 rounded-xl px-3 py-2 border border-white/5">
+                                            <div className="flex items-center gap-2 min-w-0">
+                                                <MapPin size={12} className="text-gray-500 shrink-0" />
+                                                <span className="text-sm text-gray-200 truncate">{st.city}</span>
+                                            </div>
+                                            <span className="text-sm font-bold shrink-0" style={{ color: getAqiColor(st.aqi) }}>{st.aqi}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        )
+    }
+
+    // ─────────────────────────────────────────────────────────────
+    // RENDER: HEALTH RISK VIEW
+    // ─────────────────────────────────────────────────────────────
+    if (featureType === 'healthRisk') {
+        const d = feature;
+        const color = getHealthRiskColor(d.index);
+        const advice = getRiskAdvice(d.category, d.heat?.level)
+
+        return (
+            <div className="absolute bottom-0 right-0 w-full md:w-[360px] h-[60%] md:h-full z-[2000] flex items-stretch pointer-events-none">
+                <div className={`pointer-events-auto h-full w-full flex flex-col transition-transform duration-300 ease-in-out ${visible ? 'translate-y-0 md:translate-x-0' : 'translate-y-full md:translate-y-0 md:translate-x-full'}`}
+                    style={{ background: 'linear-gradient(135deg, rgba(17,24,39,0.9) 0%, rgba(31,41,55,0.95) 100%)', backdropFilter: 'blur(20px)', borderLeft: `1px solid ${color}44`, borderTop: `1px solid ${color}44`, boxShadow: `-8px 0 32px ${color}22` }}>
+
+                    <div className="flex items-start justify-between p-6 border-b" style={{ borderColor: 'rgba(255,255,255,0.07)' }}>
+                        <div className="flex-1 min-w-0 pr-3">
+                            <div className="flex items-center gap-2 mb-1">
+                                <HeartPulse size={14} style={{ color }} className="shrink-0" />
+                                <p className="text-xs text-gray-400 uppercase tracking-widest">Health Risk Index</p>
+                            </div>
+                            <h2 className="text-xl font-bold text-white leading-tight truncate">{d.city}</h2>
+                        </div>
+                        <button onClick={handleClose} className="text-gray-400 hover:text-white transition-colors mt-1 shrink-0 bg-white/5 rounded-lg hover:bg-white/10 p-1.5"><X size={18} /></button>
+                    </div>
+
+                    <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                        <div className="rounded-2xl p-5 relative overflow-hidden" style={{ background: `linear-gradient(135deg, ${color}22, ${color}10)`, border: `1px solid ${color}44` }}>
+                            <div className="absolute -top-6 -right-6 w-28 h-28 rounded-full opacity-20 blur-2xl" style={{ background: color }} />
+                            <div className="flex items-center gap-2 mb-3">
+                                <HeartPulse size={18} style={{ color }} />
+                                <span className="text-gray-300 text-sm font-medium">AQHI + Heat</span>
+                            </div>
+                            <div className="text-5xl font-black mb-1" style={{ color }}>{formatHealthRiskIndex(d.index)}</div>
+                            <div className="text-sm font-semibold text-gray-200">{d.index === null ? 'No PM2.5 data' : `${d.category} Risk`}</div>
+                            {d.index !== null && (
+                                <p className="text-xs text-gray-400 mt-2">
+                                    AQHI {formatHealthRiskIndex(d.aqhi.value)}
+                                    {d.heat?.adjustment > 0 ? ` + ${d.heat.adjustment} for heat` : ' · no heat adjustment'}
+                                </p>
+                            )}
+                        </div>
+
+                        <div>
+                            <p className="text-xs uppercase tracking-wider font-medium text-gray-400 mb-2">AQHI inputs (3-hour averages)</p>
+                            <div className="grid grid-cols-3 gap-3">
+                                {AQHI_INPUTS.map(({ key, label, unit }) => (
+                                    <div key={key} className="bg-gray-800/60 rounded-xl p-3 border border-white/5">
+                                        <div className="text-[10px] uppercase tracking-wider font-medium text-gray-400 mb-1">{label}</div>
+                                        <div className="text-xl font-bold text-gray-100">{d.aqhi[key] ?? '—'}</div>
+                                        <div className="text-[10px] text-gray-500">{unit}</div>
+                                    </div>
+                                ))}
+                            </div>
+                            {d.aqhi.missing.length > 0 && (
+                                <p className="text-[11px] text-amber-400 mt-2">
+                                    Not measured here: {d.aqhi.missing.map(key => AQHI_INPUTS.find(p => p.key === key)?.label ?? key).join(', ')}. The index may read low.
+                                </p>
+                            )}
+                        </div>
+
+                        <div className="bg-gray-800/60 rounded-xl p-4 border border-white/5">
+                            <div className="flex items-center gap-2 text-gray-400 mb-2"><Thermometer size={14} className="text-orange-400" /> <span className="text-xs uppercase tracking-wider font-medium">Heat Index</span></div>
+                            {d.heat ? (
+                                <>
+                                    <div className="flex items-baseline gap-2">
+                                        <span className="text-2xl font-bold text-gray-100">{d.heat.heatIndex}°C</span>
+                                        <span className="text-xs text-orange-300">{d.heat.level === 'None' ? 'No heat stress' : d.heat.level}</span>
+                                    </div>
+                                    <p className="text-xs text-gray-400 mt-1">{d.heat.temperature}°C at {d.heat.humidity}% humidity</p>
+                                    <p className="text-[11px] text-gray-500 mt-1">{d.heat.stationName} · {d.heat.distanceKm} km away</p>
+                                </>
+                            ) : (
+                                <p className="text-xs text-gray-400">No recent weather reading nearby. The index is the AQHI alone.</p>
+                            )}
+                        </div>
+
+                        {advice && (
+                            <div className="rounded-2xl px-4 py-4 flex gap-3 bg-slate-950/80 border border-white/10 shadow-[0_18px_45px_rgba(0,0,0,0.65)]">
+                                <AlertTriangle size={18} style={{ color }} className="mt-0.5" />
+                                <div className="space-y-1">
+                                    <p className="text-xs text-gray-400 uppercase tracking-widest">Health Recommendations</p>
+                                    <p className="text-sm font-semibold text-gray-100">{advice.title}</p>
+                                    <p className="text-xs text-gray-400">{advice.description}</p>
+                                    {advice.heat && <p className="text-xs text-orange-300">{advice.heat}</p>}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        )
+    }
+
     // ─────────────────────────────────────────────────────────────
     // RENDER: FLOOD WARNING VIEW
     // ─────────────────────────────────────────────────────────────
@@ -224,6 +549,7 @@ export default function StationPanel({ feature, featureType, onClose }) {
         let color = '#6366f1'; // Indigo Good
         if (d.riskLevel === 'Severe') color = '#ef4444'; // Red Severe
         if (d.riskLevel === 'Moderate') color = '#f97316'; // Orange Moderate
+        if (d.riskLevel === 'Unknown') color = '#6b7280'; // Gray, no water level reported yet
 
         return (
             <div className="absolute bottom-0 right-0 w-full md:w-[360px] h-[60%] md:h-full z-[2000] flex items-stretch pointer-events-none">
@@ -248,19 +574,28 @@ export default function StationPanel({ feature, featureType, onClose }) {
                                 <AlertTriangle size={18} style={{ color }} />
                                 <span className="text-gray-300 text-sm font-medium">Risk Level</span>
                             </div>
-                            <div className="text-4xl font-black mb-1 text-white">{d.riskLevel} Risk</div>
+                            <div className="text-4xl font-black mb-1 text-white">{d.riskLevel === 'Unknown' ? 'No data' : `${d.riskLevel} Risk`}</div>
+                            {d.thresholds && (
+                                <p className="text-xs text-gray-400">Moderate from {d.thresholds.moderate} m · Severe from {d.thresholds.severe} m</p>
+                            )}
                         </div>
 
                         <div className="grid grid-cols-2 gap-4">
                             <div className="bg-gray-800/60 rounded-xl p-4 border border-white/5">
                                 <div className="flex items-center gap-2 text-gray-400 mb-2"><Droplets size={14} className="text-blue-400" /> <span className="text-xs uppercase tracking-wider font-medium">Water Level</span></div>
-                                <div className="text-2xl font-bold text-gray-100">{d.waterLevel} <span className="text-sm font-normal text-gray-500">meters</span></div>
+                                <div className="text-2xl font-bold text-gray-100">{d.waterLevel ?? '—'} {d.waterLevel != null && <span className="text-sm font-normal text-gray-500">meters</span>}</div>
                             </div>
                             <div className="bg-gray-800/60 rounded-xl p-4 border border-white/5">
                                 <div className="flex items-center gap-2 text-gray-400 mb-2"><Wind size={14} className="text-emerald-400" /> <span className="text-xs uppercase tracking-wider font-medium">Pump Status</span></div>
-                                <div className="text-2xl font-bold text-gray-100">{d.pumpStatus}</div>
+                                <div className="text-2xl font-bold text-gray-100">{d.pumpStatus ?? '—'}</div>
                             </div>
                         </div>
+
+                        <p className="text-xs text-gray-500 text-center">
+                            {d.observedAt
+                                ? `Last reading ${new Date(d.observedAt).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}`
+                                : 'No readings received from this site yet'}
+                        </p>
                     </div>
                 </div>
             </div>
@@ -275,6 +610,7 @@ export default function StationPanel({ feature, featureType, onClose }) {
         let color = '#22c55e'; // Green
         if (d.congestionLevel === 'Red') color = '#ef4444'; // Red
         if (d.congestionLevel === 'Yellow') color = '#eab308'; // Yellow
+        if (d.congestionLevel === 'Unknown') color = '#6b7280'; // Gray, no recent speed samples
 
         return (
             <div className="absolute bottom-0 right-0 w-full md:w-[360px] h-[60%] md:h-full z-[2000] flex items-stretch pointer-events-none">
@@ -299,16 +635,38 @@ export default function StationPanel({ feature, featureType, onClose }) {
                                 <Clock size={18} style={{ color }} />
                                 <span className="text-gray-300 text-sm font-medium">Est. Clearance Time</span>
                             </div>
-                            <div className="text-4xl font-black mb-1 text-white">{d.clearanceTime}</div>
+                            <div className="text-4xl font-black mb-1 text-white">
+                                {d.clearanceMinutes != null ? `${Math.round(d.clearanceMinutes)} mins` : d.speed === 0 ? 'Standstill' : '—'}
+                            </div>
+                            {d.delayMinutes > 0 && (
+                                <p className="text-xs text-gray-400">{Math.round(d.delayMinutes)} mins slower than free flow ({Math.round(d.freeFlowMinutes)} mins)</p>
+                            )}
                         </div>
 
                         <div className="bg-gray-800/60 rounded-xl p-4 border border-white/5 flex items-center justify-between">
                             <div>
                                 <div className="text-xs uppercase tracking-wider font-medium text-gray-400 mb-1">Status</div>
-                                <div className="text-lg font-bold text-gray-100">{d.congestionLevel} Congestion</div>
+                                <div className="text-lg font-bold text-gray-100">{d.congestionLevel === 'Unknown' ? 'No recent data' : `${d.congestionLevel} Congestion`}</div>
                             </div>
                             <ArrowRight size={24} style={{ color }} className="opacity-50" />
                         </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="bg-gray-800/60 rounded-xl p-4 border border-white/5">
+                                <div className="flex items-center gap-2 text-gray-400 mb-2"><Gauge size={14} style={{ color }} /> <span className="text-xs uppercase tracking-wider font-medium">Speed</span></div>
+                                <div className="text-2xl font-bold text-gray-100">{d.speed ?? '—'} <span className="text-sm font-normal text-gray-500">/ {d.freeFlowSpeed} km/h</span></div>
+                            </div>
+                            <div className="bg-gray-800/60 rounded-xl p-4 border border-white/5">
+                                <div className="flex items-center gap-2 text-gray-400 mb-2"><Navigation size={14} className="text-emerald-400" /> <span className="text-xs uppercase tracking-wider font-medium">Length</span></div>
+                                <div className="text-2xl font-bold text-gray-100">{d.lengthKm} <span className="text-sm font-normal text-gray-500">km</span></div>
+                            </div>
+                        </div>
+
+                        <p className="text-xs text-gray-500 text-center">
+                            {d.observedAt
+                                ? `Average of ${d.sampleCount} speed sample${d.sampleCount === 1 ? '' : 's'}, latest ${new Date(d.observedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                                : 'No recent speed samples for this segment'}
+                        </p>
                     </div>
                 </div>
             </div>
@@ -344,69 +702,131 @@ export default function StationPanel({ feature, featureType, onClose }) {
                                 <Sun size={18} style={{ color }} />
                                 <span className="text-gray-300 text-sm font-medium">Current Temperature</span>
                             </div>
-                            <div className="text-5xl font-black mb-1 text-white">{d.temperature}°C</div>
-                            <div className="text-sm text-gray-400 mt-2 capitalize">{d.condition}</div>
+                            {d.temperature === null || d.temperature === undefined ? (
+                                <div className="text-sm text-gray-400">Weather data is unavailable for this station right now.</div>
+                            ) : (
+                                <>
+                                    <div className={`text-5xl font-black mb-1 ${d.stale ? 'text-gray-400' : 'text-white'}`}>{d.temperature}°C</div>
+                                    <div className="text-sm text-gray-400 mt-2 capitalize">{d.condition}</div>
+                                </>
+                            )}
+                            {d.stale && d.observedAt && (
+                                <div className="mt-3 flex items-center gap-1.5 text-xs text-amber-400">
+                                    <Clock size={12} />
+                                    Last known reading from {new Date(d.observedAt).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                                </div>
+                            )}
                         </div>
 
-                        {d.forecast24h && d.forecast24h.length > 0 && (
-                            <div>
-                                <p className="text-xs text-gray-500 uppercase tracking-widest mb-3">24-Hour Forecast Trend</p>
-                                <div className="rounded-2xl px-3 py-4 bg-slate-950/80 border border-slate-600/40 shadow-[0_18px_45px_rgba(0,0,0,0.65)]">
-                                    <div className="h-44">
-                                        <ResponsiveContainer width="100%" height="100%">
-                                            <AreaChart data={d.forecast24h} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
-                                                <defs>
-                                                    <linearGradient id="colorTemp" x1="0" y1="0" x2="0" y2="1">
-                                                        <stop offset="5%" stopColor={color} stopOpacity={0.3} />
-                                                        <stop offset="95%" stopColor={color} stopOpacity={0} />
-                                                    </linearGradient>
-                                                </defs>
-                                                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" vertical={false} />
-                                                <XAxis
-                                                    dataKey="time"
-                                                    tickLine={false}
-                                                    axisLine={false}
-                                                    tick={{ fill: '#9CA3AF', fontSize: 10 }}
-                                                    tickFormatter={(str) => {
-                                                        const date = new Date(str);
-                                                        return date.getHours() + ':00';
-                                                    }}
-                                                    interval="preserveStartEnd"
-                                                    minTickGap={20}
-                                                />
-                                                <YAxis
-                                                    tickLine={false}
-                                                    axisLine={false}
-                                                    tick={{ fill: '#6B7280', fontSize: 10 }}
-                                                    domain={['dataMin - 2', 'dataMax + 2']}
-                                                    width={32}
-                                                    tickFormatter={(val) => `${Math.round(val)}°`}
-                                                />
-                                                <Tooltip
-                                                    cursor={{ stroke: 'rgba(255,255,255,0.1)', strokeWidth: 1, strokeDasharray: '3 3' }}
-                                                    contentStyle={{ backgroundColor: '#020617', borderRadius: 8, border: '1px solid rgba(148,163,184,0.4)', padding: '8px 12px' }}
-                                                    labelStyle={{ color: '#9CA3AF', fontSize: 11, marginBottom: 4 }}
-                                                    labelFormatter={(label) => new Date(label).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                                                    formatter={(value) => [`${Number(value).toFixed(1)}°C`, 'Temp']}
-                                                />
-                                                <Area type="monotone" dataKey="temp" stroke={color} strokeWidth={2} fillOpacity={1} fill="url(#colorTemp)" isAnimationActive animationDuration={1000} />
-                                            </AreaChart>
-                                        </ResponsiveContainer>
+                        {(d.windSpeed !== undefined || d.precipitation !== undefined) && (
+                            <div className="grid grid-cols-2 gap-3">
+                                {[
+                                    { label: 'Wind', icon: Wind, iconClass: 'text-lime-400', value: d.windSpeed, unit: 'km/h', extra: d.windDirection !== undefined && d.windDirection !== null && (
+                                        <span className="flex items-center gap-1 text-xs text-gray-400 mt-1">
+                                            <Navigation size={11} style={{ transform: `rotate(${d.windDirection + 180}deg)` }} />
+                                            from {getCompassDirection(d.windDirection)} ({d.windDirection}°)
+                                        </span>
+                                    ) },
+                                    { label: 'Humidity', icon: Droplets, iconClass: 'text-blue-400', value: d.humidity, unit: '%' },
+                                    { label: 'Pressure', icon: Gauge, iconClass: 'text-purple-400', value: d.pressure, unit: 'hPa' },
+                                    { label: 'Boundary Layer', icon: Layers, iconClass: 'text-amber-400', value: d.boundaryLayerHeight, unit: 'm' },
+                                    { label: 'Rain Chance', icon: Umbrella, iconClass: 'text-sky-400', value: d.precipitationProbability, unit: '%' },
+                                    { label: 'Precipitation', icon: CloudRain, iconClass: 'text-blue-400', value: d.precipitation, unit: 'mm' },
+                                ].filter(item => item.value !== undefined && item.value !== null).map(({ label, icon: Icon, iconClass, value, unit, extra }) => (
+                                    <div key={label} className="bg-gray-800/60 rounded-xl p-3 border border-white/5">
+                                        <div className="text-[10px] uppercase tracking-wider font-medium text-gray-400 mb-1 flex items-center gap-1.5">
+                                            <Icon size={12} className={iconClass} /> {label}
+                                        </div>
+                                        <div className="text-xl font-bold text-gray-100">{value} <span className="text-xs font-normal text-gray-500">{unit}</span></div>
+                                        {extra}
                                     </div>
-                                </div>
+                                ))}
                             </div>
                         )}
 
-                        {d.precipitation !== undefined && (
-                            <div className="bg-gray-800/60 rounded-xl p-4 border border-white/5 flex items-center justify-between col-span-2">
+                        {d.forecast24h && d.forecast24h.length > 0 && (() => {
+                            const variable = WEATHER_VARIABLES.find(v => v.key === weatherVariable) ?? WEATHER_VARIABLES[0]
+                            const series = forecastRange === '7d' && d.forecast ? d.forecast : d.forecast24h
+                            const multiDay = series.length > 24
+                            const available = WEATHER_VARIABLES.filter(v => series.some(p => p[v.key] !== undefined && p[v.key] !== null))
+                            return (
                                 <div>
-                                    <div className="text-xs uppercase tracking-wider font-medium text-gray-400 mb-1 flex items-center gap-2">
-                                        <CloudRain size={14} className="text-blue-400" /> Current Precipitation
+                                    <div className="flex items-center justify-between mb-3">
+                                        <p className="text-xs text-gray-500 uppercase tracking-widest">{multiDay ? '7-Day' : '24-Hour'} Forecast · {variable.name}</p>
+                                        {d.forecast && (
+                                            <div className="flex rounded-md overflow-hidden border border-white/10">
+                                                {['24h', '7d'].map(range => (
+                                                    <button
+                                                        key={range}
+                                                        onClick={() => setForecastRange(range)}
+                                                        className={`px-2 py-0.5 text-[10px] font-semibold transition-colors ${forecastRange === range ? 'bg-white/15 text-white' : 'text-gray-500 hover:text-gray-300'}`}
+                                                    >
+                                                        {range}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                    <div className="flex flex-wrap gap-1.5 mb-3">
+                                        {available.map(v => (
+                                            <button
+                                                key={v.key}
+                                                onClick={() => setWeatherVariable(v.key)}
+                                                className="px-2.5 py-1 rounded-full text-[11px] font-semibold border transition-colors"
+                                                style={v.key === variable.key
+                                                    ? { color: v.color, borderColor: `${v.color}88`, background: `${v.color}22` }
+                                                    : { color: '#9CA3AF', borderColor: 'rgba(255,255,255,0.08)' }}
+                                            >
+                                                {v.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <div className="rounded-2xl px-3 py-4 bg-slate-950/80 border border-slate-600/40 shadow-[0_18px_45px_rgba(0,0,0,0.65)]">
+                                        <div className="h-44">
+                                            <ResponsiveContainer width="100%" height="100%">
+                                                <AreaChart data={series} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                                                    <defs>
+                                                        <linearGradient id="colorWeather" x1="0" y1="0" x2="0" y2="1">
+                                                            <stop offset="5%" stopColor={variable.color} stopOpacity={0.3} />
+                                                            <stop offset="95%" stopColor={variable.color} stopOpacity={0} />
+                                                        </linearGradient>
+                                                    </defs>
+                                                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" vertical={false} />
+                                                    <XAxis
+                                                        dataKey="time"
+                                                        tickLine={false}
+                                                        axisLine={false}
+                                                        tick={{ fill: '#9CA3AF', fontSize: 10 }}
+                                                        tickFormatter={(str) => {
+                                                            const date = new Date(str);
+                                                            return multiDay ? date.toLocaleDateString([], { weekday: 'short' }) : date.getHours() + ':00';
+                                                        }}
+                                                        interval="preserveStartEnd"
+                                                        minTickGap={20}
+                                                    />
+                                                    <YAxis
+                                                        tickLine={false}
+                                                        axisLine={false}
+                                                        tick={{ fill: '#6B7280', fontSize: 10 }}
+                                                        domain={variable.key === 'temp' ? ['dataMin - 2', 'dataMax + 2'] : ['auto', 'auto']}
+                                                        width={36}
+                                                        tickFormatter={(val) => variable.key === 'temp' ? `${Math.round(val)}°` : Math.round(val)}
+                                                    />
+                                                    <Tooltip
+                                                        cursor={{ stroke: 'rgba(255,255,255,0.1)', strokeWidth: 1, strokeDasharray: '3 3' }}
+                                                        contentStyle={{ backgroundColor: '#020617', borderRadius: 8, border: '1px solid rgba(148,163,184,0.4)', padding: '8px 12px' }}
+                                                        labelStyle={{ color: '#9CA3AF', fontSize: 11, marginBottom: 4 }}
+                                                        labelFormatter={(label) => new Date(label).toLocaleString([], multiDay ? { weekday: 'short', hour: '2-digit', minute: '2-digit' } : { hour: '2-digit', minute: '2-digit' })}
+                                                        formatter={(value) => [`${Number(value).toFixed(variable.digits)} ${variable.unit}`, variable.label]}
+                                                    />
+                                                    <Area type="monotone" dataKey={variable.key} stroke={variable.color} strokeWidth={2} fillOpacity={1} fill="url(#colorWeather)" isAnimationActive animationDuration={1000} />
+                                                </AreaChart>
+                                            </ResponsiveContainer>
+                                        </div>
                                     </div>
-                                    <div className="text-2xl font-bold text-gray-100">{d.precipitation} <span className="text-sm font-normal text-gray-500">mm</span></div>
                                 </div>
-                            </div>
-                        )}
+                            )
+                        })()}
                     </div>
                 </div>
             </div>
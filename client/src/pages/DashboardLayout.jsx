@@ -2,14 +2,26 @@ import { useState, useEffect, useCallback } from 'react'
 import MapComponent from '../components/MapComponent'
 import StationPanel from '../components/StationPanel'
 import Sidebar from '../components/Sidebar'
-import { getMockTrafficData, getMockFloodData } from '../utils/mockDataUtils'
 
-const REFRESH_INTERVAL_MS = 60_000 // 60 seconds
+const REFRESH_INTERVAL_MS = 60_000 // 60 seconds, only used while the live stream is down
+const STREAM_LAYERS = ['aqi', 'weather', 'flood', 'traffic']
+
+// Merge a /api/stream message ({ full, stations, removed }) into the current station list
+function applyStreamUpdate(prev, { full, stations, removed }) {
+    if (full) return stations
+    const changed = new Map(stations.map(s => [String(s.id), s]))
+    const gone = new Set(removed)
+    const known = new Set(prev.map(s => String(s.id)))
+    return [
+        ...prev.filter(s => !gone.has(String(s.id))).map(s => changed.get(String(s.id)) ?? s),
+        ...stations.filter(s => !known.has(String(s.id)))
+    ]
+}
 
 function DashboardLayout() {
     // State for selected map feature (AQI, Flood, Weather, etc.)
     const [selectedFeature, setSelectedFeature] = useState(null)
-    const [featureType, setFeatureType] = useState(null) // 'aqi', 'flood', 'weather', 'traffic'
+    const [featureType, setFeatureType] = useState(null) // 'aqi', 'flood', 'weather', 'traffic', 'ward', 'healthRisk'
 
     // The primary domain currently active in the sidebar (for analytics/lists)
     const [activeDashboard, setActiveDashboard] = useState('aqi')
@@ -25,7 +37,9 @@ function DashboardLayout() {
         aqi: true,
         traffic: false,
         weather: false,
-        flood: false
+        flood: false,
+        wards: false,
+        healthRisk: false
     })
 
     // Data States
@@ -33,27 +47,26 @@ function DashboardLayout() {
     const [trafficData, setTrafficData] = useState([])
     const [weatherData, setWeatherData] = useState([])
     const [floodData, setFloodData] = useState([])
+    const [wardData, setWardData] = useState([])
+    const [healthRiskData, setHealthRiskData] = useState([])
 
     const [loading, setLoading] = useState(true)
     const [error, setError] = useState(null)
     const [lastRefresh, setLastRefresh] = useState(null)
     const [countdown, setCountdown] = useState(REFRESH_INTERVAL_MS / 1000)
-
-    // Load mock data once
-    useEffect(() => {
-        setTrafficData(getMockTrafficData());
-        setFloodData(getMockFloodData());
-    }, []);
+    const [streamStatus, setStreamStatus] = useState('connecting') // 'connecting' | 'live' | 'polling'
 
     const fetchData = useCallback(async () => {
         setLoading(true)
         try {
             setError(null)
 
-            // Fetch both API endpoints concurrently
-            const [aqiRes, weatherRes] = await Promise.all([
+            // Fetch all API endpoints concurrently
+            const [aqiRes, weatherRes, floodRes, trafficRes] = await Promise.all([
                 fetch(`/api/aqi?bounds=${currentBounds}`),
-                fetch(`/api/weather`)
+                fetch(`/api/weather?bounds=${currentBounds}`),
+                fetch(`/api/flood?bounds=${currentBounds}`),
+                fetch(`/api/traffic?bounds=${currentBounds}`)
             ])
 
             if (!aqiRes.ok) {
@@ -64,12 +77,24 @@ function DashboardLayout() {
                 const err = await weatherRes.json()
                 throw new Error(err.error || `Weather HTTP ${weatherRes.status}`)
             }
+            if (!floodRes.ok) {
+                const err = await floodRes.json()
+                throw new Error(err.error || `Flood HTTP ${floodRes.status}`)
+            }
+            if (!trafficRes.ok) {
+                const err = await trafficRes.json()
+                throw new Error(err.error || `Traffic HTTP ${trafficRes.status}`)
+            }
 
             const aqiDataResult = await aqiRes.json()
             const weatherDataResult = await weatherRes.json()
+            const floodDataResult = await floodRes.json()
+            const trafficDataResult = await trafficRes.json()
 
             setAqiData(aqiDataResult)
             setWeatherData(weatherDataResult)
+            setFloodData(floodDataResult)
+            setTrafficData(trafficDataResult)
 
             setLastRefresh(new Date())
             setCountdown(REFRESH_INTERVAL_MS / 1000)
@@ -82,10 +107,74 @@ function DashboardLayout() {
     }, [currentBounds])
 
     useEffect(() => { fetchData() }, [fetchData])
+
+    // Ward aggregates are derived from the AQI stations, so they follow every AQI update
+    useEffect(() => {
+        if (!activeLayers.wards) return
+
+        let cancelled = false
+        fetch('/api/aqi/wards')
+            .then(res => res.json())
+            .then(data => {
+                if (data.error) throw new Error(data.error)
+                if (!cancelled) setWardData(data)
+            })
+            .catch(err => console.error('Failed to fetch ward AQI:', err))
+        return () => { cancelled = true }
+    }, [activeLayers.wards, aqiData])
+
+    // The health risk index is recomputed from the AQI stations and nearby weather, so it follows
+    // AQI updates too
+    useEffect(() => {
+        if (!activeLayers.healthRisk) return
+
+        let cancelled = false
+        fetch(`/api/health-risk?bounds=${currentBounds}`)
+            .then(res => res.json())
+            .then(data => {
+                if (data.error) throw new Error(data.error)
+                if (!cancelled) setHealthRiskData(data)
+            })
+            .catch(err => console.error('Failed to fetch health risk index:', err))
+        return () => { cancelled = true }
+    }, [activeLayers.healthRisk, aqiData, currentBounds])
+
+    // Live updates: the server pushes changed stations for the registered bounds and layers.
+    // Reconnects whenever either changes; EventSource retries on its own after a drop.
+    const streamLayers = STREAM_LAYERS.filter(layer => activeLayers[layer]).join(',')
+    useEffect(() => {
+        if (!streamLayers || typeof EventSource === 'undefined') {
+            setStreamStatus('polling')
+            return
+        }
+
+        setStreamStatus('connecting')
+        const source = new EventSource(`/api/stream?bounds=${currentBounds}&layers=${streamLayers}`)
+        const onUpdate = (setter) => (event) => {
+            setter(prev => applyStreamUpdate(prev, JSON.parse(event.data)))
+            setLastRefresh(new Date())
+        }
+
+        source.onopen = () => setStreamStatus('live')
+        source.onerror = () => setStreamStatus('polling')
+        source.addEventListener('aqi', onUpdate(setAqiData))
+        source.addEventListener('weather', onUpdate(setWeatherData))
+        source.addEventListener('flood', onUpdate(setFloodData))
+        source.addEventListener('traffic', onUpdate(setTrafficData))
+        source.addEventListener('layer-error', (event) => {
+            const { layer, error } = JSON.parse(event.data)
+            console.warn(`Live ${layer} update failed:`, error)
+        })
+
+        return () => source.close()
+    }, [currentBounds, streamLayers])
+
+    // Fall back to polling while the stream is not connected
     useEffect(() => {
+        if (streamStatus === 'live') return
         const interval = setInterval(fetchData, REFRESH_INTERVAL_MS)
         return () => clearInterval(interval)
-    }, [fetchData])
+    }, [fetchData, streamStatus])
     useEffect(() => {
         const tick = setInterval(() => {
             setCountdown(prev => (prev <= 1 ? REFRESH_INTERVAL_MS / 1000 : prev - 1))
@@ -100,12 +189,14 @@ function DashboardLayout() {
 
         let center = mapView.center;
 
-        if (type === 'aqi') {
+        if (type === 'aqi' || type === 'healthRisk') {
             center = [feature.lat, feature.lng]
         } else if (type === 'flood' || type === 'weather') {
             // mock data uses [lng, lat], but arcgis handles it differently.
             // for setting view center, we'll assume the component expects standard [lat, lng] or we fix logic later
             center = [feature.coordinates[1], feature.coordinates[0]]
+        } else if (type === 'ward') {
+            center = [feature.centroid[1], feature.centroid[0]]
         } else if (type === 'traffic') {
             // Just center on the first point of the first path
             center = [feature.paths[0][0][1], feature.paths[0][0][0]]
@@ -151,9 +242,13 @@ function DashboardLayout() {
                     trafficData={trafficData}
                     weatherData={weatherData}
                     floodData={floodData}
+                    wardData={wardData}
+                    healthRiskData={healthRiskData}
+                    bounds={currentBounds}
                     loading={loading}
                     error={error}
                     countdown={countdown}
+                    live={streamStatus === 'live'}
                     onRefresh={fetchData}
                     onFeatureSelect={handleFeatureSelect}
                     selectedFeature={selectedFeature}
@@ -168,12 +263,15 @@ function DashboardLayout() {
                         activeDashboard={activeDashboard}
                         aqiStations={aqiData}
                         weatherStations={weatherData}
+                        wards={wardData}
+                        healthRisk={healthRiskData}
                         onSelectStation={(station, type = 'aqi') => handleFeatureSelect(station, type)}
                         selectedStation={selectedFeature}
                         selectedFeatureType={featureType}
                         onRegionSelect={handleRegionSelect}
                         activeLayers={activeLayers}
                         onToggleLayer={toggleLayer}
+                        currentBounds={currentBounds}
                     />
                 </div>
             </div>
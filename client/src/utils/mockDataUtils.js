@@ -2,102 +2,6 @@
 // Bounds roughly: [18.60, 72.70] (South-West) to [19.50, 73.30] (North-East)
 // Note: ArcGIS uses [longitude, latitude] order for coordinates.
 
-/**
- * Returns mock flood data for vulnerable areas
- */
-export const getMockFloodData = () => {
-  return [
-    {
-      id: "f1",
-      name: "Kurla (LBS Marg)",
-      coordinates: [72.8777, 19.0728],
-      waterLevel: 0.8, // meters
-      pumpStatus: "Active",
-      riskLevel: "Severe",
-    },
-    {
-      id: "f2",
-      name: "Sion (Hindmata)",
-      coordinates: [72.8622, 19.0375],
-      waterLevel: 0.5,
-      pumpStatus: "Active",
-      riskLevel: "Moderate",
-    },
-    {
-      id: "f3",
-      name: "Dharavi (90 Feet Road)",
-      coordinates: [72.8550, 19.0413],
-      waterLevel: 0.2,
-      pumpStatus: "Standby",
-      riskLevel: "Good",
-    },
-    {
-      id: "f4",
-      name: "Andheri Subway",
-      coordinates: [72.8446, 19.1172],
-      waterLevel: 1.2,
-      pumpStatus: "Active",
-      riskLevel: "Severe",
-    },
-    {
-      id: "f5",
-      name: "Milan Subway",
-      coordinates: [72.8427, 19.0917],
-      waterLevel: 0.6,
-      pumpStatus: "Active",
-      riskLevel: "Moderate",
-    }
-  ];
-};
-
-/**
- * Returns mock traffic congestion data (Polylines)
- */
-export const getMockTrafficData = () => {
-  return [
-    {
-      id: "t1",
-      name: "Western Express Highway (Andheri to Bandra)",
-      paths: [
-        [
-          [72.8561, 19.1136], // Andheri
-          [72.8496, 19.0934], // Vile Parle
-          [72.8425, 19.0760], // Santacruz
-          [72.8360, 19.0550]  // Bandra
-        ]
-      ],
-      congestionLevel: "Red", // Heavy traffic
-      clearanceTime: "45 mins"
-    },
-    {
-      id: "t2",
-      name: "Eastern Express Highway (Ghatkopar to Sion)",
-      paths: [
-        [
-          [72.9125, 19.0860], // Ghatkopar
-          [72.8943, 19.0645], // Chembur
-          [72.8679, 19.0390]  // Sion
-        ]
-      ],
-      congestionLevel: "Yellow", // Moderate
-      clearanceTime: "20 mins"
-    },
-    {
-      id: "t3",
-      name: "Bandra-Worli Sea Link",
-      paths: [
-        [
-          [72.8223, 19.0436], // Bandra end
-          [72.8166, 19.0287], // Mid point
-          [72.8183, 19.0142]  // Worli end
-        ]
-      ],
-      congestionLevel: "Green", // Clear
-      clearanceTime: "7 mins"
-    }
-  ];
-};
-
 /**
  * Returns mock weather data (Temperature & Rainfall)
  */
@@ -1,15 +1,22 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vitejs.dev/config/
-export default defineConfig({
-    plugins: [react()],
-    server: {
-        port: 3000,
-        proxy: {
-            '/api': {
-                target: 'http://localhost:5000',
-                changeOrigin: true
+export default defineConfig(({ mode }) => {
+    // The API only lets the dashboard through without an API key when the proxy adds the
+    // server's DASHBOARD_TOKEN, so read it from the server's .env (or the environment)
+    const { DASHBOARD_TOKEN } = loadEnv(mode, new URL('../server', import.meta.url).pathname, 'DASHBOARD_')
+
+    return {
+        plugins: [react()],
+        server: {
+            port: 3000,
+            proxy: {
+                '/api': {
+                    target: 'http://localhost:5000',
+                    changeOrigin: true,
+                    headers: DASHBOARD_TOKEN ? { 'X-Dashboard-Token': DASHBOARD_TOKEN } : {}
+                }
             }
         }
     }
@@ -0,0 +1,167 @@
+const { fetch } = require('undici');
+const db = require('../db');
+const logger = require('../logger');
+const rules = require('./rules');
+const log = require('./log');
+const webhooks = require('./webhooks');
+const { parseBounds, isInBounds } = require('../geo');
+const { parseTime } = require('../history');
+
+// Checks incoming readings against the enabled rules and delivers alerts to webhooks.
+//
+// A reading is a station snapshot from one source: { id, name | city, lat/lng or
+// coordinates: [lng, lat], observedAt | lastUpdated, ...metrics }. Per rule and station the
+// engine remembers when the current breach started and when it last alerted, so a rule with
+// durationMinutes only fires once the breach has lasted that long (by reading time), and
+// not again until cooldownMinutes have passed.
+const WEBHOOK_TIMEOUT_MS = Number(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000;
+
+// Sent for every alert in addition to the rule's own webhooks (comma-separated)
+const GLOBAL_WEBHOOKS = (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+
+const getState = db.prepare('SELECT * FROM alert_state WHERE rule_id = ? AND station_id = ?');
+const putState = db.prepare(`
+  INSERT INTO alert_state (rule_id, station_id, breach_started_at, last_alerted_at)
+  VALUES (@ruleId, @stationId, @breachStartedAt, @lastAlertedAt)
+  ON CONFLICT (rule_id, station_id) DO UPDATE SET
+    breach_started_at = excluded.breach_started_at,
+    last_alerted_at   = excluded.last_alerted_at
+`);
+
+function stationName(reading) {
+  return reading.name ?? reading.city ?? null;
+}
+
+function matches(rule, reading) {
+  if (rule.stationId !== null && String(reading.id) !== rule.stationId) return false;
+  if (rule.area !== null && !(stationName(reading) || '').toLowerCase().includes(rule.area.toLowerCase())) return false;
+  if (rule.bounds !== null) {
+    const lat = reading.lat ?? reading.coordinates?.[1];
+    const lng = reading.lng ?? reading.coordinates?.[0];
+    if (lat == null || lng == null || !isInBounds(lat, lng, parseBounds(rule.bounds))) return false;
+  }
+  return true;
+}
+
+function breaches(rule, value) {
+  return rule.operator === 'below' ? value < rule.threshold : value > rule.threshold;
+}
+
+// Rule webhooks are checked against webhooks.js again before sending, connect only to the
+// public addresses its dispatcher resolved and do not follow redirects; the operator's
+// ALERT_WEBHOOK_URLS are trusted as they are
+async function postWebhook(url, payload, { trusted }) {
+  try {
+    const blocked = trusted ? null : webhooks.checkUrl(url);
+    if (blocked) return { url, ok: false, status: null, error: `Webhook ${blocked}` };
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      redirect: trusted ? 'follow' : 'manual',
+      dispatcher: trusted ? undefined : webhooks.dispatcher,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    return { url, ok: response.ok, status: response.status, error: null };
+  } catch (err) {
+    return { url, ok: false, status: null, error: err.cause?.message ?? err.message };
+  }
+}
+
+// POST the alert to every webhook and record the outcome in the log
+async function deliver(rule, alert) {
+  const urls = [...new Set([...rule.webhooks, ...GLOBAL_WEBHOOKS])];
+  if (urls.length === 0) return;
+
+  const payload = { type: 'alert', rule: { id: rule.id, name: rule.name }, alert };
+  const deliveries = await Promise.all(urls.map(url => postWebhook(url, payload, { trusted: GLOBAL_WEBHOOKS.includes(url) })));
+  for (const d of deliveries) {
+    if (!d.ok) logger.warn('alert webhook failed', { alertId: alert.id, url: d.url, error: d.error ?? `HTTP ${d.status}` });
+  }
+  log.setDeliveries(alert.id, deliveries);
+}
+
+// Returns the alerts that fired. Webhooks are delivered in the background.
+function evaluate(source, readings) {
+  const active = rules.listRules().filter(r => r.enabled && r.source === source);
+  if (active.length === 0) return [];
+
+  const now = Date.now();
+  const fired = [];
+
+  db.transaction(() => {
+    for (const rule of active) {
+      for (const reading of readings) {
+        if (!matches(rule, reading)) continue;
+        const value = reading[rule.metric];
+        if (typeof value !== 'number' || !Number.isFinite(value)) continue; // no data leaves the state alone
+
+        const stationId = String(reading.id);
+        const state = getState.get(rule.id, stationId);
+        const lastAlertedAt = state?.last_alerted_at ?? null;
+
+        if (!breaches(rule, value)) {
+          if (state?.breach_started_at != null) putState.run({ ruleId: rule.id, stationId, breachStartedAt: null, lastAlertedAt });
+          continue;
+        }
+
+        const observedAt = parseTime(reading.observedAt ?? reading.lastUpdated) ?? now;
+        const breachStartedAt = Math.min(state?.breach_started_at ?? observedAt, observedAt);
+        const sustained = observedAt - breachStartedAt >= rule.durationMinutes * 60_000;
+        const cooledDown = lastAlertedAt === null || now - lastAlertedAt >= rule.cooldownMinutes * 60_000;
+
+        if (sustained && cooledDown) {
+          fired.push({
+            rule,
+            alert: log.insertAlert({
+              ruleId: rule.id,
+              ruleName: rule.name,
+              source,
+              stationId,
+              stationName: stationName(reading),
+              metric: rule.metric,
+              operator: rule.operator,
+              threshold: rule.threshold,
+              value,
+              breachStartedAt,
+              triggeredAt: now,
+            }),
+          });
+          putState.run({ ruleId: rule.id, stationId, breachStartedAt, lastAlertedAt: now });
+        } else {
+          putState.run({ ruleId: rule.id, stationId, breachStartedAt, lastAlertedAt });
+        }
+      }
+    }
+  })();
+
+  for (const { rule, alert } of fired) {
+    logger.info('alert fired', {
+      alertId: alert.id,
+      ruleId: rule.id,
+      rule: rule.name,
+      source: alert.source,
+      stationId: alert.stationId,
+      station: alert.stationName,
+      metric: alert.metric,
+      value: alert.value,
+      operator: alert.operator,
+      threshold: alert.threshold,
+    });
+    deliver(rule, alert).catch(err => logger.warn('alert delivery failed', { alertId: alert.id, err }));
+  }
+  return fired.map(f => f.alert);
+}
+
+// For data paths: alert problems are logged, never passed on to the request being served
+function checkReadings(source, readings) {
+  try {
+    return evaluate(source, readings);
+  } catch (err) {
+    logger.warn('alert evaluation failed', { source, err });
+    return [];
+  }
+}
+
+module.exports = { evaluate, checkReadings };
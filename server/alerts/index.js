@@ -0,0 +1,5 @@
+const rules = require('./rules');
+const log = require('./log');
+const { evaluate, checkReadings } = require('./engine');
+
+module.exports = { rules, log, evaluate, checkReadings };
@@ -0,0 +1,62 @@
+const db = require('../db');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function toAlert(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    ruleName: row.rule_name,
+    source: row.source,
+    stationId: row.station_id,
+    stationName: row.station_name,
+    metric: row.metric,
+    operator: row.operator,
+    threshold: row.threshold,
+    value: row.value,
+    breachStartedAt: new Date(row.breach_started_at).toISOString(),
+    triggeredAt: new Date(row.triggered_at).toISOString(),
+    deliveries: JSON.parse(row.deliveries),
+  };
+}
+
+function insertAlert(alert) {
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO alert_log (rule_id, rule_name, source, station_id, station_name, metric, operator, threshold,
+      value, breach_started_at, triggered_at, deliveries)
+    VALUES (@ruleId, @ruleName, @source, @stationId, @stationName, @metric, @operator, @threshold,
+      @value, @breachStartedAt, @triggeredAt, '[]')
+  `).run(alert);
+  return getAlert(lastInsertRowid);
+}
+
+function getAlert(id) {
+  const row = db.prepare('SELECT * FROM alert_log WHERE id = ?').get(id);
+  return row ? toAlert(row) : null;
+}
+
+// Webhook results: [{ url, ok, status, error }]
+function setDeliveries(id, deliveries) {
+  db.prepare('UPDATE alert_log SET deliveries = ? WHERE id = ?').run(JSON.stringify(deliveries), id);
+}
+
+// Newest first. Filters: ruleId, stationId, source, from/to (epoch ms), limit.
+function queryAlerts({ ruleId, stationId, source, from, to, limit = DEFAULT_LIMIT } = {}) {
+  const where = [];
+  const params = { limit: Math.min(limit, MAX_LIMIT) };
+  if (ruleId) { where.push('rule_id = @ruleId'); params.ruleId = ruleId; }
+  if (stationId) { where.push('station_id = @stationId'); params.stationId = String(stationId); }
+  if (source) { where.push('source = @source'); params.source = source; }
+  if (from !== undefined) { where.push('triggered_at >= @from'); params.from = from; }
+  if (to !== undefined) { where.push('triggered_at <= @to'); params.to = to; }
+
+  return db.prepare(`
+    SELECT * FROM alert_log
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY triggered_at DESC, id DESC
+    LIMIT @limit
+  `).all(params).map(toAlert);
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, insertAlert, getAlert, setDeliveries, queryAlerts };
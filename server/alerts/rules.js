@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const db = require('../db');
+const webhooks = require('./webhooks');
+const { parseBounds } = require('../geo');
+
+// Registry of threshold alert rules. A rule watches one metric of one data source and fires
+// when a matching station is past the threshold for `durationMinutes`, then stays quiet for
+// `cooldownMinutes`. Stations are matched by any combination of `stationId`, `area` (part of
+// the station name, e.g. "Kurla") and `bounds` ("lat1,lng1,lat2,lng2"); none means every station.
+const METRICS = {
+  aqi: ['aqi', 'nowcastAqi', 'pm25', 'pm10', 'no2', 'co', 'o3', 'so2'],
+  weather: ['temperature', 'humidity', 'windSpeed', 'pressure', 'precipitation', 'precipitationProbability', 'boundaryLayerHeight'],
+  flood: ['waterLevel'],
+};
+const OPERATORS = ['above', 'below'];
+
+const DEFAULTS = { operator: 'above', durationMinutes: 0, cooldownMinutes: 60, webhooks: [], enabled: true };
+
+function toRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    source: row.source,
+    metric: row.metric,
+    operator: row.operator,
+    threshold: row.threshold,
+    stationId: row.station_id,
+    area: row.area,
+    bounds: row.bounds,
+    durationMinutes: row.duration_minutes,
+    cooldownMinutes: row.cooldown_minutes,
+    webhooks: JSON.parse(row.webhooks),
+    enabled: row.enabled === 1,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
+
+function isWholeMinutes(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Checks a complete rule (for updates, the stored rule merged with the changes).
+// Returns an error message, or null when it is usable.
+function validate(rule) {
+  if (!rule || typeof rule !== 'object') return 'Request body must be a JSON object.';
+  if (typeof rule.name !== 'string' || !rule.name.trim()) return '`name` is required.';
+  if (!METRICS[rule.source]) return `\`source\` must be one of: ${Object.keys(METRICS).join(', ')}.`;
+  if (!METRICS[rule.source].includes(rule.metric)) {
+    return `\`metric\` for ${rule.source} must be one of: ${METRICS[rule.source].join(', ')}.`;
+  }
+  if (!OPERATORS.includes(rule.operator)) return `\`operator\` must be one of: ${OPERATORS.join(', ')}.`;
+  if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) return '`threshold` must be a number.';
+  if (rule.stationId != null && typeof rule.stationId !== 'string' && typeof rule.stationId !== 'number') {
+    return '`stationId` must be a string.';
+  }
+  if (rule.area != null && (typeof rule.area !== 'string' || !rule.area.trim())) return '`area` must be a non-empty string.';
+  if (rule.bounds != null && !parseBounds(rule.bounds)) return '`bounds` must be lat1,lng1,lat2,lng2.';
+  if (!isWholeMinutes(rule.durationMinutes)) return '`durationMinutes` must be a whole number of minutes.';
+  if (!isWholeMinutes(rule.cooldownMinutes)) return '`cooldownMinutes` must be a whole number of minutes.';
+  if (!Array.isArray(rule.webhooks)) return '`webhooks` must be a list of https URLs.';
+  for (const url of rule.webhooks) {
+    const invalid = webhooks.checkUrl(url);
+    if (invalid) return `Webhook ${JSON.stringify(url)} ${invalid}.`;
+  }
+  if (typeof rule.enabled !== 'boolean') return '`enabled` must be true or false.';
+  return null;
+}
+
+function toParams(rule, now) {
+  return {
+    id: rule.id,
+    name: rule.name.trim(),
+    source: rule.source,
+    metric: rule.metric,
+    operator: rule.operator,
+    threshold: rule.threshold,
+    station_id: rule.stationId == null ? null : String(rule.stationId),
+    area: rule.area == null ? null : rule.area.trim(),
+    bounds: rule.bounds ?? null,
+    duration_minutes: rule.durationMinutes,
+    cooldown_minutes: rule.cooldownMinutes,
+    webhooks: JSON.stringify(rule.webhooks),
+    enabled: rule.enabled ? 1 : 0,
+    now,
+  };
+}
+
+function listRules() {
+  return db.prepare('SELECT * FROM alert_rules ORDER BY created_at, rowid').all().map(toRule);
+}
+
+function getRule(id) {
+  const row = db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(id);
+  return row ? toRule(row) : null;
+}
+
+// Fills in defaults for omitted fields. Returns { rule } or { error }.
+function prepareRule(input) {
+  const rule = { ...DEFAULTS, ...input, id: input?.id || `r-${crypto.randomUUID().slice(0, 8)}` };
+  const error = validate(rule);
+  return error ? { error } : { rule };
+}
+
+// Returns the new rule, or null when the id is already taken. `rule` comes from prepareRule.
+function createRule(rule) {
+  if (getRule(rule.id)) return null;
+  db.prepare(`
+    INSERT INTO alert_rules (id, name, source, metric, operator, threshold, station_id, area, bounds,
+      duration_minutes, cooldown_minutes, webhooks, enabled, created_at, updated_at)
+    VALUES (@id, @name, @source, @metric, @operator, @threshold, @station_id, @area, @bounds,
+      @duration_minutes, @cooldown_minutes, @webhooks, @enabled, @now, @now)
+  `).run(toParams(rule, Date.now()));
+  return getRule(rule.id);
+}
+
+// Applies a partial change. Returns { rule }, { error }, or null when the rule does not exist.
+function updateRule(id, input) {
+  const existing = getRule(id);
+  if (!existing) return null;
+  if (input?.id !== undefined && input.id !== id) return { error: '`id` cannot be changed.' };
+
+  const rule = { ...existing, ...input, id };
+  const error = validate(rule);
+  if (error) return { error };
+
+  db.prepare(`
+    UPDATE alert_rules
+    SET name = @name, source = @source, metric = @metric, operator = @operator, threshold = @threshold,
+      station_id = @station_id, area = @area, bounds = @bounds, duration_minutes = @duration_minutes,
+      cooldown_minutes = @cooldown_minutes, webhooks = @webhooks, enabled = @enabled, updated_at = @now
+    WHERE id = @id
+  `).run(toParams(rule, Date.now()));
+  // Whatever was building up under the old definition no longer applies
+  db.prepare('DELETE FROM alert_state WHERE rule_id = ?').run(id);
+  return { rule: getRule(id) };
+}
+
+// Returns false when there was nothing to delete. The rule's alerts stay in the log.
+function deleteRule(id) {
+  db.prepare('DELETE FROM alert_state WHERE rule_id = ?').run(id);
+  return db.prepare('DELETE FROM alert_rules WHERE id = ?').run(id).changes > 0;
+}
+
+module.exports = { METRICS, OPERATORS, validate, listRules, getRule, prepareRule, createRule, updateRule, deleteRule };
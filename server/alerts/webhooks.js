@@ -0,0 +1,74 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+
+// Which webhook URLs a rule may carry. Rules can be written through the API, so their webhooks
+// must not let the server be pointed at itself or the network around it: only https, never a
+// loopback, private, link-local (cloud metadata) or otherwise internal address, and when
+// ALERT_WEBHOOK_HOSTS is set (comma-separated hostnames), only those hosts. Internal receivers
+// belong in ALERT_WEBHOOK_URLS, which only the operator can set and which is not checked here.
+const ALLOWED_HOSTS = new Set(
+  (process.env.ALERT_WEBHOOK_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+);
+
+const INTERNAL = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  INTERNAL.addSubnet(address, prefix, 'ipv4');
+}
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+for (const [address, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  INTERNAL.addSubnet(address, prefix, 'ipv6');
+}
+
+function isInternalAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 ? false : INTERNAL.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// URL hostnames keep the brackets around IPv6 literals
+function hostOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+// Returns an error message for a rule's webhook URL, or null when it is allowed
+function checkUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'must be a URL';
+  }
+  if (url.protocol !== 'https:') return 'must use https';
+  if (url.username || url.password) return 'cannot carry credentials';
+
+  const host = hostOf(url);
+  if (host === 'localhost' || host.endsWith('.localhost') || isInternalAddress(host)) {
+    return 'cannot point at a local or internal address';
+  }
+  if (ALLOWED_HOSTS.size > 0 && !ALLOWED_HOSTS.has(host)) {
+    return `must be on one of the allowed hosts (${[...ALLOWED_HOSTS].join(', ')})`;
+  }
+  return null;
+}
+
+// dns.lookup for rule webhook connections. The address is checked as the connection is made,
+// so a hostname cannot resolve to a public address when the rule is saved and to an internal
+// one when the alert is sent (DNS rebinding).
+function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(a => isInternalAddress(a.address))) {
+      return callback(new Error(`${hostname} resolves to an internal address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Pass as fetch's `dispatcher` when delivering to a rule's webhook
+const dispatcher = new Agent({ connect: { lookup: lookupPublic } });
+
+module.exports = { checkUrl, dispatcher };
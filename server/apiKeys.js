@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const db = require('./db');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// API keys for third-party consumers of /api/aqi, /api/weather and the stream, so other teams
+// cannot burn through the WAQI quota anonymously. Each key has a per-minute rate limit and an
+// optional daily quota. Keys are shown once when created; only their SHA-256 hash is stored.
+// A key's `scope` is `read`, or `ingest` for gauges and detectors that also push flood
+// readings and traffic speeds. Keys as the admin API returns them:
+// { id, name, prefix, scope, rateLimit, dailyQuota, createdAt, revokedAt, lastUsedAt, usedToday }
+const DEFAULT_RATE_LIMIT = Number(process.env.API_KEY_RATE_LIMIT) || 60;
+const DEFAULT_DAILY_QUOTA = Number(process.env.API_KEY_DAILY_QUOTA) || 10000;
+const MAX_RATE_LIMIT = 10000;
+const RATE_WINDOW_MS = 60 * 1000;
+const SCOPES = ['read', 'ingest'];
+
+// The dashboard does not carry a key. Instead the proxy in front of it (the Vite dev server, or
+// the web server in production) adds DASHBOARD_TOKEN as X-Dashboard-Token to every /api request,
+// so the secret never reaches the browser. index.js refuses to start without DASHBOARD_TOKEN.
+const DASHBOARD_TOKEN = process.env.DASHBOARD_TOKEN || '';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Compares digests so the comparison takes the same time whatever the token length
+function matchesSecret(value, secret) {
+  return Boolean(value && secret) &&
+    crypto.timingSafeEqual(Buffer.from(hashKey(value), 'hex'), Buffer.from(hashKey(secret), 'hex'));
+}
+
+function isFirstParty(req) {
+  return matchesSecret(req.get('x-dashboard-token'), DASHBOARD_TOKEN);
+}
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+const usageForDay = db.prepare('SELECT requests FROM api_key_usage WHERE key_id = ? AND day = ?');
+
+function toKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scope: row.scope,
+    rateLimit: row.rate_limit,
+    dailyQuota: row.daily_quota,
+    createdAt: new Date(row.created_at).toISOString(),
+    revokedAt: row.revoked_at ? new Date(row.revoked_at).toISOString() : null,
+    lastUsedAt: row.last_used_at ? new Date(row.last_used_at).toISOString() : null,
+    usedToday: usageForDay.get(row.id, utcDay(Date.now()))?.requests ?? 0,
+  };
+}
+
+// Checks a create payload: { name, scope?, rateLimit?, dailyQuota? }.
+// Returns an error message, or null when it is usable.
+function validate(input) {
+  if (!input || typeof input !== 'object') return 'Request body must be a JSON object.';
+  if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 100) {
+    return '`name` is required (who the key is for, up to 100 characters).';
+  }
+  if (input.scope !== undefined && !SCOPES.includes(input.scope)) {
+    return `\`scope\` must be one of ${SCOPES.join(', ')}.`;
+  }
+  if (input.rateLimit !== undefined && (!Number.isInteger(input.rateLimit) || input.rateLimit < 1 || input.rateLimit > MAX_RATE_LIMIT)) {
+    return `\`rateLimit\` must be a whole number of requests per minute from 1 to ${MAX_RATE_LIMIT}.`;
+  }
+  if (input.dailyQuota !== undefined && input.dailyQuota !== null && (!Number.isInteger(input.dailyQuota) || input.dailyQuota < 1)) {
+    return '`dailyQuota` must be a positive whole number of requests per UTC day, or null for no quota.';
+  }
+  return null;
+}
+
+function listKeys() {
+  return db.prepare('SELECT * FROM api_keys ORDER BY created_at, rowid').all().map(toKey);
+}
+
+function getKey(id) {
+  const row = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+  return row ? toKey(row) : null;
+}
+
+// Returns the stored key plus `key`, the secret itself, which is not retrievable afterwards
+function createKey(input) {
+  const id = `k-${crypto.randomUUID().slice(0, 8)}`;
+  const key = `aqv_${crypto.randomBytes(24).toString('hex')}`;
+
+  db.prepare(`
+    INSERT INTO api_keys (id, name, prefix, key_hash, scope, rate_limit, daily_quota, created_at)
+    VALUES (@id, @name, @prefix, @hash, @scope, @rateLimit, @dailyQuota, @now)
+  `).run({
+    id,
+    name: input.name.trim(),
+    prefix: key.slice(0, 8),
+    hash: hashKey(key),
+    scope: input.scope ?? 'read',
+    rateLimit: input.rateLimit ?? DEFAULT_RATE_LIMIT,
+    dailyQuota: input.dailyQuota === undefined ? DEFAULT_DAILY_QUOTA : input.dailyQuota,
+    now: Date.now(),
+  });
+  logger.info('api key created', { keyId: id, name: input.name.trim(), scope: input.scope ?? 'read' });
+  return { ...getKey(id), key };
+}
+
+// Revoked keys stay listed (with revokedAt) so their usage can still be looked up.
+// Returns false when there is no such key.
+function revokeKey(id) {
+  const result = db.prepare('UPDATE api_keys SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?').run(Date.now(), id);
+  if (result.changes > 0) {
+    windows.delete(id);
+    logger.info('api key revoked', { keyId: id });
+  }
+  return result.changes > 0;
+}
+
+// ─── Enforcement ───────────────────────────────────────────────────
+
+// Fixed one-minute window per key: { start, count }. In memory, so a restart resets it;
+// the daily quota is counted in the database and survives restarts.
+const windows = new Map();
+
+const recordUsage = db.prepare(`
+  INSERT INTO api_key_usage (key_id, day, requests) VALUES (?, ?, 1)
+  ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + 1
+`);
+const touchKey = db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?');
+
+function tooManyRequests(res, retryAfterMs, error, details) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  return res.status(429).json({ error, details });
+}
+
+// Checks the X-API-Key header against `scope` and counts the request against the key's limits.
+// Sends the error response and returns false when the request may not go ahead.
+function checkKey(req, res, scope) {
+  const key = req.get('x-api-key');
+  if (!key) {
+    res.status(401).json({ error: 'API key required', details: 'Send your key in the X-API-Key header.' });
+    return false;
+  }
+  const row = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(hashKey(key));
+  if (!row || row.revoked_at) {
+    res.status(401).json({ error: 'Invalid or revoked API key' });
+    return false;
+  }
+  if (scope === 'ingest' && row.scope !== 'ingest') {
+    res.status(403).json({ error: 'API key cannot push data', details: 'Pushing readings needs a key with the `ingest` scope.' });
+    return false;
+  }
+  req.apiKey = { id: row.id, name: row.name };
+
+  const now = Date.now();
+  let window = windows.get(row.id);
+  if (!window || now - window.start >= RATE_WINDOW_MS) {
+    window = { start: now, count: 0 };
+    windows.set(row.id, window);
+  }
+  const resetMs = window.start + RATE_WINDOW_MS - now;
+  res.set('X-RateLimit-Limit', String(row.rate_limit));
+  res.set('X-RateLimit-Reset', String(Math.ceil((window.start + RATE_WINDOW_MS) / 1000)));
+
+  if (window.count >= row.rate_limit) {
+    res.set('X-RateLimit-Remaining', '0');
+    metrics.apiKeyRequests.inc({ key: row.id, result: 'rate_limited' });
+    tooManyRequests(res, resetMs, 'Rate limit exceeded', `This key allows ${row.rate_limit} requests per minute.`);
+    return false;
+  }
+
+  const day = utcDay(now);
+  if (row.daily_quota !== null && (usageForDay.get(row.id, day)?.requests ?? 0) >= row.daily_quota) {
+    const nextDay = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+    metrics.apiKeyRequests.inc({ key: row.id, result: 'quota_exceeded' });
+    tooManyRequests(res, nextDay - now, 'Daily quota exceeded', `This key allows ${row.daily_quota} requests per UTC day.`);
+    return false;
+  }
+
+  window.count += 1;
+  res.set('X-RateLimit-Remaining', String(row.rate_limit - window.count));
+  recordUsage.run(row.id, day);
+  touchKey.run(now, row.id);
+  metrics.apiKeyRequests.inc({ key: row.id, result: 'ok' });
+  return true;
+}
+
+// Middleware for routers that third parties may call. The key goes in the X-API-Key header;
+// the dashboard (see DASHBOARD_TOKEN) and admin requests go through without one.
+function requireApiKey(req, res, next) {
+  if (isFirstParty(req) || isAdmin(req) || checkKey(req, res, 'read')) next();
+}
+
+// Middleware for pushing readings: needs an `ingest` key (or the admin token)
+function requireIngestKey(req, res, next) {
+  if (isAdmin(req) || checkKey(req, res, 'ingest')) next();
+}
+
+// ─── Admin access ──────────────────────────────────────────────────
+
+// The admin API is only available when ADMIN_TOKEN is set; callers send it as a bearer token
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+function isAdmin(req) {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  return Boolean(match) && matchesSecret(match[1], ADMIN_TOKEN);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin API is disabled', details: 'Set ADMIN_TOKEN on the server to enable it.' });
+  }
+  if (!isAdmin(req)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
+
+module.exports = {
+  validate,
+  listKeys,
+  getKey,
+  createKey,
+  revokeKey,
+  requireApiKey,
+  requireIngestKey,
+  requireAdmin,
+};
@@ -0,0 +1,176 @@
+// US EPA Air Quality Index (Technical Assistance Document, 2024 PM2.5 revision).
+//
+// Every pollutant has its own breakpoint table, averaging period and truncation rule.
+// The overall AQI is the highest sub-index, and that pollutant is the dominant one.
+// Concentrations use the units the rest of the server uses: µg/m³ for PM, ppb for
+// O₃/NO₂/SO₂ and ppm for CO (O₃ is converted to ppm internally because EPA tables are ppm).
+
+// [concLo, concHi, aqiLo, aqiHi]
+const BREAKPOINTS = {
+  // 24-hour average, µg/m³, truncated to 0.1
+  pm25: [
+    [0.0, 9.0, 0, 50],
+    [9.1, 35.4, 51, 100],
+    [35.5, 55.4, 101, 150],
+    [55.5, 125.4, 151, 200],
+    [125.5, 225.4, 201, 300],
+    [225.5, 325.4, 301, 500],
+  ],
+  // 24-hour average, µg/m³, truncated to integer
+  pm10: [
+    [0, 54, 0, 50],
+    [55, 154, 51, 100],
+    [155, 254, 101, 150],
+    [255, 354, 151, 200],
+    [355, 424, 201, 300],
+    [425, 604, 301, 500],
+  ],
+  // 8-hour average, ppm, truncated to 0.001. No 8-hour values above 300 — the 1-hour table takes over.
+  o3: [
+    [0.000, 0.054, 0, 50],
+    [0.055, 0.070, 51, 100],
+    [0.071, 0.085, 101, 150],
+    [0.086, 0.105, 151, 200],
+    [0.106, 0.200, 201, 300],
+  ],
+  // 1-hour average, ppm, truncated to 0.001. Only defined from 0.125 ppm upwards.
+  o3_1h: [
+    [0.125, 0.164, 101, 150],
+    [0.165, 0.204, 151, 200],
+    [0.205, 0.404, 201, 300],
+    [0.405, 0.604, 301, 500],
+  ],
+  // 8-hour average, ppm, truncated to 0.1
+  co: [
+    [0.0, 4.4, 0, 50],
+    [4.5, 9.4, 51, 100],
+    [9.5, 12.4, 101, 150],
+    [12.5, 15.4, 151, 200],
+    [15.5, 30.4, 201, 300],
+    [30.5, 50.4, 301, 500],
+  ],
+  // 1-hour average, ppb, truncated to integer (EPA switches to 24-hour values above 304 ppb;
+  // we only ever have hourly data, so the hourly value is used throughout)
+  so2: [
+    [0, 35, 0, 50],
+    [36, 75, 51, 100],
+    [76, 185, 101, 150],
+    [186, 304, 151, 200],
+    [305, 604, 201, 300],
+    [605, 1004, 301, 500],
+  ],
+  // 1-hour average, ppb, truncated to integer
+  no2: [
+    [0, 53, 0, 50],
+    [54, 100, 51, 100],
+    [101, 360, 101, 150],
+    [361, 649, 151, 200],
+    [650, 1249, 201, 300],
+    [1250, 2049, 301, 500],
+  ],
+};
+
+// Decimal places kept before looking up the breakpoint
+const PRECISION = { pm25: 1, pm10: 0, o3: 3, o3_1h: 3, co: 1, so2: 0, no2: 0 };
+
+// Averaging period per pollutant, in hours
+const AVERAGING_PERIODS = { pm25: 24, pm10: 24, o3: 8, co: 8, so2: 1, no2: 1 };
+
+const POLLUTANTS = Object.keys(AVERAGING_PERIODS);
+
+// Top of the 8-hour O₃ table, ppm
+const O3_8H_MAX = BREAKPOINTS.o3[BREAKPOINTS.o3.length - 1][1];
+
+function truncate(value, digits) {
+  const factor = 10 ** digits;
+  return Math.floor(value * factor) / factor;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// Sub-index for one pollutant. `table` is a key of BREAKPOINTS; the concentration must
+// already be in that table's unit. Returns null when there is no value or no breakpoint
+// covers it (e.g. 1-hour O₃ below 0.125 ppm). Values above the top breakpoint cap at 500.
+function subIndex(table, concentration) {
+  const value = toNumber(concentration);
+  if (value === null) return null;
+
+  const rows = BREAKPOINTS[table];
+  const c = truncate(value, PRECISION[table]);
+  if (c > rows[rows.length - 1][1]) return 500;
+
+  const row = rows.find(([, hi]) => c <= hi);
+  if (!row || c < rows[0][0]) return null;
+
+  const [bpLo, bpHi, iLo, iHi] = row;
+  const clamped = Math.max(c, bpLo);
+  return Math.round(((iHi - iLo) / (bpHi - bpLo)) * (clamped - bpLo) + iLo);
+}
+
+// Overall AQI from a set of concentrations keyed by pollutant (pm25, pm10, o3, co, so2, no2),
+// each ideally already averaged over AVERAGING_PERIODS. Pass the latest hourly ozone as
+// `o3_1h` to apply EPA's rule of taking the higher of the 8-hour and 1-hour ozone indices;
+// without it, ozone above the 8-hour table is left out.
+function computeAqi(concentrations = {}) {
+  const subIndices = {};
+
+  const o3Hourly = toNumber(concentrations.o3_1h);
+
+  for (const pollutant of POLLUTANTS) {
+    let value = toNumber(concentrations[pollutant]);
+    if (pollutant === 'o3' && value !== null) {
+      value = value / 1000;
+      // The 8-hour table stops at 0.200 ppm. EPA scores higher ozone from the 1-hour
+      // concentration only, so an 8-hour value above that gets no sub-index of its own.
+      if (truncate(value, PRECISION.o3) > O3_8H_MAX) continue;
+    }
+    const index = subIndex(pollutant, value);
+    if (index !== null) subIndices[pollutant] = index;
+  }
+
+  if (o3Hourly !== null) {
+    const hourlyIndex = subIndex('o3_1h', o3Hourly / 1000);
+    if (hourlyIndex !== null && hourlyIndex > (subIndices.o3 ?? -1)) subIndices.o3 = hourlyIndex;
+  }
+
+  let aqi = null;
+  let dominantPollutant = null;
+  for (const [pollutant, index] of Object.entries(subIndices)) {
+    if (aqi === null || index > aqi) {
+      aqi = index;
+      dominantPollutant = pollutant;
+    }
+  }
+
+  return { aqi, dominantPollutant, subIndices };
+}
+
+// The concentration a sub-index stands for (the inverse of subIndex), for readings that only
+// come with an AQI. Returns null outside the table.
+function concentrationFor(table, aqi) {
+  const value = toNumber(aqi);
+  if (value === null) return null;
+
+  const row = BREAKPOINTS[table].find(([, , iLo, iHi]) => value >= iLo && value <= iHi);
+  if (!row) return null;
+
+  const [bpLo, bpHi, iLo, iHi] = row;
+  return ((value - iLo) * (bpHi - bpLo)) / (iHi - iLo) + bpLo;
+}
+
+// AQI color helper
+function getAqiColor(aqi) {
+  if (aqi === null || aqi === undefined) return '#6b7280';
+  if (aqi <= 50) return '#22c55e';
+  if (aqi <= 100) return '#eab308';
+  if (aqi <= 150) return '#f97316';
+  if (aqi <= 200) return '#ef4444';
+  if (aqi <= 300) return '#a855f7';
+  return '#9f1239';
+}
+
+module.exports = { AVERAGING_PERIODS, POLLUTANTS, subIndex, concentrationFor, computeAqi, getAqiColor };
@@ -0,0 +1,66 @@
+const epa = require('./epa');
+const naqi = require('./naqi');
+const nowcast = require('./nowcast');
+
+// Averaging periods (hours) per index, for history.getAverages
+const AVERAGING_PERIODS = { epa: epa.AVERAGING_PERIODS, naqi: naqi.AVERAGING_PERIODS };
+
+function averagedConcentrations(reading, pollutants, averages = {}) {
+  const concentrations = {};
+  for (const pollutant of pollutants) {
+    concentrations[pollutant] = averages[pollutant] ?? reading[pollutant];
+  }
+  return concentrations;
+}
+
+// Fill in the derived AQI fields on a normalized station reading.
+//
+// `averages` holds per-index concentrations over that index's averaging periods
+// ({ epa: {...}, naqi: {...} }, see history.getAverages); where a pollutant has none,
+// the instantaneous reading is used. A provider-supplied AQI wins over the computed EPA
+// one, so WAQI's official number is kept and the calculation only fills the gaps.
+function withAqi(reading, averages = {}) {
+  const computed = epa.computeAqi({
+    ...averagedConcentrations(reading, epa.POLLUTANTS, averages.epa),
+    o3_1h: reading.o3,
+  });
+  const india = naqi.computeNaqi(averagedConcentrations(reading, naqi.POLLUTANTS, averages.naqi));
+
+  return {
+    ...reading,
+    aqi: reading.aqi ?? computed.aqi,
+    dominantPollutant: reading.dominantPollutant ?? computed.dominantPollutant,
+    subIndices: computed.subIndices,
+    naqi: india,
+  };
+}
+
+// Attach the particulate NowCast from hourly series ({ pm25: [...], pm10: [...] }, most
+// recent hour first; see history.getHourlySeries). Kept apart from `aqi` so clients can
+// choose between the instantaneous and the smoothed figure.
+function withNowcast(station, hourly) {
+  const result = nowcast.computeNowcast(hourly);
+  return { ...station, nowcastAqi: result.aqi, nowcast: result };
+}
+
+// EPA AQI for one forecast hour ({ time, pm25, pm10, o3 }). Forecasts are hourly values,
+// so they stand in for each pollutant's averaging period; ozone also uses the 1-hour scale.
+function withForecastAqi(point) {
+  const { aqi, dominantPollutant } = epa.computeAqi({
+    pm25: point.pm25,
+    pm10: point.pm10,
+    o3: point.o3,
+    o3_1h: point.o3,
+  });
+  return { ...point, aqi, dominantPollutant };
+}
+
+module.exports = {
+  AVERAGING_PERIODS,
+  NOWCAST_HOURS: nowcast.HOURS,
+  withAqi,
+  withNowcast,
+  withForecastAqi,
+  concentrationFor: epa.concentrationFor,
+  getAqiColor: epa.getAqiColor,
+};
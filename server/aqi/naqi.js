@@ -0,0 +1,102 @@
+// Indian National Air Quality Index (CPCB, 2014).
+//
+// Sub-indices for eight pollutants on CPCB breakpoints. CPCB only publishes an index when
+// at least three pollutants are available and one of them is PM2.5 or PM10; otherwise
+// the result is null. Inputs use the server's units (µg/m³ for PM and Pb, ppb for the
+// gases, ppm for CO) and are converted to CPCB's µg/m³ / mg/m³ here.
+
+const CATEGORIES = [
+  [50, 'Good'],
+  [100, 'Satisfactory'],
+  [200, 'Moderately Polluted'],
+  [300, 'Poor'],
+  [400, 'Very Poor'],
+  [500, 'Severe'],
+];
+
+const INDEX_BANDS = [[0, 50], [51, 100], [101, 200], [201, 300], [301, 400], [401, 500]];
+
+// Upper concentration of each band in CPCB units. CPCB leaves the Severe band open-ended;
+// its upper end here is where the index reaches 500 (the caps commonly used with the
+// CPCB calculator).
+const BAND_LIMITS = {
+  pm10: [50, 100, 250, 350, 430, 510],
+  pm25: [30, 60, 90, 120, 250, 380],
+  no2: [40, 80, 180, 280, 400, 520],
+  o3: [50, 100, 168, 208, 748, 1000],
+  co: [1.0, 2.0, 10, 17, 34, 51],
+  so2: [40, 80, 380, 800, 1600, 2400],
+  nh3: [200, 400, 800, 1200, 1800, 2400],
+  pb: [0.5, 1.0, 2.0, 3.0, 3.5, 4.5],
+};
+
+// Averaging period per pollutant, in hours
+const AVERAGING_PERIODS = { pm25: 24, pm10: 24, no2: 24, so2: 24, nh3: 24, pb: 24, o3: 8, co: 8 };
+
+const POLLUTANTS = Object.keys(BAND_LIMITS);
+const MIN_POLLUTANTS = 3;
+
+// Molecular weights for ppb -> µg/m³ (at 25 °C, 1 atm: µg/m³ = ppb × MW / 24.45)
+const MOLECULAR_WEIGHTS = { no2: 46.01, o3: 48.0, so2: 64.07, nh3: 17.03, co: 28.01 };
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// Server units -> CPCB units
+function toCpcbUnits(pollutant, value) {
+  if (pollutant === 'co') return (value * MOLECULAR_WEIGHTS.co) / 24.45; // ppm -> mg/m³
+  if (MOLECULAR_WEIGHTS[pollutant]) return (value * MOLECULAR_WEIGHTS[pollutant]) / 24.45; // ppb -> µg/m³
+  return value;
+}
+
+// Sub-index for one pollutant from a concentration already in CPCB units
+function subIndex(pollutant, concentration) {
+  const c = toNumber(concentration);
+  if (c === null) return null;
+
+  const limits = BAND_LIMITS[pollutant];
+  const band = limits.findIndex(hi => c <= hi);
+  if (band === -1) return 500;
+
+  const bpLo = band === 0 ? 0 : limits[band - 1];
+  const bpHi = limits[band];
+  const [iLo, iHi] = band === 0 ? [0, 50] : [INDEX_BANDS[band][0] - 1, INDEX_BANDS[band][1]];
+  return Math.round(((iHi - iLo) / (bpHi - bpLo)) * (c - bpLo) + iLo);
+}
+
+function getCategory(index) {
+  if (index === null || index === undefined) return null;
+  return CATEGORIES.find(([hi]) => index <= hi)?.[1] ?? 'Severe';
+}
+
+// NAQI from concentrations keyed by pollutant (server units), ideally averaged over
+// AVERAGING_PERIODS. `aqi` is null when CPCB's minimum-data rule is not met.
+function computeNaqi(concentrations = {}) {
+  const subIndices = {};
+  for (const pollutant of POLLUTANTS) {
+    const value = toNumber(concentrations[pollutant]);
+    if (value === null) continue;
+    subIndices[pollutant] = subIndex(pollutant, toCpcbUnits(pollutant, value));
+  }
+
+  const available = Object.keys(subIndices);
+  const hasParticulates = available.includes('pm25') || available.includes('pm10');
+
+  let aqi = null;
+  let dominantPollutant = null;
+  if (available.length >= MIN_POLLUTANTS && hasParticulates) {
+    for (const [pollutant, index] of Object.entries(subIndices)) {
+      if (aqi === null || index > aqi) {
+        aqi = index;
+        dominantPollutant = pollutant;
+      }
+    }
+  }
+
+  return { aqi, category: getCategory(aqi), dominantPollutant, subIndices, pollutantCount: available.length };
+}
+
+module.exports = { AVERAGING_PERIODS, POLLUTANTS, subIndex, getCategory, computeNaqi };
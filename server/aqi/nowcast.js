@@ -0,0 +1,52 @@
+const epa = require('./epa');
+
+// EPA NowCast for particulates.
+//
+// Takes up to 12 hourly average concentrations, most recent first (index 0 = the hour
+// ending now), with null for hours without data. Recent hours are weighted more heavily
+// the more the concentration has been changing:
+//
+//   w* = min / max over the available hours, w = max(w*, 0.5)
+//   NowCast = Σ wⁱ·cᵢ / Σ wⁱ  (i = hours ago)
+//
+// EPA requires at least two of the three most recent hours; otherwise the result is null.
+const HOURS = 12;
+const MIN_WEIGHT = 0.5;
+
+function nowcastConcentration(hourly) {
+  const values = hourly.slice(0, HOURS);
+  const recent = values.slice(0, 3).filter(v => v !== null && v !== undefined);
+  if (recent.length < 2) return null;
+
+  const available = values.filter(v => v !== null && v !== undefined);
+  const max = Math.max(...available);
+  const min = Math.min(...available);
+  const weight = max === 0 ? 1 : Math.max(min / max, MIN_WEIGHT);
+
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((c, hoursAgo) => {
+    if (c === null || c === undefined) return;
+    const w = weight ** hoursAgo;
+    numerator += w * c;
+    denominator += w;
+  });
+  return numerator / denominator;
+}
+
+// NowCast concentrations and AQI from { pm25: [...], pm10: [...] } hourly series.
+// `aqi` is the higher of the two particulate sub-indices.
+function computeNowcast(series) {
+  const pm25 = nowcastConcentration(series.pm25 || []);
+  const pm10 = nowcastConcentration(series.pm10 || []);
+  const { aqi, dominantPollutant } = epa.computeAqi({ pm25, pm10 });
+
+  return {
+    aqi,
+    dominantPollutant,
+    pm25: pm25 === null ? null : Math.round(pm25 * 10) / 10,
+    pm10: pm10 === null ? null : Math.round(pm10),
+  };
+}
+
+module.exports = { HOURS, nowcastConcentration, computeNowcast };
@@ -0,0 +1,145 @@
+const alerts = require('./alerts');
+const calibration = require('./calibration');
+const history = require('./history');
+const logger = require('./logger');
+const quality = require('./quality');
+const tileCache = require('./tileCache');
+const store = require('./ingestion/store');
+const { NOWCAST_HOURS, withAqi, withNowcast, getAqiColor } = require('./aqi');
+const { getAqiProvider } = require('./providers');
+const { isInBounds, padBounds } = require('./geo');
+
+// Station lists from the configured AQI provider, shared by /api/aqi and the live stream.
+
+// How old a station's reading may get before it counts as delayed / offline. WAQI keeps
+// serving stations that stopped reporting days ago; offline ones are left out of the grid,
+// the ward aggregates and the dashboard averages.
+const DELAYED_AFTER_MINUTES = Number(process.env.STATION_DELAYED_AFTER_MINUTES) || 90;
+const OFFLINE_AFTER_MINUTES = Number(process.env.STATION_OFFLINE_AFTER_MINUTES) || 6 * 60;
+
+const STATION_STATUSES = ['live', 'delayed', 'offline'];
+
+// { ageMinutes, status } for a station's lastUpdated. A station without a timestamp is offline.
+function getFreshness(lastUpdated, now = Date.now()) {
+  const observedAt = history.parseTime(lastUpdated);
+  if (observedAt === null) return { ageMinutes: null, status: 'offline' };
+
+  const ageMinutes = Math.max(0, Math.round((now - observedAt) / 60000));
+  let status = 'live';
+  if (ageMinutes > OFFLINE_AFTER_MINUTES) status = 'offline';
+  else if (ageMinutes > DELAYED_AFTER_MINUTES) status = 'delayed';
+  return { ageMinutes, status };
+}
+
+// Age is relative to now, so it is added when a station is served rather than when it is cached
+function withFreshness(station, now) {
+  return { ...station, ...getFreshness(station.lastUpdated, now) };
+}
+
+function isReporting(station) {
+  return getFreshness(station.lastUpdated).status !== 'offline';
+}
+
+// NowCast over the stored hours leading up to the station's latest observation
+function addNowcast(station) {
+  const observedAt = history.parseTime(station.lastUpdated) ?? Date.now();
+  return withNowcast(station, history.getHourlySeries(station.id, observedAt, ['pm25', 'pm10'], NOWCAST_HOURS));
+}
+
+// Stations in `bounds` straight from the provider, calibrated and with their AQI. They are
+// stored so /api/aqi/:stationId/history and the NowCast have something to work with, and
+// checked against the alert rules. Loads cache tiles and ingestion runs.
+async function fetchStations(provider, bounds) {
+  const calibrated = await calibration.calibrateStations(await provider.listStations(bounds));
+  const fetched = calibrated.map(s => withAqi(s));
+  try {
+    history.recordReadings(fetched);
+  } catch (e) {
+    logger.warn('failed to store AQI snapshot', { err: e });
+  }
+  const stations = fetched.map(addNowcast);
+  alerts.checkReadings('aqi', stations);
+  return stations;
+}
+
+// Past readings in `bounds` between from/to (epoch ms) into the history, for ingestion runs
+// that were missed. Only providers with a history API (`listHistory`) can do this. Humidity
+// corrections use the current humidity. Returns the number of readings stored, or null when
+// the provider has no history.
+async function backfillStations(provider, bounds, from, to) {
+  if (!provider.listHistory) return null;
+  const readings = await calibration.calibrateStations(await provider.listHistory(bounds, from, to));
+  history.recordReadings(readings.map(s => withAqi(s)));
+  return readings.length;
+}
+
+// Stations in `area` without quality flags. When a region the ingestion worker keeps up to date
+// covers `bounds` they come from the store (status STORE); otherwise through the per-tile cache,
+// where upstream is only hit for tiles that are missing or stale.
+async function loadArea(provider, bounds, area) {
+  return store.findCoveringRegion('aqi', provider.name, bounds)
+    ? { stations: store.getSnapshots(provider.name, area), status: 'STORE' }
+    : tileCache.getStations(provider.name, area, tileBounds => fetchStations(provider, tileBounds));
+}
+
+// Stations in a bounding box, each with its quality flags (see quality.js). The stations within
+// the neighbour radius around `bounds` are loaded too, so the spatial check always compares a
+// station with the same neighbours whatever part of the map is in view.
+async function loadStations(bounds) {
+  const provider = getAqiProvider();
+  const result = await loadArea(provider, bounds, padBounds(bounds, quality.NEIGHBOUR_RADIUS_KM));
+  const inView = result.stations.filter(s => isInBounds(s.lat, s.lng, bounds));
+  return { ...result, stations: quality.checkStations(inView, result.stations.filter(isReporting)) };
+}
+
+// Quality flags for a single station, checked against the stations around it
+async function checkStation(station) {
+  const point = { south: station.lat, north: station.lat, west: station.lng, east: station.lng };
+  let neighbours = [];
+  try {
+    ({ stations: neighbours } = await loadArea(getAqiProvider(), point, padBounds(point, quality.NEIGHBOUR_RADIUS_KM)));
+  } catch (e) {
+    logger.warn('could not load neighbours for quality checks', { stationId: station.id, err: e });
+  }
+  return quality.checkStation(station, neighbours.filter(isReporting));
+}
+
+// The fields the map list needs from a full station record
+function toSummary(s) {
+  return {
+    id: s.id,
+    lat: s.lat,
+    lng: s.lng,
+    city: s.city,
+    aqi: s.aqi,
+    dominantPollutant: s.dominantPollutant,
+    nowcastAqi: s.nowcastAqi,
+    naqi: {
+      aqi: s.naqi.aqi,
+      category: s.naqi.category,
+      dominantPollutant: s.naqi.dominantPollutant,
+    },
+    color: getAqiColor(s.aqi),
+    lastUpdated: s.lastUpdated,
+    ...getFreshness(s.lastUpdated),
+    flagged: s.flagged,
+    flags: s.flags,
+    raw: s.raw,
+    calibration: s.calibration,
+  };
+}
+
+module.exports = {
+  STATION_STATUSES,
+  DELAYED_AFTER_MINUTES,
+  OFFLINE_AFTER_MINUTES,
+  getFreshness,
+  withFreshness,
+  isReporting,
+  addNowcast,
+  fetchStations,
+  backfillStations,
+  loadStations,
+  checkStation,
+  toSummary,
+};
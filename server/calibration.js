@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const weatherStations = require('./weatherStations');
+const { getUpstream } = require('./upstream');
+const { concentrationFor } = require('./aqi');
+const { distanceKm, padBounds } = require('./geo');
+
+// Calibration for low-cost sensors. WAQI's `networks=all` mixes reference monitors with optical
+// sensors that read PM too high in humid air, so stations matching a profile get their PM
+// corrected and their AQI recomputed from the corrected values. Profiles come from a JSON file
+// (CALIBRATION_PROFILES_PATH, default data/calibration-profiles.json), tried in order:
+//
+//   { id, name,
+//     match: { stationIds?: [...], networks?: [...], namePattern?: regex },   any of them
+//     pollutants?: ['pm25', 'pm10'],                                          default ['pm25']
+//     formula: { type: 'linear', slope, intercept }
+//            | { type: 'humidity-linear', slope, rhCoefficient, intercept }   uses relative humidity
+//            | { type: 'epa-purpleair' } }
+//
+// Every station comes back with `raw: { aqi, pm25, pm10 }` (what the provider reported) and
+// `calibration`: null, or { profile, name, formula, humidity, humiditySource, applied, reason? }.
+const PROFILES_PATH = process.env.CALIBRATION_PROFILES_PATH || path.join(__dirname, 'data', 'calibration-profiles.json');
+
+const FORMULA_TYPES = ['linear', 'humidity-linear', 'epa-purpleair'];
+const CALIBRATED_POLLUTANTS = ['pm25', 'pm10'];
+
+// Humidity comes from the nearest registered weather station with a stored reading from the
+// last HUMIDITY_MAX_AGE_MS within HUMIDITY_STATION_MAX_KM (what /api/weather and the ingestion
+// worker keep), so calibrating usually costs no upstream call. Only without one is Open-Meteo
+// asked, and a request waits at most HUMIDITY_TIMEOUT_MS for it.
+const HUMIDITY_STATION_MAX_KM = Number(process.env.CALIBRATION_HUMIDITY_MAX_KM) || 15;
+const HUMIDITY_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+const HUMIDITY_TIMEOUT_MS = Number(process.env.CALIBRATION_HUMIDITY_TIMEOUT_MS) || 2000;
+const HUMIDITY_TTL_MS = 30 * 60 * 1000;
+const HUMIDITY_RETRY_MS = 5 * 60 * 1000;
+
+const openMeteo = getUpstream('open-meteo');
+
+function loadProfiles(file) {
+  if (!fs.existsSync(file)) return [];
+  const profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const name = path.basename(file);
+  if (!Array.isArray(profiles)) throw new Error(`${name}: expected an array of profiles`);
+
+  return profiles.map((p, i) => {
+    if (typeof p.id !== 'string' || !p.id) throw new Error(`${name}: profile ${i} has no string \`id\``);
+    const { stationIds, networks, namePattern } = p.match || {};
+    if (!stationIds && !networks && !namePattern) {
+      throw new Error(`${name}: profile "${p.id}" needs match.stationIds, match.networks or match.namePattern`);
+    }
+    const f = p.formula || {};
+    if (!FORMULA_TYPES.includes(f.type)) {
+      throw new Error(`${name}: profile "${p.id}" formula.type must be one of ${FORMULA_TYPES.join(', ')}`);
+    }
+    if (f.type !== 'epa-purpleair' && !(Number.isFinite(f.slope) && Number.isFinite(f.intercept))) {
+      throw new Error(`${name}: profile "${p.id}" needs a numeric formula.slope and formula.intercept`);
+    }
+    if (f.type === 'humidity-linear' && !Number.isFinite(f.rhCoefficient)) {
+      throw new Error(`${name}: profile "${p.id}" needs a numeric formula.rhCoefficient`);
+    }
+    const pollutants = p.pollutants ?? ['pm25'];
+    if (!Array.isArray(pollutants) || !pollutants.every(k => CALIBRATED_POLLUTANTS.includes(k))) {
+      throw new Error(`${name}: profile "${p.id}" pollutants may only be ${CALIBRATED_POLLUTANTS.join(', ')}`);
+    }
+
+    return {
+      id: p.id,
+      name: p.name ?? p.id,
+      stationIds: (stationIds ?? []).map(String),
+      networks: (networks ?? []).map(n => String(n).toLowerCase()),
+      namePattern: namePattern ? new RegExp(namePattern, 'i') : null,
+      pollutants,
+      formula: f,
+    };
+  });
+}
+
+const profiles = loadProfiles(PROFILES_PATH);
+if (profiles.length > 0) {
+  logger.info('loaded calibration profiles', { count: profiles.length, file: path.basename(PROFILES_PATH) });
+}
+
+function findProfile(station) {
+  return profiles.find(p =>
+    p.stationIds.includes(String(station.id)) ||
+    (station.network && p.networks.includes(String(station.network).toLowerCase())) ||
+    (p.namePattern && p.namePattern.test(station.city ?? ''))
+  ) ?? null;
+}
+
+function needsHumidity(formula) {
+  return formula.type === 'humidity-linear' || formula.type === 'epa-purpleair';
+}
+
+// US EPA correction for PurpleAir PM2.5 (CF=1), 2021 US-wide fit. Above 343 µg/m³ the
+// humidity term drops out in favour of a quadratic fit for smoke-level concentrations.
+function epaPurpleAir(value, humidity) {
+  if (value < 343) return 0.524 * value - 0.0862 * humidity + 5.75;
+  return 0.46 * value + 3.93e-4 * value ** 2 + 2.97;
+}
+
+function applyFormula(formula, value, humidity) {
+  let corrected;
+  if (formula.type === 'linear') corrected = formula.slope * value + formula.intercept;
+  else if (formula.type === 'humidity-linear') corrected = formula.slope * value + formula.rhCoefficient * humidity + formula.intercept;
+  else corrected = epaPurpleAir(value, humidity);
+  return Math.max(0, Math.round(corrected * 10) / 10);
+}
+
+// ─── Humidity ──────────────────────────────────────────────────────
+
+// Weather stations with a recent stored humidity around `stations`: [{ id, coordinates, humidity }]
+function storedHumidity(stations) {
+  if (stations.length === 0) return [];
+  const lats = stations.map(s => s.lat);
+  const lngs = stations.map(s => s.lng);
+  const area = padBounds({
+    south: Math.min(...lats),
+    north: Math.max(...lats),
+    west: Math.min(...lngs),
+    east: Math.max(...lngs),
+  }, HUMIDITY_STATION_MAX_KM);
+
+  return weatherStations.listStations(area).flatMap(st => {
+    const last = weatherStations.getLastObservation(st.id);
+    if (!last || !Number.isFinite(last.humidity) || Date.now() - Date.parse(last.observedAt) > HUMIDITY_MAX_AGE_MS) return [];
+    return [{ id: st.id, coordinates: st.coordinates, humidity: last.humidity }];
+  });
+}
+
+function nearestHumidity(station, readings) {
+  let nearest = null;
+  for (const reading of readings) {
+    const km = distanceKm([station.lng, station.lat], reading.coordinates);
+    if (km <= HUMIDITY_STATION_MAX_KM && (!nearest || km < nearest.km)) nearest = { ...reading, km };
+  }
+  return nearest;
+}
+
+// Current relative humidity from Open-Meteo per 0.1° cell (about 11 km), cached for
+// HUMIDITY_TTL_MS. Failures are remembered for HUMIDITY_RETRY_MS so an outage does not
+// cost a timeout for every station.
+const humidityCache = new Map(); // cell -> { promise, expiresAt }
+
+function getHumidity(lat, lng) {
+  const key = `${lat.toFixed(1)},${lng.toFixed(1)}`;
+  const cached = humidityCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+  const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat.toFixed(1)}&longitude=${lng.toFixed(1)}&current=relative_humidity_2m`;
+  const entry = { expiresAt: Date.now() + HUMIDITY_TTL_MS };
+  entry.promise = openMeteo.getJson(url)
+    .then(data => {
+      const humidity = data.current?.relative_humidity_2m;
+      if (!Number.isFinite(humidity)) throw new Error('Open-Meteo returned no relative humidity');
+      return humidity;
+    })
+    .catch(err => {
+      logger.warn('relative humidity unavailable for calibration', { cell: key, err });
+      entry.expiresAt = Date.now() + HUMIDITY_RETRY_MS;
+      return null;
+    });
+  humidityCache.set(key, entry);
+  return entry.promise;
+}
+
+// getHumidity, or null once HUMIDITY_TIMEOUT_MS has passed. The lookup carries on and fills
+// the cache for later requests.
+function getHumidityWithin(lat, lng) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(resolve, HUMIDITY_TIMEOUT_MS, null); });
+  return Promise.race([getHumidity(lat, lng), timeout]).finally(() => clearTimeout(timer));
+}
+
+// { humidity, humiditySource } for a station: 'station:<id>' for a stored weather station
+// reading, 'open-meteo', or null when neither is available
+async function findHumidity(station, stored) {
+  if (!Number.isFinite(station.lat) || !Number.isFinite(station.lng)) return { humidity: null, humiditySource: null };
+  const nearest = nearestHumidity(station, stored);
+  if (nearest) return { humidity: nearest.humidity, humiditySource: `station:${nearest.id}` };
+
+  const humidity = await getHumidityWithin(station.lat, station.lng);
+  return { humidity, humiditySource: humidity === null ? null : 'open-meteo' };
+}
+
+// ─── Calibration ───────────────────────────────────────────────────
+
+// Corrects one normalized provider reading. A calibrated station has `aqi` and
+// `dominantPollutant` cleared so withAqi() recomputes them from the corrected values.
+// `stored` is storedHumidity() for a batch; a single station looks it up itself.
+async function calibrateStation(station, stored) {
+  const raw = { aqi: station.aqi ?? null, pm25: station.pm25 ?? null, pm10: station.pm10 ?? null };
+  const profile = findProfile(station);
+  if (!profile) return { ...station, raw, calibration: null };
+
+  const calibration = {
+    profile: profile.id,
+    name: profile.name,
+    formula: profile.formula.type,
+    humidity: null,
+    humiditySource: null,
+    applied: false,
+  };
+
+  if (needsHumidity(profile.formula)) {
+    const usable = Number.isFinite(station.lat) && Number.isFinite(station.lng);
+    Object.assign(calibration, await findHumidity(station, stored ?? (usable ? storedHumidity([station]) : [])));
+    if (calibration.humidity === null) {
+      return { ...station, raw, calibration: { ...calibration, reason: 'Relative humidity unavailable' } };
+    }
+  }
+
+  // The map-bounds feed only carries the AQI. For a PM sensor that AQI is the PM sub-index,
+  // so the concentration can be read back from it. Pollutants the provider itself read back
+  // from sub-indices (`derivedPollutants`) are flagged the same way.
+  const corrected = {};
+  for (const pollutant of profile.pollutants) {
+    let value = station[pollutant];
+    if ((value === null || value === undefined) && [pollutant, null, undefined].includes(station.dominantPollutant)) {
+      value = concentrationFor(pollutant, station.aqi);
+      if (value !== null) calibration.derivedFromAqi = true;
+    }
+    if (station.derivedPollutants?.includes(pollutant)) calibration.derivedFromAqi = true;
+    if (Number.isFinite(value)) corrected[pollutant] = applyFormula(profile.formula, value, calibration.humidity);
+  }
+  if (Object.keys(corrected).length === 0) {
+    return { ...station, raw, calibration: { ...calibration, reason: 'No PM reading to correct' } };
+  }
+
+  return {
+    ...station,
+    ...corrected,
+    aqi: null,
+    dominantPollutant: null,
+    raw,
+    calibration: { ...calibration, applied: true },
+  };
+}
+
+// Calibrates a list, reading the stored humidity around it once
+function calibrateStations(stations) {
+  const located = stations.filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lng));
+  const needs = located.filter(s => {
+    const profile = findProfile(s);
+    return profile && needsHumidity(profile.formula);
+  });
+  const stored = storedHumidity(needs);
+  return Promise.all(stations.map(s => calibrateStation(s, stored)));
+}
+
+module.exports = { FORMULA_TYPES, calibrateStation, calibrateStations };
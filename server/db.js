@@ -0,0 +1,236 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Local SQLite store for everything the server needs to remember between requests.
+// Override the location with DB_PATH (e.g. ':memory:' for throwaway runs).
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'aqi.db');
+
+const db = new Database(DB_PATH);
+db.pragma('journal_mode = WAL');
+
+// Adds columns introduced after a table was first created, for databases that predate them.
+// `columns` maps column name -> definition.
+function addMissingColumns(table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name));
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+  }
+}
+
+// One row per station per observation time. Pollutants are nullable because the
+// map-bounds feed only carries the AQI; the detail feed fills them in later. For calibrated
+// stations the values are the corrected ones, with what the provider reported in the raw_
+// columns and the profile that was applied in `calibration`.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS aqi_readings (
+    station_id  TEXT    NOT NULL,
+    observed_at INTEGER NOT NULL,
+    recorded_at INTEGER NOT NULL,
+    city        TEXT,
+    lat         REAL,
+    lng         REAL,
+    aqi         REAL,
+    pm25        REAL,
+    pm10        REAL,
+    no2         REAL,
+    co          REAL,
+    o3          REAL,
+    so2         REAL,
+    raw_aqi     REAL,
+    raw_pm25    REAL,
+    raw_pm10    REAL,
+    calibration TEXT,
+    PRIMARY KEY (station_id, observed_at)
+  );
+`);
+addMissingColumns('aqi_readings', { raw_aqi: 'REAL', raw_pm25: 'REAL', raw_pm10: 'REAL', calibration: 'TEXT' });
+
+// Weather points served by /api/weather, managed through /api/weather/stations.
+// Seeded from data/weather-stations.json the first time the table is empty.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS weather_stations (
+    id         TEXT PRIMARY KEY,
+    name       TEXT NOT NULL,
+    region     TEXT,
+    lat        REAL NOT NULL,
+    lng        REAL NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+`);
+
+// Last good Open-Meteo result per weather station (the payload /api/weather served),
+// returned with `stale: true` while Open-Meteo cannot be reached.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS weather_observations (
+    station_id  TEXT PRIMARY KEY,
+    observed_at INTEGER NOT NULL,
+    payload     TEXT    NOT NULL
+  );
+`);
+
+// Hourly weather history per station: the current conditions from every fetch, plus past hours
+// the ingestion worker fills in from Open-Meteo after missed runs.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS weather_readings (
+    station_id     TEXT    NOT NULL,
+    observed_at    INTEGER NOT NULL,
+    recorded_at    INTEGER NOT NULL,
+    temperature    REAL,
+    humidity       REAL,
+    precipitation  REAL,
+    pressure       REAL,
+    wind_speed     REAL,
+    wind_direction REAL,
+    PRIMARY KEY (station_id, observed_at)
+  );
+`);
+
+// Flood monitoring sites (seeded from data/flood-sites.json) with their risk thresholds in
+// metres, and what gauges and pump controllers report for them. A gauge may send only the
+// water level and a pump controller only the pump status, so both columns are nullable.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS flood_sites (
+    id             TEXT PRIMARY KEY,
+    name           TEXT NOT NULL,
+    region         TEXT,
+    lat            REAL NOT NULL,
+    lng            REAL NOT NULL,
+    moderate_level REAL NOT NULL,
+    severe_level   REAL NOT NULL,
+    created_at     INTEGER NOT NULL,
+    updated_at     INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS flood_readings (
+    site_id     TEXT    NOT NULL,
+    observed_at INTEGER NOT NULL,
+    recorded_at INTEGER NOT NULL,
+    water_level REAL,
+    pump_status TEXT,
+    PRIMARY KEY (site_id, observed_at)
+  );
+`);
+
+// Speed samples (km/h) for the road segments in data/road-segments.geojson, from probe
+// vehicles or loop detectors. Several sources can report the same segment at the same time.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS traffic_speeds (
+    segment_id  TEXT    NOT NULL,
+    observed_at INTEGER NOT NULL,
+    recorded_at INTEGER NOT NULL,
+    speed       REAL    NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS traffic_speeds_segment_time ON traffic_speeds (segment_id, observed_at);
+`);
+
+// Threshold alert rules (see alerts/rules.js), the per station breach/cooldown state the
+// engine keeps between readings, and every alert that fired with its webhook deliveries.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS alert_rules (
+    id               TEXT PRIMARY KEY,
+    name             TEXT    NOT NULL,
+    source           TEXT    NOT NULL,
+    metric           TEXT    NOT NULL,
+    operator         TEXT    NOT NULL,
+    threshold        REAL    NOT NULL,
+    station_id       TEXT,
+    area             TEXT,
+    bounds           TEXT,
+    duration_minutes INTEGER NOT NULL,
+    cooldown_minutes INTEGER NOT NULL,
+    webhooks         TEXT    NOT NULL,
+    enabled          INTEGER NOT NULL,
+    created_at       INTEGER NOT NULL,
+    updated_at       INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_state (
+    rule_id           TEXT NOT NULL,
+    station_id        TEXT NOT NULL,
+    breach_started_at INTEGER,
+    last_alerted_at   INTEGER,
+    PRIMARY KEY (rule_id, station_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_log (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id           TEXT    NOT NULL,
+    rule_name         TEXT    NOT NULL,
+    source            TEXT    NOT NULL,
+    station_id        TEXT    NOT NULL,
+    station_name      TEXT,
+    metric            TEXT    NOT NULL,
+    operator          TEXT    NOT NULL,
+    threshold         REAL    NOT NULL,
+    value             REAL    NOT NULL,
+    breach_started_at INTEGER NOT NULL,
+    triggered_at      INTEGER NOT NULL,
+    deliveries        TEXT    NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS alert_log_triggered_at ON alert_log (triggered_at);
+`);
+
+// API keys issued to third-party consumers (see apiKeys.js). Only a SHA-256 hash of the key
+// is kept; `prefix` is the first few characters so admins can tell keys apart. `scope` is
+// 'read' or 'ingest'. Usage is counted per key per UTC day for the daily quota.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id           TEXT PRIMARY KEY,
+    name         TEXT    NOT NULL,
+    prefix       TEXT    NOT NULL,
+    key_hash     TEXT    NOT NULL UNIQUE,
+    scope        TEXT    NOT NULL DEFAULT 'read',
+    rate_limit   INTEGER NOT NULL,
+    daily_quota  INTEGER,
+    created_at   INTEGER NOT NULL,
+    revoked_at   INTEGER,
+    last_used_at INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS api_key_usage (
+    key_id   TEXT    NOT NULL,
+    day      TEXT    NOT NULL,
+    requests INTEGER NOT NULL,
+    PRIMARY KEY (key_id, day)
+  );
+`);
+// Keys from before scopes stay read-only
+addMissingColumns('api_keys', { scope: "TEXT NOT NULL DEFAULT 'read'" });
+
+// What the ingestion worker (see ingestion/) keeps for its regions: the latest normalized record
+// per AQI station, which /api/aqi serves instead of calling the provider, and one row per
+// scheduled run. `slot` is the start of the interval a run covers; `backfill_from` is set when
+// the run also filled in missed intervals, with `backfilled` readings (null if the source has
+// no history to backfill from).
+db.exec(`
+  CREATE TABLE IF NOT EXISTS aqi_snapshots (
+    provider   TEXT    NOT NULL,
+    station_id TEXT    NOT NULL,
+    region_id  TEXT    NOT NULL,
+    lat        REAL    NOT NULL,
+    lng        REAL    NOT NULL,
+    fetched_at INTEGER NOT NULL,
+    payload    TEXT    NOT NULL,
+    PRIMARY KEY (provider, station_id)
+  );
+  CREATE INDEX IF NOT EXISTS aqi_snapshots_position ON aqi_snapshots (provider, lat, lng);
+
+  CREATE TABLE IF NOT EXISTS ingestion_runs (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    region_id     TEXT    NOT NULL,
+    source        TEXT    NOT NULL,
+    provider      TEXT    NOT NULL,
+    slot          INTEGER NOT NULL,
+    started_at    INTEGER NOT NULL,
+    finished_at   INTEGER NOT NULL,
+    status        TEXT    NOT NULL,
+    records       INTEGER NOT NULL,
+    backfill_from INTEGER,
+    backfilled    INTEGER,
+    error         TEXT
+  );
+  CREATE INDEX IF NOT EXISTS ingestion_runs_job ON ingestion_runs (region_id, source, provider, slot);
+`);
+
+module.exports = db;
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const path = require('path');
+const db = require('./db');
+const logger = require('./logger');
+const { isInBounds } = require('./geo');
+const { MAX_CLOCK_SKEW_MS, parseTime } = require('./history');
+
+// Registry of flood monitoring sites and the readings their gauges and pump controllers push.
+// Sites use the shape the map expects plus their current state:
+// { id, name, region, coordinates: [lng, lat], thresholds: { moderate, severe },
+//   waterLevel, pumpStatus, riskLevel, observedAt }
+const SEED_PATH = path.join(__dirname, 'data', 'flood-sites.json');
+
+// Water levels (metres) at which a site turns Moderate / Severe, unless the site sets its own
+const DEFAULT_THRESHOLDS = {
+  moderate: Number(process.env.FLOOD_MODERATE_LEVEL_M) || 0.5,
+  severe: Number(process.env.FLOOD_SEVERE_LEVEL_M) || 1.0,
+};
+
+const RISK_LEVELS = ['Unknown', 'Good', 'Moderate', 'Severe'];
+
+function getRiskLevel(thresholds, waterLevel) {
+  if (waterLevel === null || waterLevel === undefined) return 'Unknown';
+  if (waterLevel >= thresholds.severe) return 'Severe';
+  if (waterLevel >= thresholds.moderate) return 'Moderate';
+  return 'Good';
+}
+
+// Readings dated further ahead than the allowed skew (stored before they were rejected) never
+// count as the latest one
+const latestLevel = db.prepare(`
+  SELECT water_level, observed_at FROM flood_readings
+  WHERE site_id = ? AND water_level IS NOT NULL AND observed_at <= ?
+  ORDER BY observed_at DESC LIMIT 1
+`);
+const latestPump = db.prepare(`
+  SELECT pump_status, observed_at FROM flood_readings
+  WHERE site_id = ? AND pump_status IS NOT NULL AND observed_at <= ?
+  ORDER BY observed_at DESC LIMIT 1
+`);
+
+function toSite(row) {
+  const thresholds = { moderate: row.moderate_level, severe: row.severe_level };
+  const latest = Date.now() + MAX_CLOCK_SKEW_MS;
+  const level = latestLevel.get(row.id, latest);
+  const pump = latestPump.get(row.id, latest);
+  const observedAt = Math.max(level?.observed_at ?? -Infinity, pump?.observed_at ?? -Infinity);
+
+  return {
+    id: row.id,
+    name: row.name,
+    region: row.region,
+    coordinates: [row.lng, row.lat],
+    thresholds,
+    waterLevel: level?.water_level ?? null,
+    pumpStatus: pump?.pump_status ?? null,
+    riskLevel: getRiskLevel(thresholds, level?.water_level),
+    observedAt: Number.isFinite(observedAt) ? new Date(observedAt).toISOString() : null,
+  };
+}
+
+const insertSite = db.prepare(`
+  INSERT INTO flood_sites (id, name, region, lat, lng, moderate_level, severe_level, created_at, updated_at)
+  VALUES (@id, @name, @region, @lat, @lng, @moderate, @severe, @now, @now)
+`);
+
+function seedIfEmpty() {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM flood_sites').get();
+  if (count > 0) return;
+
+  const seed = require(SEED_PATH);
+  const now = Date.now();
+  db.transaction(() => {
+    for (const s of seed) {
+      const thresholds = { ...DEFAULT_THRESHOLDS, ...s.thresholds };
+      insertSite.run({ id: s.id, name: s.name, region: s.region ?? null, lng: s.coordinates[0], lat: s.coordinates[1], ...thresholds, now });
+    }
+  })();
+  logger.info('seeded flood sites', { count: seed.length, file: path.basename(SEED_PATH) });
+}
+
+seedIfEmpty();
+
+// Checks a create/update payload. Returns an error message, or null when it is usable.
+// With `partial`, missing fields are allowed (PUT only changes what it is given).
+function validate(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') return 'Request body must be a JSON object.';
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) return '`name` is required.';
+  }
+  if (input.coordinates !== undefined || !partial) {
+    const c = input.coordinates;
+    if (!Array.isArray(c) || c.length !== 2 || !c.every(Number.isFinite)) {
+      return '`coordinates` must be [lng, lat].';
+    }
+    if (c[0] < -180 || c[0] > 180 || c[1] < -90 || c[1] > 90) return '`coordinates` are out of range.';
+  }
+  if (input.thresholds !== undefined) {
+    const t = input.thresholds;
+    if (!t || !Number.isFinite(t.moderate) || !Number.isFinite(t.severe) || t.moderate < 0) {
+      return '`thresholds` must be { moderate, severe } in metres.';
+    }
+    if (t.moderate >= t.severe) return '`thresholds.moderate` must be below `thresholds.severe`.';
+  }
+  if (input.region !== undefined && input.region !== null && typeof input.region !== 'string') {
+    return '`region` must be a string.';
+  }
+  if (input.id !== undefined && (typeof input.id !== 'string' || !/^[\w-]{1,64}$/.test(input.id))) {
+    return '`id` may only contain letters, digits, "-" and "_".';
+  }
+  return null;
+}
+
+// All sites, or only those inside `bounds` ({ south, west, north, east })
+function listSites(bounds) {
+  const sites = db.prepare('SELECT * FROM flood_sites ORDER BY created_at, rowid').all().map(toSite);
+  if (!bounds) return sites;
+  return sites.filter(s => isInBounds(s.coordinates[1], s.coordinates[0], bounds));
+}
+
+function getSite(id) {
+  const row = db.prepare('SELECT * FROM flood_sites WHERE id = ?').get(id);
+  return row ? toSite(row) : null;
+}
+
+// Returns the new site, or null when the id is already taken
+function createSite(input) {
+  const id = input.id || `f-${crypto.randomUUID().slice(0, 8)}`;
+  if (getSite(id)) return null;
+
+  insertSite.run({
+    id,
+    name: input.name.trim(),
+    region: input.region ?? null,
+    lng: input.coordinates[0],
+    lat: input.coordinates[1],
+    ...DEFAULT_THRESHOLDS,
+    ...input.thresholds,
+    now: Date.now(),
+  });
+  return getSite(id);
+}
+
+// Returns the updated site, or null when it does not exist
+function updateSite(id, input) {
+  const existing = getSite(id);
+  if (!existing) return null;
+
+  const coordinates = input.coordinates ?? existing.coordinates;
+  const thresholds = input.thresholds ?? existing.thresholds;
+  db.prepare(`
+    UPDATE flood_sites
+    SET name = @name, region = @region, lng = @lng, lat = @lat,
+      moderate_level = @moderate, severe_level = @severe, updated_at = @now
+    WHERE id = @id
+  `).run({
+    id,
+    name: input.name !== undefined ? input.name.trim() : existing.name,
+    region: input.region !== undefined ? input.region : existing.region,
+    lng: coordinates[0],
+    lat: coordinates[1],
+    moderate: thresholds.moderate,
+    severe: thresholds.severe,
+    now: Date.now(),
+  });
+  return getSite(id);
+}
+
+// Returns false when there was nothing to delete. Its readings go with it.
+function deleteSite(id) {
+  db.prepare('DELETE FROM flood_readings WHERE site_id = ?').run(id);
+  return db.prepare('DELETE FROM flood_sites WHERE id = ?').run(id).changes > 0;
+}
+
+// ─── Readings ──────────────────────────────────────────────────────
+
+// One reading from a gauge or pump controller: { waterLevel?, pumpStatus?, observedAt? }
+// Returns an error message, or null when it is usable.
+function validateReading(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Each reading must be a JSON object.';
+  if (input.waterLevel === undefined && input.pumpStatus === undefined) {
+    return 'A reading needs `waterLevel` (metres) and/or `pumpStatus`.';
+  }
+  if (input.waterLevel !== undefined && !Number.isFinite(input.waterLevel)) return '`waterLevel` must be a number in metres.';
+  if (input.pumpStatus !== undefined && (typeof input.pumpStatus !== 'string' || !input.pumpStatus.trim() || input.pumpStatus.length > 32)) {
+    return '`pumpStatus` must be a short string (e.g. "Active", "Standby", "Fault").';
+  }
+  if (input.observedAt !== undefined) {
+    const observedAt = parseTime(input.observedAt);
+    if (observedAt === null) return '`observedAt` must be an ISO timestamp or epoch ms.';
+    if (observedAt > Date.now() + MAX_CLOCK_SKEW_MS) return '`observedAt` cannot be in the future.';
+  }
+  return null;
+}
+
+const upsertReading = db.prepare(`
+  INSERT INTO flood_readings (site_id, observed_at, recorded_at, water_level, pump_status)
+  VALUES (@siteId, @observedAt, @recordedAt, @waterLevel, @pumpStatus)
+  ON CONFLICT (site_id, observed_at) DO UPDATE SET
+    recorded_at = excluded.recorded_at,
+    water_level = COALESCE(excluded.water_level, water_level),
+    pump_status = COALESCE(excluded.pump_status, pump_status)
+`);
+
+// Stores validated readings for a site. Readings without `observedAt` are stamped with the
+// time they arrived; a second reading for the same timestamp fills in what the first lacked.
+const recordReadings = db.transaction((siteId, readings) => {
+  const recordedAt = Date.now();
+  for (const r of readings) {
+    upsertReading.run({
+      siteId,
+      observedAt: parseTime(r.observedAt) ?? recordedAt,
+      recordedAt,
+      waterLevel: r.waterLevel ?? null,
+      pumpStatus: r.pumpStatus?.trim() ?? null,
+    });
+  }
+});
+
+// Stored readings for a site between `from` and `to` (epoch ms), oldest first, each with the
+// risk level under the site's current thresholds
+function getReadings(site, { from, to }) {
+  return db.prepare(`
+    SELECT observed_at, water_level, pump_status FROM flood_readings
+    WHERE site_id = ? AND observed_at BETWEEN ? AND ?
+    ORDER BY observed_at
+  `).all(site.id, from, to).map(row => ({
+    time: new Date(row.observed_at).toISOString(),
+    waterLevel: row.water_level,
+    pumpStatus: row.pump_status,
+    riskLevel: row.water_level === null ? null : getRiskLevel(site.thresholds, row.water_level),
+  }));
+}
+
+module.exports = {
+  RISK_LEVELS,
+  getRiskLevel,
+  validate,
+  listSites,
+  getSite,
+  createSite,
+  updateSite,
+  deleteSite,
+  validateReading,
+  recordReadings,
+  getReadings,
+};
@@ -0,0 +1,61 @@
+const metrics = require('./metrics');
+const { withForecastAqi } = require('./aqi');
+
+// Forecasts change slowly (the models run a few times a day), so each location's series is
+// fetched for the full horizon once and reused until it expires. Requests for fewer hours,
+// or made later in the same window, are cut from the cached series.
+const TTL_MS = Number(process.env.AQI_FORECAST_TTL_MS) || 30 * 60_000;
+const MAX_HOURS = 72;
+const DEFAULT_HOURS = 24;
+const MAX_ENTRIES = 5000;
+
+const entries = new Map(); // `${provider}:${id}` -> { hourly, fetchedAt }
+
+function store(key, hourly) {
+  entries.delete(key);
+  entries.set(key, { hourly, fetchedAt: Date.now() });
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// `?hours=`: 1..MAX_HOURS, or the default when absent. Returns undefined when invalid.
+function parseHours(value) {
+  if (value === undefined) return DEFAULT_HOURS;
+  const hours = Number(value);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_HOURS) return undefined;
+  return hours;
+}
+
+// Hourly forecast with derived AQI for each location ({ id, lat, lng, ... }), starting at the
+// current hour. Only locations without a fresh cached series are sent to the provider.
+async function getForecasts(provider, locations, hours = DEFAULT_HOURS) {
+  const now = Date.now();
+  const keyOf = location => `${provider.name}:${location.id}`;
+
+  const missing = locations.filter(location => {
+    const entry = entries.get(keyOf(location));
+    return !entry || now - entry.fetchedAt >= TTL_MS;
+  });
+  metrics.cacheRequests.inc({ cache: 'aqi-forecast', result: 'hit' }, locations.length - missing.length);
+  metrics.cacheRequests.inc({ cache: 'aqi-forecast', result: 'miss' }, missing.length);
+  if (missing.length > 0) {
+    const fetched = await provider.getForecast(missing, MAX_HOURS);
+    fetched.forEach((result, idx) => store(keyOf(missing[idx]), result.hourly));
+  }
+
+  const hourStart = Math.floor(now / 3600000) * 3600000;
+  return locations.map(location => ({
+    ...location,
+    hourly: (entries.get(keyOf(location))?.hourly ?? [])
+      .filter(point => Date.parse(point.time) >= hourStart)
+      .slice(0, hours)
+      .map(withForecastAqi),
+  }));
+}
+
+function clear() {
+  entries.clear();
+}
+
+module.exports = { MAX_HOURS, DEFAULT_HOURS, parseHours, getForecasts, clear };
@@ -0,0 +1,94 @@
+// Alternative output formats for the station endpoints, picked with ?format=:
+//
+//   json (default) -> the normal response
+//   geojson        -> FeatureCollection of Points (a single Feature for detail endpoints)
+//   csv            -> one row per station, lat/lng first
+//
+// Stations carry their position as `lat`/`lng` (AQI) or `coordinates: [lng, lat]` (weather).
+// For GeoJSON and CSV, nested objects are flattened into `parent_child` properties (e.g.
+// `naqi_aqi`) and arrays such as forecasts are left out, so every value fits in one column.
+const FORMATS = ['json', 'geojson', 'csv'];
+
+// Returns the requested format, or null when it is not one we support
+function parseFormat(value) {
+  if (value === undefined) return 'json';
+  const format = String(value).toLowerCase();
+  return FORMATS.includes(format) ? format : null;
+}
+
+function positionOf(item) {
+  if (Number.isFinite(item.lat) && Number.isFinite(item.lng)) return [item.lng, item.lat];
+  if (Array.isArray(item.coordinates) && item.coordinates.length === 2) return item.coordinates;
+  return null;
+}
+
+function flatten(value, prefix = '', out = {}) {
+  for (const [key, v] of Object.entries(value)) {
+    const name = prefix ? `${prefix}_${key}` : key;
+    if (Array.isArray(v)) continue;
+    if (v !== null && typeof v === 'object') flatten(v, name, out);
+    else out[name] = v;
+  }
+  return out;
+}
+
+// Everything but the position, flattened
+function propertiesOf(item) {
+  const { lat, lng, coordinates, ...rest } = item;
+  return flatten(rest);
+}
+
+function toFeature(item) {
+  const position = positionOf(item);
+  return {
+    type: 'Feature',
+    id: item.id,
+    geometry: position ? { type: 'Point', coordinates: position } : null,
+    properties: propertiesOf(item),
+  };
+}
+
+function toGeoJson(data) {
+  if (!Array.isArray(data)) return toFeature(data);
+  return { type: 'FeatureCollection', features: data.map(toFeature) };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(data) {
+  const rows = (Array.isArray(data) ? data : [data]).map(item => {
+    const position = positionOf(item);
+    return { lat: position?.[1] ?? null, lng: position?.[0] ?? null, ...propertiesOf(item) };
+  });
+
+  // Union of every row's columns, in first-seen order
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  if (columns.length === 0) columns.push('lat', 'lng');
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Sends `data` (a station or a list of stations) in `format`. `filename` (without extension)
+// names the download for GeoJSON and CSV.
+function sendFormatted(res, format, data, filename) {
+  if (format === 'geojson') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.geojson"`);
+    return res.type('application/geo+json').send(JSON.stringify(toGeoJson(data)));
+  }
+  if (format === 'csv') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.type('text/csv; charset=utf-8').send(toCsv(data));
+  }
+  return res.json(data);
+}
+
+const INVALID_FORMAT = `Invalid format. Use one of: ${FORMATS.join(', ')}.`;
+
+module.exports = { FORMATS, INVALID_FORMAT, parseFormat, toGeoJson, toCsv, sendFormatted };
@@ -0,0 +1,58 @@
+// Bounds arrive as "lat1,lng1,lat2,lng2" (the WAQI map-bounds order) in either corner order.
+// Returns { south, west, north, east } or null when the string is not four numbers.
+function parseBounds(value) {
+  if (!value) return null;
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+
+  const [lat1, lng1, lat2, lng2] = parts;
+  return {
+    south: Math.min(lat1, lat2),
+    west: Math.min(lng1, lng2),
+    north: Math.max(lat1, lat2),
+    east: Math.max(lng1, lng2),
+  };
+}
+
+function formatBounds({ south, west, north, east }) {
+  return `${south},${west},${north},${east}`;
+}
+
+function isInBounds(lat, lng, bounds) {
+  return lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east;
+}
+
+// `bounds` grown by `km` on every side (longitude degrees measured at the latitude farthest
+// from the equator, so the margin is at least `km` everywhere)
+function padBounds({ south, west, north, east }, km) {
+  const latDeg = km / 111.32;
+  const maxLat = Math.min(Math.max(Math.abs(south), Math.abs(north)) + latDeg, 89);
+  const lngDeg = latDeg / Math.cos((maxLat * Math.PI) / 180);
+  return { south: south - latDeg, west: west - lngDeg, north: north + latDeg, east: east + lngDeg };
+}
+
+// Great-circle distance in km between two [lng, lat] points
+function distanceKm([lng1, lat1], [lng2, lat2]) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+// Ray casting against GeoJSON polygon rings ([[lng, lat], ...]); the first ring is the outline
+// and any further rings are holes
+function isInPolygon(lat, lng, rings) {
+  const inRing = ring => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  };
+  return inRing(rings[0]) && !rings.slice(1).some(inRing);
+}
+
+module.exports = { parseBounds, formatBounds, isInBounds, padBounds, isInPolygon, distanceKm };
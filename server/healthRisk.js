@@ -0,0 +1,173 @@
+const aqiStations = require('./aqiStations');
+const history = require('./history');
+const weather = require('./weather');
+const weatherStations = require('./weatherStations');
+const { distanceKm } = require('./geo');
+const { concentrationFor } = require('./aqi');
+
+// Composite health risk index for public-health staff: Canada's Air Quality Health Index
+// (AQHI, from NO₂, O₃ and PM2.5) raised by the heat index from the nearest weather station.
+// One location per reporting AQI station:
+// { id, city, lat, lng, lastUpdated, status, flagged,
+//   index, category,                  composite: AQHI + heat adjustment, null without PM2.5
+//   aqhi: { value, category, no2, o3, pm25, missing },
+//   heat: { temperature, humidity, heatIndex, level, adjustment, stationId, stationName,
+//           distanceKm, observedAt } | null }
+//
+// AQHI = 1000 / 10.4 × [(e^(0.000871·NO₂) − 1) + (e^(0.000537·O₃) − 1) + (e^(0.000487·PM2.5) − 1)]
+// with NO₂/O₃ in ppb and PM2.5 in µg/m³, over 3-hour averages where history has them. A missing
+// NO₂ or O₃ contributes nothing and is listed in `missing`.
+const AQHI_HOURS = 3;
+const AQHI_PERIODS = { no2: AQHI_HOURS, o3: AQHI_HOURS, pm25: AQHI_HOURS };
+
+// Index bands, shared by the AQHI and the composite (11 and up is shown as 10+)
+const CATEGORIES = [
+  [3, 'Low'],
+  [6, 'Moderate'],
+  [10, 'High'],
+  [Infinity, 'Very High'],
+];
+
+// NWS heat index bands (°C) and the points each adds to the AQHI
+const HEAT_LEVELS = [
+  [54, 'Extreme Danger', 4],
+  [41, 'Danger', 3],
+  [32, 'Extreme Caution', 2],
+  [27, 'Caution', 1],
+];
+
+// Weather further than this from a station is not used for its heat adjustment. The nearest
+// WEATHER_CANDIDATES weather stations are tried in order, so one without a reading is skipped.
+const WEATHER_MAX_DISTANCE_KM = Number(process.env.RISK_WEATHER_MAX_DISTANCE_KM) || 25;
+const WEATHER_CANDIDATES = 3;
+// Stored weather readings younger than this are reused instead of asking Open-Meteo again,
+// and older ones are not trusted for the current heat index
+const WEATHER_REUSE_MS = 30 * 60 * 1000;
+const WEATHER_MAX_AGE_MS = 3 * 60 * 60 * 1000;
+
+function getCategory(index) {
+  if (index === null || index === undefined) return 'Unknown';
+  return CATEGORIES.find(([max]) => index <= max)[1];
+}
+
+function computeAqhi({ no2, o3, pm25 }) {
+  const term = (beta, value) => Math.exp(beta * (value ?? 0)) - 1;
+  const value = (1000 / 10.4) * (term(0.000871, no2) + term(0.000537, o3) + term(0.000487, pm25));
+  return Math.max(1, Math.round(value));
+}
+
+// NWS heat index (Rothfusz regression with its low/high humidity adjustments), in °C
+function heatIndexC(temperatureC, humidity) {
+  const t = (temperatureC * 9) / 5 + 32;
+  const rh = humidity;
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((hi + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh - 0.00683783 * t * t
+      - 0.05481717 * rh * rh + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    else if (rh > 85 && t >= 80 && t <= 87) hi += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+  return Math.round((((hi - 32) * 5) / 9) * 10) / 10;
+}
+
+function getHeatLevel(heatIndex) {
+  const level = HEAT_LEVELS.find(([min]) => heatIndex >= min);
+  return level ? { level: level[1], adjustment: level[2] } : { level: 'None', adjustment: 0 };
+}
+
+// Current weather for a registered station: the stored reading while it is recent, otherwise
+// a fresh one (which falls back to the stored reading when Open-Meteo is down)
+async function getCurrentWeather(st) {
+  const last = weatherStations.getLastObservation(st.id);
+  if (last && Date.now() - Date.parse(last.observedAt) < WEATHER_REUSE_MS) return last;
+  return weather.getWeather(st, 1);
+}
+
+// [{ st, km }], nearest first
+function nearestWeatherStations(station, candidates) {
+  return candidates
+    .map(st => ({ st, km: distanceKm([station.lng, station.lat], st.coordinates) }))
+    .filter(({ km }) => km <= WEATHER_MAX_DISTANCE_KM)
+    .sort((a, b) => a.km - b.km)
+    .slice(0, WEATHER_CANDIDATES);
+}
+
+function toHeat(match, reading) {
+  if (!reading || !Number.isFinite(reading.temperature) || !Number.isFinite(reading.humidity)) return null;
+  if (!reading.observedAt || Date.now() - Date.parse(reading.observedAt) > WEATHER_MAX_AGE_MS) return null;
+
+  const heatIndex = heatIndexC(reading.temperature, reading.humidity);
+  return {
+    temperature: reading.temperature,
+    humidity: reading.humidity,
+    heatIndex,
+    ...getHeatLevel(heatIndex),
+    stationId: match.st.id,
+    stationName: match.st.name,
+    distanceKm: Math.round(match.km * 10) / 10,
+    observedAt: reading.observedAt,
+  };
+}
+
+// AQHI inputs for one station: 3-hour averages where stored, else the latest reading. When the
+// feed only has an AQI led by PM2.5 (or by an unknown pollutant), PM2.5 is read back from it.
+function aqhiInputs(station) {
+  const observedAt = history.parseTime(station.lastUpdated) ?? Date.now();
+  const averages = history.getAverages(station.id, observedAt, AQHI_PERIODS);
+  const inputs = {};
+  for (const key of Object.keys(AQHI_PERIODS)) {
+    const value = averages[key] ?? station[key];
+    inputs[key] = Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+  }
+  if (inputs.pm25 === null && [null, undefined, 'pm25'].includes(station.dominantPollutant)) {
+    const derived = concentrationFor('pm25', station.aqi);
+    if (derived !== null) inputs.pm25 = Math.round(derived * 10) / 10;
+  }
+  return inputs;
+}
+
+// Composite index for the reporting AQI stations in `bounds`
+async function listLocations(bounds) {
+  const { stations } = await aqiStations.loadStations(bounds);
+  const reporting = stations.filter(s => aqiStations.isReporting(s) && Number.isFinite(s.lat) && Number.isFinite(s.lng));
+
+  // Weather stations around the bounds, each fetched at most once
+  const padDeg = WEATHER_MAX_DISTANCE_KM / 111.32;
+  const candidates = weatherStations.listStations({
+    south: bounds.south - padDeg,
+    north: bounds.north + padDeg,
+    west: bounds.west - padDeg,
+    east: bounds.east + padDeg,
+  });
+  const nearby = new Map(reporting.map(s => [s.id, nearestWeatherStations(s, candidates)]));
+  const needed = new Map([...nearby.values()].flat().map(({ st }) => [st.id, st]));
+  const readings = new Map(await Promise.all([...needed.values()].map(async st => [st.id, await getCurrentWeather(st)])));
+
+  return reporting.map(station => {
+    const inputs = aqhiInputs(station);
+    const missing = Object.keys(inputs).filter(key => inputs[key] === null);
+    const aqhiValue = inputs.pm25 === null ? null : computeAqhi(inputs);
+
+    const heat = nearby.get(station.id)
+      .map(match => toHeat(match, readings.get(match.st.id)))
+      .find(Boolean) ?? null;
+    const index = aqhiValue === null ? null : aqhiValue + (heat?.adjustment ?? 0);
+
+    return {
+      id: station.id,
+      city: station.city,
+      lat: station.lat,
+      lng: station.lng,
+      lastUpdated: station.lastUpdated,
+      ...aqiStations.getFreshness(station.lastUpdated),
+      flagged: station.flagged,
+      index,
+      category: getCategory(index),
+      aqhi: { value: aqhiValue, category: getCategory(aqhiValue), ...inputs, missing },
+      heat,
+    };
+  });
+}
+
+module.exports = { computeAqhi, heatIndexC, getHeatLevel, getCategory, listLocations };
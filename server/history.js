@@ -0,0 +1,241 @@
+const db = require('./db');
+
+const POLLUTANT_KEYS = ['pm25', 'pm10', 'no2', 'co', 'o3', 'so2'];
+const SERIES_KEYS = ['aqi', ...POLLUTANT_KEYS];
+// What the provider reported before calibration (see calibration.js), kept as raw_<key>
+const RAW_KEYS = ['aqi', 'pm25', 'pm10'];
+
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+// How far ahead of the server clock a pushed observation time may be (device clock drift)
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Re-reading the same observation (same station + timestamp) updates the row instead of
+// duplicating it. COALESCE keeps pollutant values from the detail feed when a later
+// map-bounds read for the same timestamp only knows the AQI.
+const upsertReading = db.prepare(`
+  INSERT INTO aqi_readings (station_id, observed_at, recorded_at, city, lat, lng, aqi, pm25, pm10, no2, co, o3, so2,
+    raw_aqi, raw_pm25, raw_pm10, calibration)
+  VALUES (@stationId, @observedAt, @recordedAt, @city, @lat, @lng, @aqi, @pm25, @pm10, @no2, @co, @o3, @so2,
+    @raw_aqi, @raw_pm25, @raw_pm10, @calibration)
+  ON CONFLICT (station_id, observed_at) DO UPDATE SET
+    recorded_at = excluded.recorded_at,
+    city = COALESCE(excluded.city, city),
+    lat  = COALESCE(excluded.lat, lat),
+    lng  = COALESCE(excluded.lng, lng),
+    aqi  = COALESCE(excluded.aqi, aqi),
+    pm25 = COALESCE(excluded.pm25, pm25),
+    pm10 = COALESCE(excluded.pm10, pm10),
+    no2  = COALESCE(excluded.no2, no2),
+    co   = COALESCE(excluded.co, co),
+    o3   = COALESCE(excluded.o3, o3),
+    so2  = COALESCE(excluded.so2, so2),
+    raw_aqi     = COALESCE(excluded.raw_aqi, raw_aqi),
+    raw_pm25    = COALESCE(excluded.raw_pm25, raw_pm25),
+    raw_pm10    = COALESCE(excluded.raw_pm10, raw_pm10),
+    calibration = COALESCE(excluded.calibration, calibration)
+`);
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Accepts ISO strings, epoch milliseconds or Date objects. Returns epoch ms, or null for
+// anything that is not a time a Date can hold.
+function parseTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = value instanceof Date ? value.getTime()
+    : /^\d+$/.test(String(value)) ? new Date(Number(value)).getTime()
+    : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// ?from=&to= of a history query. Both are optional (default: the DEFAULT_WINDOW_MS up to now).
+// Returns { from, to }, or { error } when either is given but not a time or they are out of order.
+function parseRange(query) {
+  const to = query.to === undefined ? Date.now() : parseTime(query.to);
+  const from = query.from === undefined ? to - DEFAULT_WINDOW_MS : parseTime(query.from);
+  if (to === null || from === null) {
+    return { error: '`from` and `to` must be ISO timestamps or epoch ms.' };
+  }
+  if (from > to) return { error: '`from` must be before `to`.' };
+  return { from, to };
+}
+
+// '15m', '1h', '1d' -> bucket size in ms. 'raw' (or nothing) means no bucketing.
+function parseInterval(value) {
+  if (!value || value === 'raw') return null;
+  const match = /^(\d+)([mhd])$/.exec(String(value));
+  if (!match || Number(match[1]) === 0) return undefined;
+  return Number(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+// Store a batch of readings. Each reading needs at least an id; lastUpdated falls back to now.
+// Calibrated readings keep their `raw` values and profile alongside the corrected ones.
+const recordReadings = db.transaction((readings) => {
+  const recordedAt = Date.now();
+  for (const r of readings) {
+    if (r.id === null || r.id === undefined) continue;
+    const row = {
+      stationId: String(r.id),
+      observedAt: parseTime(r.lastUpdated) ?? recordedAt,
+      recordedAt,
+      city: r.city ?? null,
+      lat: toNumberOrNull(r.lat),
+      lng: toNumberOrNull(r.lng),
+    };
+    for (const key of SERIES_KEYS) row[key] = toNumberOrNull(r[key]);
+    const calibrated = r.calibration?.applied === true;
+    for (const key of RAW_KEYS) row[`raw_${key}`] = calibrated ? toNumberOrNull(r.raw?.[key]) : null;
+    row.calibration = calibrated ? r.calibration.profile : null;
+    upsertReading.run(row);
+  }
+});
+
+function recordReading(reading) {
+  recordReadings([reading]);
+}
+
+function toRaw(values) {
+  if (RAW_KEYS.every(key => values[`raw_${key}`] === null)) return null;
+  return Object.fromEntries(RAW_KEYS.map(key => [key, values[`raw_${key}`]]));
+}
+
+// Time series for one station between from/to (epoch ms). With an interval, readings are
+// averaged into fixed buckets aligned to the epoch; `samples` says how many went in.
+// Calibrated readings also carry `raw` (the uncorrected values) and the `calibration` profile;
+// both are null otherwise.
+function getHistory(stationId, { from, to, interval }) {
+  const rawColumns = RAW_KEYS.map(key => `raw_${key}`);
+  if (!interval) {
+    const rows = db.prepare(`
+      SELECT observed_at, ${SERIES_KEYS.join(', ')}, ${rawColumns.join(', ')}, calibration
+      FROM aqi_readings
+      WHERE station_id = ? AND observed_at BETWEEN ? AND ?
+      ORDER BY observed_at
+    `).all(String(stationId), from, to);
+
+    return rows.map(row => {
+      const point = { time: new Date(row.observed_at).toISOString() };
+      for (const key of SERIES_KEYS) point[key] = row[key];
+      return { ...point, raw: toRaw(row), calibration: row.calibration, samples: 1 };
+    });
+  }
+
+  const averages = [...SERIES_KEYS, ...rawColumns].map(key => `AVG(${key}) AS ${key}`).join(', ');
+  const rows = db.prepare(`
+    SELECT (observed_at / CAST(@interval AS INTEGER)) * CAST(@interval AS INTEGER) AS bucket, ${averages},
+      MAX(calibration) AS calibration, COUNT(*) AS samples
+    FROM aqi_readings
+    WHERE station_id = @stationId AND observed_at BETWEEN @from AND @to
+    GROUP BY bucket
+    ORDER BY bucket
+  `).all({ stationId: String(stationId), from, to, interval });
+
+  const round = value => (value === null ? null : Math.round(value * 10) / 10);
+  return rows.map(({ bucket, samples, calibration, ...values }) => {
+    const point = { time: new Date(bucket).toISOString() };
+    for (const key of SERIES_KEYS) point[key] = round(values[key]);
+    for (const key of rawColumns) values[key] = round(values[key]);
+    return { ...point, raw: toRaw(values), calibration, samples };
+  });
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Mean concentration per pollutant over its averaging period, ending at `at`.
+// `periods` maps pollutant -> hours (e.g. { pm25: 24, o3: 8 }); pollutants without a
+// stored column or without any reading in their window come back as null.
+function getAverages(stationId, at, periods) {
+  const entries = Object.entries(periods).filter(([key]) => POLLUTANT_KEYS.includes(key));
+  if (entries.length === 0) return {};
+
+  const longest = Math.max(...entries.map(([, hours]) => hours));
+  const params = { stationId: String(stationId), at, since: at - longest * HOUR_MS };
+  const columns = entries.map(([key, hours]) => {
+    params[`since_${key}`] = at - hours * HOUR_MS;
+    return `AVG(CASE WHEN observed_at >= @since_${key} THEN ${key} END) AS ${key}`;
+  });
+
+  const row = db.prepare(`
+    SELECT ${columns.join(', ')}
+    FROM aqi_readings
+    WHERE station_id = @stationId AND observed_at BETWEEN @since AND @at
+  `).get(params);
+  return row || {};
+}
+
+// Hourly mean concentrations for the hours ending at `at`, most recent first (index 0 is
+// the hour up to `at`). Hours without a reading are null. Used for the NowCast.
+function getHourlySeries(stationId, at, pollutants, hours) {
+  const series = Object.fromEntries(pollutants.map(key => [key, new Array(hours).fill(null)]));
+  const columns = pollutants.filter(key => POLLUTANT_KEYS.includes(key));
+  if (columns.length === 0) return series;
+
+  const rows = db.prepare(`
+    SELECT CAST((@at - observed_at) / ${HOUR_MS} AS INTEGER) AS hours_ago,
+      ${columns.map(key => `AVG(${key}) AS ${key}`).join(', ')}
+    FROM aqi_readings
+    WHERE station_id = @stationId AND observed_at > @since AND observed_at <= @at
+    GROUP BY hours_ago
+  `).all({ stationId: String(stationId), at, since: at - hours * HOUR_MS });
+
+  for (const row of rows) {
+    for (const key of columns) {
+      if (row.hours_ago < hours) series[key][row.hours_ago] = row[key];
+    }
+  }
+  return series;
+}
+
+// The station's last `limit` stored AQI values up to `at`, newest first: [{ observedAt, aqi }]
+function getRecentAqi(stationId, at, limit) {
+  return db.prepare(`
+    SELECT observed_at AS observedAt, aqi FROM aqi_readings
+    WHERE station_id = ? AND observed_at <= ? AND aqi IS NOT NULL
+    ORDER BY observed_at DESC LIMIT ?
+  `).all(String(stationId), at, limit);
+}
+
+// getRecentAqi for many stations in one query. `wanted` is [{ stationId, at }]; returns a Map
+// of station id to its readings, newest first (stations without any are left out).
+function getRecentAqiForStations(wanted, limit) {
+  const rows = db.prepare(`
+    WITH wanted (station_id, at) AS (
+      SELECT json_extract(value, '$[0]'), json_extract(value, '$[1]') FROM json_each(?)
+    )
+    SELECT station_id, observed_at, aqi FROM (
+      SELECT r.station_id, r.observed_at, r.aqi,
+             ROW_NUMBER() OVER (PARTITION BY r.station_id ORDER BY r.observed_at DESC) AS n
+      FROM aqi_readings r JOIN wanted w ON r.station_id = w.station_id AND r.observed_at <= w.at
+      WHERE r.aqi IS NOT NULL
+    )
+    WHERE n <= ?
+    ORDER BY station_id, observed_at DESC
+  `).all(JSON.stringify(wanted.map(w => [String(w.stationId), w.at])), limit);
+
+  const byStation = new Map();
+  for (const row of rows) {
+    if (!byStation.has(row.station_id)) byStation.set(row.station_id, []);
+    byStation.get(row.station_id).push({ observedAt: row.observed_at, aqi: row.aqi });
+  }
+  return byStation;
+}
+
+module.exports = {
+  DEFAULT_WINDOW_MS,
+  MAX_CLOCK_SKEW_MS,
+  POLLUTANT_KEYS,
+  parseTime,
+  parseRange,
+  parseInterval,
+  recordReading,
+  recordReadings,
+  getHistory,
+  getAverages,
+  getHourlySeries,
+  getRecentAqi,
+  getRecentAqiForStations,
+};
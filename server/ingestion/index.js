@@ -0,0 +1,5 @@
+const regions = require('./regions');
+const store = require('./store');
+const { start, getStatus } = require('./scheduler');
+
+module.exports = { regions, store, start, getStatus };
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { parseBounds } = require('../geo');
+
+// Regions the ingestion worker keeps in the store, from a JSON file (INGESTION_REGIONS_PATH,
+// default data/ingestion-regions.json), each polled per source on its own schedule:
+//
+//   { id, name?, bounds: 'lat1,lng1,lat2,lng2',
+//     sources: {
+//       aqi?:     { intervalMinutes, jitterSeconds?, backfillHours?, enabled? },   the AQI_PROVIDER
+//       weather?: { intervalMinutes, jitterSeconds?, backfillHours?, enabled? } }  Open-Meteo
+//
+// Runs start at a random point up to `jitterSeconds` (default INGEST_JITTER_SECONDS, 30) into
+// their interval so regions do not all hit an upstream at once. After a gap, at most
+// `backfillHours` (default INGEST_BACKFILL_HOURS, 24) of missed intervals are filled in.
+// INGESTION_ENABLED=false turns the worker off; every request is then fetched on demand.
+const REGIONS_PATH = process.env.INGESTION_REGIONS_PATH || path.join(__dirname, '..', 'data', 'ingestion-regions.json');
+const ENABLED = process.env.INGESTION_ENABLED !== 'false';
+
+const SOURCES = ['aqi', 'weather'];
+
+const DEFAULT_JITTER_SECONDS = Number(process.env.INGEST_JITTER_SECONDS ?? 30);
+const DEFAULT_BACKFILL_HOURS = Number(process.env.INGEST_BACKFILL_HOURS ?? 24);
+
+function loadRegions(file) {
+  if (!fs.existsSync(file)) return [];
+  const regions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const name = path.basename(file);
+  if (!Array.isArray(regions)) throw new Error(`${name}: expected an array of regions`);
+
+  const ids = new Set();
+  return regions.map((r, i) => {
+    if (typeof r.id !== 'string' || !r.id) throw new Error(`${name}: region ${i} has no string \`id\``);
+    if (ids.has(r.id)) throw new Error(`${name}: region "${r.id}" is listed twice`);
+    ids.add(r.id);
+
+    const bounds = parseBounds(r.bounds);
+    if (!bounds) throw new Error(`${name}: region "${r.id}" bounds must be "lat1,lng1,lat2,lng2"`);
+
+    const sources = {};
+    for (const [source, s] of Object.entries(r.sources || {})) {
+      if (!SOURCES.includes(source)) {
+        throw new Error(`${name}: region "${r.id}" source "${source}" must be one of ${SOURCES.join(', ')}`);
+      }
+      if (s.enabled === false) continue;
+      if (!(Number.isFinite(s.intervalMinutes) && s.intervalMinutes >= 1)) {
+        throw new Error(`${name}: region "${r.id}" ${source}.intervalMinutes must be at least 1`);
+      }
+      const jitterSeconds = s.jitterSeconds ?? DEFAULT_JITTER_SECONDS;
+      const backfillHours = s.backfillHours ?? DEFAULT_BACKFILL_HOURS;
+      if (!(Number.isFinite(jitterSeconds) && jitterSeconds >= 0 && jitterSeconds < s.intervalMinutes * 60)) {
+        throw new Error(`${name}: region "${r.id}" ${source}.jitterSeconds must be shorter than the interval`);
+      }
+      if (!(Number.isFinite(backfillHours) && backfillHours >= 0)) {
+        throw new Error(`${name}: region "${r.id}" ${source}.backfillHours must be a number of hours`);
+      }
+      sources[source] = {
+        intervalMs: s.intervalMinutes * 60 * 1000,
+        jitterMs: jitterSeconds * 1000,
+        backfillMs: backfillHours * 60 * 60 * 1000,
+      };
+    }
+
+    return { id: r.id, name: r.name ?? r.id, bounds, sources };
+  });
+}
+
+const regions = ENABLED ? loadRegions(REGIONS_PATH) : [];
+if (regions.length > 0) {
+  logger.info('loaded ingestion regions', { count: regions.length, file: path.basename(REGIONS_PATH) });
+}
+
+function listRegions() {
+  return regions;
+}
+
+module.exports = { SOURCES, listRegions };
@@ -0,0 +1,162 @@
+const aqiStations = require('../aqiStations');
+const logger = require('../logger');
+const metrics = require('../metrics');
+const weather = require('../weather');
+const weatherStations = require('../weatherStations');
+const regions = require('./regions');
+const store = require('./store');
+const { getAqiProvider } = require('../providers');
+
+// Polls each configured region per source on a fixed cadence and keeps the results in the
+// store, so /api/aqi and /api/weather do not fan out to the upstreams per viewer.
+//
+// Runs are aligned to slots: multiples of the interval since the epoch, each started at a
+// random point within the source's jitter. A run that finds the previous slots without a
+// successful run (server down, upstream failures) also fills those in, up to backfillHours back.
+// WAQI only serves current readings, so for it the gap stays in the history.
+const SOURCES = {
+  aqi: {
+    provider: () => getAqiProvider().name,
+    async run(region, backfillFrom, slot) {
+      const provider = getAqiProvider();
+      const stations = await aqiStations.fetchStations(provider, region.bounds);
+      store.replaceSnapshots(provider.name, region.id, stations);
+      const backfilled = backfillFrom === null
+        ? null
+        : await aqiStations.backfillStations(provider, region.bounds, backfillFrom, slot);
+      return { records: stations.length, backfilled };
+    },
+  },
+  weather: {
+    provider: () => weather.PROVIDER,
+    async run(region, backfillFrom) {
+      const stations = weatherStations.listStations(region.bounds);
+      const results = await Promise.allSettled(stations.map(st => weather.ingestWeather(st, backfillFrom)));
+      const failed = results.filter(r => r.status === 'rejected');
+      if (stations.length > 0 && failed.length === stations.length) throw failed[0].reason;
+      for (const [i, r] of results.entries()) {
+        if (r.status === 'rejected') {
+          logger.warn('weather ingestion failed for station', { region: region.id, stationId: stations[i].id, err: r.reason });
+        }
+      }
+      return {
+        records: stations.length - failed.length,
+        backfilled: backfillFrom === null ? null : results.reduce((sum, r) => sum + (r.value ?? 0), 0),
+      };
+    },
+  },
+};
+
+const jobs = []; // { region, source, intervalMs, jitterMs, backfillMs, timer, running, nextRunAt }
+
+function slotOf(time, intervalMs) {
+  return Math.floor(time / intervalMs) * intervalMs;
+}
+
+// Never rejects: any failure, including resolving the provider or reading the run log, is
+// logged (and recorded as a failed run once the provider is known) so the job stays scheduled
+async function runJob(job) {
+  const { region, source, intervalMs, backfillMs } = job;
+  const startedAt = Date.now();
+  const slot = slotOf(startedAt, intervalMs);
+  const run = { regionId: region.id, source, provider: null, slot, startedAt, backfillFrom: null };
+
+  try {
+    run.provider = SOURCES[source].provider();
+
+    // Slots after the last good one were missed; the current slot is covered by this run
+    const last = store.getLastRun(region.id, source, run.provider, { ok: true });
+    if (last && last.slot >= slot) return;
+    if (last && last.slot < slot - intervalMs) run.backfillFrom = Math.max(last.slot + intervalMs, slot - backfillMs);
+
+    const { records, backfilled } = await SOURCES[source].run(region, run.backfillFrom, slot);
+    store.recordRun({ ...run, finishedAt: Date.now(), status: 'ok', records, backfilled });
+    metrics.ingestionRuns.inc({ region: region.id, source, result: 'ok' });
+    metrics.ingestionLastSuccess.set({ region: region.id, source }, Math.round(Date.now() / 1000));
+    logger.info('ingestion run finished', {
+      region: region.id,
+      source,
+      provider: run.provider,
+      records,
+      ...(run.backfillFrom !== null && { backfillFrom: new Date(run.backfillFrom).toISOString(), backfilled }),
+      durationMs: Date.now() - startedAt,
+    });
+  } catch (err) {
+    metrics.ingestionRuns.inc({ region: region.id, source, result: 'failed' });
+    logger.error('ingestion run failed', { region: region.id, source, provider: run.provider, err });
+    if (run.provider === null) return; // nothing to record it against
+    try {
+      store.recordRun({ ...run, finishedAt: Date.now(), status: 'failed', records: 0, error: err.message });
+    } catch (e) {
+      logger.error('could not record ingestion run', { region: region.id, source, err: e });
+    }
+  }
+}
+
+// Waits for the next slot (plus jitter), runs, and schedules the one after, whatever happened
+function schedule(job, delay) {
+  job.nextRunAt = Date.now() + delay;
+  job.timer = setTimeout(async () => {
+    job.running = true;
+    try {
+      await runJob(job);
+    } catch (err) {
+      logger.error('ingestion run failed', { region: job.region.id, source: job.source, err });
+    } finally {
+      job.running = false;
+      const now = Date.now();
+      schedule(job, slotOf(now, job.intervalMs) + job.intervalMs - now + Math.random() * job.jitterMs);
+    }
+  }, delay);
+}
+
+// Starts a job per region and source. The first run happens within the jitter window, and is
+// skipped if a run already covered the current slot before a restart.
+function start() {
+  for (const region of regions.listRegions()) {
+    for (const [source, config] of Object.entries(region.sources)) {
+      const job = { region, source, ...config, timer: null, running: false, nextRunAt: null };
+      jobs.push(job);
+      schedule(job, Math.random() * job.jitterMs);
+    }
+  }
+  if (jobs.length > 0) logger.info('ingestion worker started', { jobs: jobs.length });
+}
+
+function toIso(time) {
+  return time === null || time === undefined ? null : new Date(time).toISOString();
+}
+
+function formatRun(run) {
+  return {
+    ...run,
+    slot: toIso(run.slot),
+    startedAt: toIso(run.startedAt),
+    finishedAt: toIso(run.finishedAt),
+    backfillFrom: toIso(run.backfillFrom),
+  };
+}
+
+// Per region and source: schedule, last run and whether the store is serving it. A job whose
+// state cannot be read (unknown provider, database error) comes back with `error` instead.
+function getStatus() {
+  return jobs.map(({ region, source, intervalMs, running, nextRunAt }) => {
+    const status = { region: region.id, source, intervalMinutes: intervalMs / 60000, running, nextRunAt: toIso(nextRunAt) };
+    try {
+      const provider = SOURCES[source].provider();
+      const last = store.getLastRun(region.id, source, provider);
+      const lastOk = last?.status === 'ok' ? last : store.getLastRun(region.id, source, provider, { ok: true });
+      return {
+        ...status,
+        provider,
+        serving: !!lastOk && Date.now() - lastOk.finishedAt <= store.getMaxAge(region, source),
+        lastRun: last && formatRun(last),
+        lastSuccessAt: toIso(lastOk?.finishedAt),
+      };
+    } catch (err) {
+      return { ...status, provider: null, serving: false, lastRun: null, lastSuccessAt: null, error: err.message };
+    }
+  });
+}
+
+module.exports = { start, getStatus };
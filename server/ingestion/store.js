@@ -0,0 +1,120 @@
+const db = require('../db');
+const regions = require('./regions');
+const { isInBounds } = require('../geo');
+
+// Snapshots and run log of the ingestion worker. A region's stored data is served while its
+// last good run is at most MAX_AGE_INTERVALS intervals (plus jitter) old; past that, requests
+// fall back to fetching on demand until the worker catches up.
+const MAX_AGE_INTERVALS = 2;
+const RUN_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// ─── AQI snapshots ─────────────────────────────────────────────────
+
+const upsertSnapshot = db.prepare(`
+  INSERT INTO aqi_snapshots (provider, station_id, region_id, lat, lng, fetched_at, payload)
+  VALUES (@provider, @stationId, @regionId, @lat, @lng, @fetchedAt, @payload)
+  ON CONFLICT (provider, station_id) DO UPDATE SET
+    region_id = excluded.region_id,
+    lat = excluded.lat,
+    lng = excluded.lng,
+    fetched_at = excluded.fetched_at,
+    payload = excluded.payload
+`);
+
+// Replaces what a region holds with the stations from one run; stations the provider no longer
+// lists for the region are dropped
+const replaceSnapshots = db.transaction((provider, regionId, stations) => {
+  const fetchedAt = Date.now();
+  for (const s of stations) {
+    if (!Number.isFinite(s.lat) || !Number.isFinite(s.lng)) continue;
+    upsertSnapshot.run({
+      provider,
+      stationId: String(s.id),
+      regionId,
+      lat: s.lat,
+      lng: s.lng,
+      fetchedAt,
+      payload: JSON.stringify(s),
+    });
+  }
+  db.prepare('DELETE FROM aqi_snapshots WHERE provider = ? AND region_id = ? AND fetched_at < ?')
+    .run(provider, regionId, fetchedAt);
+});
+
+function getSnapshots(provider, bounds) {
+  return db.prepare(`
+    SELECT payload FROM aqi_snapshots
+    WHERE provider = @provider AND lat BETWEEN @south AND @north AND lng BETWEEN @west AND @east
+  `).all({ provider, ...bounds }).map(row => JSON.parse(row.payload));
+}
+
+// ─── Runs ──────────────────────────────────────────────────────────
+
+const insertRun = db.prepare(`
+  INSERT INTO ingestion_runs (region_id, source, provider, slot, started_at, finished_at, status, records, backfill_from, backfilled, error)
+  VALUES (@regionId, @source, @provider, @slot, @startedAt, @finishedAt, @status, @records, @backfillFrom, @backfilled, @error)
+`);
+
+function recordRun(run) {
+  insertRun.run({ backfillFrom: null, backfilled: null, error: null, ...run });
+  db.prepare('DELETE FROM ingestion_runs WHERE finished_at < ?').run(Date.now() - RUN_RETENTION_MS);
+}
+
+function toRun(row) {
+  return {
+    slot: row.slot,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    status: row.status,
+    records: row.records,
+    backfillFrom: row.backfill_from,
+    backfilled: row.backfilled,
+    error: row.error,
+  };
+}
+
+// The latest run of a region's source, or the latest successful one with `{ ok: true }`
+function getLastRun(regionId, source, provider, { ok = false } = {}) {
+  const row = db.prepare(`
+    SELECT * FROM ingestion_runs
+    WHERE region_id = ? AND source = ? AND provider = ? ${ok ? "AND status = 'ok'" : ''}
+    ORDER BY finished_at DESC LIMIT 1
+  `).get(regionId, source, provider);
+  return row ? toRun(row) : null;
+}
+
+// How old a region's stored `source` data may get before it is no longer served
+function getMaxAge(region, source) {
+  const { intervalMs, jitterMs } = region.sources[source];
+  return MAX_AGE_INTERVALS * intervalMs + jitterMs;
+}
+
+function isFresh(region, source, provider, now = Date.now()) {
+  if (!region.sources[source]) return false;
+  const last = getLastRun(region.id, source, provider, { ok: true });
+  return !!last && now - last.finishedAt <= getMaxAge(region, source);
+}
+
+// The region whose stored `source` data covers all of `bounds` and is fresh, or null
+function findCoveringRegion(source, provider, bounds) {
+  return regions.listRegions().find(r =>
+    isInBounds(bounds.south, bounds.west, r.bounds) &&
+    isInBounds(bounds.north, bounds.east, r.bounds) &&
+    isFresh(r, source, provider)
+  ) ?? null;
+}
+
+// The region with fresh stored `source` data around a point, or null
+function findRegionAt(source, provider, lat, lng) {
+  return regions.listRegions().find(r => isInBounds(lat, lng, r.bounds) && isFresh(r, source, provider)) ?? null;
+}
+
+module.exports = {
+  replaceSnapshots,
+  getSnapshots,
+  recordRun,
+  getLastRun,
+  getMaxAge,
+  findCoveringRegion,
+  findRegionAt,
+};
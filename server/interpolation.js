@@ -0,0 +1,240 @@
+const { distanceKm } = require('./geo');
+
+// Interpolated value grids for /api/aqi/grid. Station AQI is spread over a regular lat/lng grid
+// so the map can draw pollution levels as a surface instead of station density.
+//
+//   idw     -> inverse distance weighting (power 2). Cheap, never overshoots the station range.
+//   kriging -> ordinary kriging with an exponential variogram fitted to the stations in view.
+//              Smoother, but needs a few stations to fit the variogram.
+//
+// Cells further than MAX_DISTANCE_KM from every station are left null rather than extrapolated.
+const METHODS = ['idw', 'kriging'];
+const DEFAULT_CELL_SIZE_KM = 1;
+const MIN_CELL_SIZE_KM = 0.1;
+const MAX_CELL_SIZE_KM = 50;
+const MAX_CELLS = 10_000;
+const MAX_DISTANCE_KM = Number(process.env.AQI_GRID_MAX_DISTANCE_KM) || 15;
+const MIN_KRIGING_POINTS = 3;
+const IDW_POWER = 2;
+const KM_PER_DEGREE_LAT = 111.32;
+
+// `?method=`: idw (default) or kriging. Returns undefined when invalid.
+function parseMethod(value) {
+  if (value === undefined) return 'idw';
+  const method = String(value).toLowerCase();
+  return METHODS.includes(method) ? method : undefined;
+}
+
+// `?cellSize=` in km, or the default when absent. Returns undefined when invalid.
+function parseCellSize(value) {
+  if (value === undefined) return DEFAULT_CELL_SIZE_KM;
+  const km = Number(value);
+  if (!Number.isFinite(km) || km < MIN_CELL_SIZE_KM || km > MAX_CELL_SIZE_KM) return undefined;
+  return km;
+}
+
+// Stations at the same spot would make the kriging system singular, so they are averaged
+function mergeDuplicates(points) {
+  const byPosition = new Map();
+  for (const p of points) {
+    const key = `${p.lng},${p.lat}`;
+    const entry = byPosition.get(key) ?? { lng: p.lng, lat: p.lat, sum: 0, count: 0 };
+    entry.sum += p.value;
+    entry.count++;
+    byPosition.set(key, entry);
+  }
+  return [...byPosition.values()].map(e => ({ lng: e.lng, lat: e.lat, value: e.sum / e.count }));
+}
+
+function idw(points) {
+  return (position, distances) => {
+    let weighted = 0;
+    let total = 0;
+    for (let i = 0; i < points.length; i++) {
+      if (distances[i] === 0) return points[i].value;
+      const w = 1 / distances[i] ** IDW_POWER;
+      weighted += w * points[i].value;
+      total += w;
+    }
+    return weighted / total;
+  };
+}
+
+// ─── Kriging ───────────────────────────────────────────────────────
+
+function exponentialVariogram({ nugget, sill, range }) {
+  return h => (h === 0 ? 0 : nugget + (sill - nugget) * (1 - Math.exp((-3 * h) / range)));
+}
+
+// Fits the sill to the sample variance and picks the range that best matches the binned
+// empirical semivariogram. A small nugget keeps the system well conditioned.
+function fitVariogram(points, distanceMatrix) {
+  const mean = points.reduce((sum, p) => sum + p.value, 0) / points.length;
+  const variance = points.reduce((sum, p) => sum + (p.value - mean) ** 2, 0) / points.length || 1;
+
+  const pairs = [];
+  let maxDistance = 0;
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const h = distanceMatrix[i][j];
+      pairs.push({ h, gamma: (points[i].value - points[j].value) ** 2 / 2 });
+      maxDistance = Math.max(maxDistance, h);
+    }
+  }
+
+  const BINS = 10;
+  const binWidth = maxDistance / BINS || 1;
+  const bins = Array.from({ length: BINS }, () => ({ h: 0, gamma: 0, count: 0 }));
+  for (const pair of pairs) {
+    const bin = bins[Math.min(BINS - 1, Math.floor(pair.h / binWidth))];
+    bin.h += pair.h;
+    bin.gamma += pair.gamma;
+    bin.count++;
+  }
+  const empirical = bins.filter(b => b.count > 0).map(b => ({ h: b.h / b.count, gamma: b.gamma / b.count, count: b.count }));
+
+  const nugget = variance * 0.01;
+  let best = null;
+  for (let step = 1; step <= 20; step++) {
+    const range = (maxDistance * step) / 20 || 1;
+    const model = exponentialVariogram({ nugget, sill: variance, range });
+    const error = empirical.reduce((sum, b) => sum + b.count * (model(b.h) - b.gamma) ** 2, 0);
+    if (!best || error < best.error) best = { range, error };
+  }
+  return { nugget, sill: variance, range: best.range };
+}
+
+// Inverts a square matrix with Gauss-Jordan elimination (partial pivoting).
+// Returns null when it is singular.
+function invert(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    const p = a[col][col];
+    for (let c = 0; c < 2 * n; c++) a[col][c] /= p;
+    for (let r = 0; r < n; r++) {
+      if (r === col || a[r][col] === 0) continue;
+      const f = a[r][col];
+      for (let c = 0; c < 2 * n; c++) a[r][c] -= f * a[col][c];
+    }
+  }
+  return a.map(row => row.slice(n));
+}
+
+// Ordinary kriging in dual form: the system is solved once for the station values, so each
+// cell only costs one pass over the stations.
+function kriging(points, distanceMatrix) {
+  const variogram = exponentialVariogram(fitVariogram(points, distanceMatrix));
+  const n = points.length;
+
+  const system = Array.from({ length: n + 1 }, (_, i) =>
+    Array.from({ length: n + 1 }, (_, j) => {
+      if (i === n && j === n) return 0;
+      if (i === n || j === n) return 1;
+      return variogram(distanceMatrix[i][j]);
+    })
+  );
+  const inverse = invert(system);
+  if (!inverse) return null;
+
+  const rhs = [...points.map(p => p.value), 0];
+  const coefficients = inverse.map(row => row.reduce((sum, v, j) => sum + v * rhs[j], 0));
+
+  return (position, distances) => {
+    let value = coefficients[n];
+    for (let i = 0; i < n; i++) value += coefficients[i] * variogram(distances[i]);
+    return value;
+  };
+}
+
+// IDW estimate at one [lng, lat] position, or null when no station is within MAX_DISTANCE_KM
+function estimateAt(points, position) {
+  const stations = mergeDuplicates(points);
+  const distances = stations.map(p => distanceKm(position, [p.lng, p.lat]));
+  if (stations.length === 0 || Math.min(...distances) > MAX_DISTANCE_KM) return null;
+  return Math.round(idw(stations)(position, distances));
+}
+
+// ─── Grid ──────────────────────────────────────────────────────────
+
+// Rows and columns covering `bounds` with roughly `cellSizeKm` square cells
+function gridShape(bounds, cellSizeKm) {
+  const midLat = (bounds.south + bounds.north) / 2;
+  const latStep = cellSizeKm / KM_PER_DEGREE_LAT;
+  const lngStep = cellSizeKm / (KM_PER_DEGREE_LAT * Math.cos((midLat * Math.PI) / 180));
+  return {
+    rows: Math.max(1, Math.ceil((bounds.north - bounds.south) / latStep)),
+    cols: Math.max(1, Math.ceil((bounds.east - bounds.west) / lngStep)),
+    latStep,
+    lngStep,
+  };
+}
+
+// Interpolates `points` ({ lat, lng, value }) over `bounds`. Returns
+// { method, cellSizeKm, south, west, latStep, lngStep, rows, cols, values }, where values[row][col]
+// is the cell centred at (south + (row + 0.5) * latStep, west + (col + 0.5) * lngStep), row 0
+// being the southernmost. Returns { error } when the grid is too large or kriging cannot be fitted.
+function buildGrid(points, bounds, { method = 'idw', cellSizeKm = DEFAULT_CELL_SIZE_KM } = {}) {
+  const { rows, cols, latStep, lngStep } = gridShape(bounds, cellSizeKm);
+  if (rows * cols > MAX_CELLS) {
+    return { error: `The grid would have ${rows * cols} cells (max ${MAX_CELLS}). Use a larger cellSize or smaller bounds.` };
+  }
+
+  const stations = mergeDuplicates(points);
+  if (method === 'kriging' && stations.length < MIN_KRIGING_POINTS) {
+    return { error: `Kriging needs at least ${MIN_KRIGING_POINTS} stations in view. Use method=idw.` };
+  }
+
+  const positions = stations.map(p => [p.lng, p.lat]);
+  const distanceMatrix = positions.map(a => positions.map(b => distanceKm(a, b)));
+  const estimate = stations.length === 0 ? null
+    : method === 'kriging' ? kriging(stations, distanceMatrix)
+    : idw(stations);
+  if (method === 'kriging' && !estimate) {
+    return { error: 'Kriging could not be fitted to these stations. Use method=idw.' };
+  }
+
+  const values = [];
+  for (let r = 0; r < rows; r++) {
+    const lat = bounds.south + (r + 0.5) * latStep;
+    const row = [];
+    for (let c = 0; c < cols; c++) {
+      const position = [bounds.west + (c + 0.5) * lngStep, lat];
+      const distances = positions.map(p => distanceKm(position, p));
+      if (!estimate || Math.min(...distances) > MAX_DISTANCE_KM) {
+        row.push(null);
+        continue;
+      }
+      row.push(Math.max(0, Math.round(estimate(position, distances))));
+    }
+    values.push(row);
+  }
+
+  return {
+    method,
+    cellSizeKm,
+    south: bounds.south,
+    west: bounds.west,
+    latStep,
+    lngStep,
+    rows,
+    cols,
+    values,
+  };
+}
+
+module.exports = {
+  METHODS,
+  MIN_CELL_SIZE_KM,
+  MAX_CELL_SIZE_KM,
+  MAX_DISTANCE_KM,
+  parseMethod,
+  parseCellSize,
+  estimateAt,
+  buildGrid,
+};
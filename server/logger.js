@@ -0,0 +1,42 @@
+// Structured logging: one JSON object per line ({ time, level, msg, ...fields }) so log
+// shippers can index by field instead of grepping free text. LOG_FORMAT=text gives a
+// human-readable line for local development. LOG_LEVEL=debug|info|warn|error (default info).
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+const FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+
+// Errors do not survive JSON.stringify, so keep the parts worth searching for
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  const out = { name: value.name, message: value.message };
+  for (const key of ['status', 'upstream', 'details']) {
+    if (value[key] !== undefined) out[key] = value[key];
+  }
+  return out;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = { time: new Date().toISOString(), level, msg };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+
+  let line;
+  if (FORMAT === 'text') {
+    const { time, level: _level, msg: _msg, ...rest } = entry;
+    const extras = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`);
+    line = [time, level.toUpperCase().padEnd(5), msg, ...extras].join(' ');
+  } else {
+    line = JSON.stringify(entry);
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
@@ -0,0 +1,185 @@
+// Operational metrics in the Prometheus text format, served at /api/metrics.
+//
+// Small in-process registry (counters, gauges, histograms with labels); every metric the
+// server exports is declared at the bottom of this file so the full list is in one place.
+const registry = [];
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, i) => `${name}="${values[i].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  const metric = {
+    inc(labels, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) ?? 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(value)}`);
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function gauge(name, help, labelNames = []) {
+  const series = new Map();
+  const metric = {
+    set(labels, value) {
+      series.set(labelKey(labelNames, labels), value);
+    },
+    inc(labels, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) ?? 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const [key, value] of series) lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(value)}`);
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets) {
+  const series = new Map(); // key -> { counts (per bucket, cumulative on render), sum, count }
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      const bucket = buckets.findIndex(upper => value <= upper);
+      if (bucket !== -1) s.counts[bucket]++;
+      s.sum += value;
+      s.count++;
+    },
+    // Returns a function that observes the seconds elapsed since the call
+    startTimer(labels) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        metric.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        let cumulative = 0;
+        buckets.forEach((upper, i) => {
+          cumulative += s.counts[i];
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${formatValue(upper)}"`)} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`);
+      }
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const COUNT_BUCKETS = [0, 1, 5, 10, 25, 50, 100, 250, 500, 1000];
+
+const upstreamRequestDuration = histogram(
+  'upstream_request_duration_seconds',
+  'Duration of each upstream HTTP attempt. status is the HTTP status, or timeout / network.',
+  ['upstream', 'status'],
+  LATENCY_BUCKETS
+);
+const upstreamErrors = counter(
+  'upstream_errors_total',
+  'Failed upstream attempts by status (HTTP 429 / 5xx, timeout, network, circuit_open).',
+  ['upstream', 'status']
+);
+const upstreamCircuitState = gauge(
+  'upstream_circuit_state',
+  'Circuit breaker state per upstream: 0 closed, 1 half-open, 2 open.',
+  ['upstream']
+);
+const cacheRequests = counter(
+  'cache_requests_total',
+  'Cache lookups by cache and result (hit, stale, miss).',
+  ['cache', 'result']
+);
+const stationsReturned = histogram(
+  'api_stations_returned',
+  'Number of stations (or sites / segments) in each list response.',
+  ['endpoint'],
+  COUNT_BUCKETS
+);
+const httpRequests = counter(
+  'http_requests_total',
+  'HTTP requests served, by method, route and status.',
+  ['method', 'route', 'status']
+);
+const httpRequestDuration = histogram(
+  'http_request_duration_seconds',
+  'Time to serve HTTP requests (SSE streams excluded).',
+  ['method', 'route'],
+  LATENCY_BUCKETS
+);
+const apiKeyRequests = counter(
+  'api_key_requests_total',
+  'Requests to key-protected endpoints by key id and result (ok, rate_limited, quota_exceeded).',
+  ['key', 'result']
+);
+const ingestionRuns = counter(
+  'ingestion_runs_total',
+  'Scheduled ingestion runs by region, source (aqi, weather) and result (ok, failed).',
+  ['region', 'source', 'result']
+);
+const ingestionLastSuccess = gauge(
+  'ingestion_last_success_timestamp_seconds',
+  'Unix time of the last successful ingestion run per region and source.',
+  ['region', 'source']
+);
+const streamSubscribers = gauge(
+  'stream_subscribers',
+  'Open /api/stream connections.'
+);
+const processUptime = gauge('process_uptime_seconds', 'Seconds since the server started.');
+const processHeap = gauge('process_heap_used_bytes', 'V8 heap in use.');
+
+function render() {
+  processUptime.set({}, Math.round(process.uptime()));
+  processHeap.set({}, process.memoryUsage().heapUsed);
+  return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+  upstreamRequestDuration,
+  upstreamErrors,
+  upstreamCircuitState,
+  cacheRequests,
+  stationsReturned,
+  httpRequests,
+  httpRequestDuration,
+  apiKeyRequests,
+  ingestionRuns,
+  ingestionLastSuccess,
+  streamSubscribers,
+  render,
+};
@@ -0,0 +1,12 @@
+// Thrown by data providers for problems the client should see verbatim:
+// missing configuration, upstream error payloads, unknown station ids.
+class ProviderError extends Error {
+  constructor(message, { status = 500, details } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = ProviderError;
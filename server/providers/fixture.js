@@ -0,0 +1,55 @@
+const fs = require('fs/promises');
+const path = require('path');
+const ProviderError = require('./ProviderError');
+const { isInBounds } = require('../geo');
+
+// Serves recorded station readings from a JSON file so the dashboard runs offline and
+// without any API key. The file holds { "stations": [...] } in the same normalized shape
+// the other providers return (see scripts/recordFixture.js to capture a fresh one).
+// Timestamps are replayed relative to the file's `recordedAt`, as if it had been recorded when
+// the server first read it, so stations start with the age they had when recorded instead of all
+// showing up as offline. The shift is fixed from then on: each reading keeps one timestamp (and
+// one history row), and stations age like a feed that stopped updating.
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'aqi-stations.json');
+
+// Shift per `recordedAt` seen, so a re-recorded file gets its own
+const shifts = new Map();
+
+async function loadStations() {
+  const fixturePath = process.env.AQI_FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+  let raw;
+  try {
+    raw = await fs.readFile(fixturePath, 'utf8');
+  } catch (e) {
+    throw new ProviderError(`Fixture file not readable: ${fixturePath}`, { details: e.message });
+  }
+  const data = JSON.parse(raw);
+  if (Array.isArray(data)) return data;
+
+  const recordedAt = Date.parse(data.recordedAt);
+  const stations = data.stations || [];
+  if (!Number.isFinite(recordedAt)) return stations;
+
+  if (!shifts.has(recordedAt)) shifts.set(recordedAt, Date.now() - recordedAt);
+  const shift = shifts.get(recordedAt);
+  return stations.map(s => {
+    const observedAt = Date.parse(s.lastUpdated);
+    return Number.isFinite(observedAt) ? { ...s, lastUpdated: new Date(observedAt + shift).toISOString() } : s;
+  });
+}
+
+async function listStations(bounds) {
+  const stations = await loadStations();
+  return stations.filter(s => isInBounds(s.lat, s.lng, bounds));
+}
+
+async function getStation(stationId) {
+  const stations = await loadStations();
+  const station = stations.find(s => String(s.id) === String(stationId));
+  if (!station) {
+    throw new ProviderError('Station not found', { status: 404 });
+  }
+  return station;
+}
+
+module.exports = { name: 'fixture', listStations, getStation };
@@ -0,0 +1,42 @@
+const fs = require('fs/promises');
+const path = require('path');
+const ProviderError = require('../ProviderError');
+
+// Replays hand-built hourly series so forecast mode works offline. The file holds
+// { "stations": [{ id, pm25: [...], pm10: [...], o3: [...] }] } with one value per hour;
+// index 0 is served as the current hour. Locations missing from the file get no hours.
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', '..', 'fixtures', 'aqi-forecast.json');
+
+async function loadSeries() {
+  const fixturePath = process.env.AQI_FORECAST_FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+  let raw;
+  try {
+    raw = await fs.readFile(fixturePath, 'utf8');
+  } catch (e) {
+    throw new ProviderError(`Forecast fixture file not readable: ${fixturePath}`, { details: e.message });
+  }
+  const data = JSON.parse(raw);
+  return new Map((data.stations || []).map(s => [String(s.id), s]));
+}
+
+async function getForecast(locations, hours) {
+  const series = await loadSeries();
+  const hourStart = Math.floor(Date.now() / 3600000) * 3600000;
+
+  return locations.map(location => {
+    const s = series.get(String(location.id));
+    const length = s ? Math.min(hours, s.pm25?.length ?? 0) : 0;
+    const hourly = [];
+    for (let i = 0; i < length; i++) {
+      hourly.push({
+        time: new Date(hourStart + i * 3600000).toISOString(),
+        pm25: s.pm25?.[i] ?? null,
+        pm10: s.pm10?.[i] ?? null,
+        o3: s.o3?.[i] ?? null,
+      });
+    }
+    return { id: location.id, hourly };
+  });
+}
+
+module.exports = { name: 'fixture', getForecast };
@@ -0,0 +1,68 @@
+const ProviderError = require('../ProviderError');
+const { getUpstream } = require('../../upstream');
+
+// Hourly PM2.5 / PM10 / ozone forecast from the Open-Meteo air-quality API (CAMS models,
+// free, no API key). Several locations go into one request as comma-separated coordinates.
+const BASE_URL = process.env.OPEN_METEO_AQ_URL || 'https://air-quality-api.open-meteo.com/v1/air-quality';
+const BATCH_SIZE = 50;
+
+// Open-Meteo reports ozone in µg/m³; the AQI code expects ppb (25 °C, 1 atm)
+const O3_UGM3_TO_PPB = 24.45 / 48.0;
+
+const upstream = getUpstream('open-meteo-air-quality');
+
+function round(value, digits = 1) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function toHourly(hourly) {
+  return hourly.time.map((t, i) => ({
+    // Times come back in GMT without a zone suffix
+    time: new Date(`${t}Z`).toISOString(),
+    pm25: round(hourly.pm2_5?.[i]),
+    pm10: round(hourly.pm10?.[i]),
+    o3: hourly.ozone?.[i] == null ? null : round(hourly.ozone[i] * O3_UGM3_TO_PPB),
+  }));
+}
+
+async function getForecast(locations, hours) {
+  const results = [];
+  for (let i = 0; i < locations.length; i += BATCH_SIZE) {
+    const batch = locations.slice(i, i + BATCH_SIZE);
+    const params = new URLSearchParams({
+      latitude: batch.map(l => l.lat).join(','),
+      longitude: batch.map(l => l.lng).join(','),
+      hourly: 'pm2_5,pm10,ozone',
+      forecast_hours: String(hours),
+      timezone: 'GMT',
+    });
+    const response = await upstream.request(`${BASE_URL}?${params}`, { headers: { Accept: 'application/json' } });
+    const data = await response.json().catch(() => null);
+
+    // Bad requests come back as HTTP 400 { error: true, reason }
+    if (!response.ok || !data || data.error) {
+      throw new ProviderError('Open-Meteo air-quality API error', {
+        status: 502,
+        details: data?.reason ?? `HTTP ${response.status}`,
+      });
+    }
+
+    // A single location comes back as an object, several as an array in request order
+    const list = Array.isArray(data) ? data : [data];
+    batch.forEach((location, idx) => {
+      const hourly = list[idx]?.hourly;
+      if (!hourly || !Array.isArray(hourly.time)) {
+        throw new ProviderError('Open-Meteo air-quality API error', {
+          status: 502,
+          details: `No hourly forecast for location ${location.id}`,
+        });
+      }
+      results.push({ id: location.id, hourly: toHourly(hourly) });
+    });
+  }
+  return results;
+}
+
+module.exports = { name: 'open-meteo', upstream: upstream.name, getForecast };
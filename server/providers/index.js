@@ -0,0 +1,58 @@
+const waqi = require('./waqi');
+const openaq = require('./openaq');
+const fixture = require('./fixture');
+const openMeteoForecast = require('./forecast/openMeteo');
+const fixtureForecast = require('./forecast/fixture');
+const ProviderError = require('./ProviderError');
+
+// Every AQI data provider exposes the same two calls:
+//
+//   listStations(bounds)  -> [{ id, lat, lng, city, aqi, lastUpdated, ...pollutants }]
+//   getStation(stationId) -> { id, city, aqi, lat, lng, pm25, pm10, no2, co, o3, so2, lastUpdated }
+//
+// `bounds` is { south, west, north, east } (see geo.parseBounds). Pollutants are
+// µg/m³ for PM, ppb for NO₂/O₃/SO₂, ppm for CO, or null when the source has none (sources
+// that measure them may also add nh3 in ppb and pb in µg/m³ for the Indian NAQI); list
+// entries include them only when the source hands them out for free. `aqi` is the
+// source's own figure or null, and a source that names its dominant pollutant may add
+// `dominantPollutant`, and one that knows which monitoring network a station belongs to may
+// add `network` (used to pick a calibration profile). A source that only publishes per-pollutant
+// sub-indices converts them back to concentrations and names those in `derivedPollutants`.
+// Anything missing is derived by aqi.withAqi.
+//
+// A provider with a history API may also expose
+//
+//   listHistory(bounds, from, to) -> [station records as above, one per station and hour]
+//
+// which the ingestion worker uses to backfill intervals it missed (from/to in epoch ms).
+const PROVIDERS = { waqi, openaq, fixture };
+
+// Choose the source per deployment with AQI_PROVIDER=waqi|openaq|fixture (default: waqi)
+function getAqiProvider() {
+  const name = (process.env.AQI_PROVIDER || 'waqi').toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new ProviderError(`Unknown AQI_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+// Air-quality forecast sources expose a single call:
+//
+//   getForecast(locations, hours) -> [{ id, hourly: [{ time, pm25, pm10, o3 }] }]
+//
+// `locations` are { id, lat, lng }; results come back in the same order. `hourly` starts at
+// the current hour (ISO `time`), with the same units as station readings and null for gaps.
+const FORECAST_PROVIDERS = { 'open-meteo': openMeteoForecast, fixture: fixtureForecast };
+
+// AQI_FORECAST_PROVIDER=open-meteo|fixture (default: open-meteo)
+function getForecastProvider() {
+  const name = (process.env.AQI_FORECAST_PROVIDER || 'open-meteo').toLowerCase();
+  const provider = FORECAST_PROVIDERS[name];
+  if (!provider) {
+    throw new ProviderError(`Unknown AQI_FORECAST_PROVIDER "${name}". Use one of: ${Object.keys(FORECAST_PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+module.exports = { getAqiProvider, getForecastProvider, ProviderError };
@@ -0,0 +1,145 @@
+const ProviderError = require('./ProviderError');
+const logger = require('../logger');
+const { getUpstream } = require('../upstream');
+
+// OpenAQ v3 (https://docs.openaq.org). Measurements are raw concentrations, so the AQI is
+// left null and derived downstream from the pollutants. Requires OPENAQ_API_KEY in .env; OPENAQ_BASE_URL points at a mirror.
+const DEFAULT_BASE_URL = 'https://api.openaq.org/v3';
+
+// Molecular weights for converting µg/m³ to ppb (at 25 °C, 1 atm: ppb = µg/m³ × 24.45 / MW)
+const MOLECULAR_WEIGHTS = { no2: 46.01, o3: 48.0, so2: 64.07, co: 28.01 };
+const POLLUTANTS = ['pm25', 'pm10', 'no2', 'co', 'o3', 'so2'];
+
+const api = getUpstream('openaq');
+
+function getConfig() {
+  const apiKey = process.env.OPENAQ_API_KEY;
+  if (!apiKey) {
+    throw new ProviderError('OPENAQ_API_KEY is not set. Add it to server/.env');
+  }
+  return { apiKey, baseUrl: process.env.OPENAQ_BASE_URL || DEFAULT_BASE_URL };
+}
+
+async function request(path) {
+  const { apiKey, baseUrl } = getConfig();
+  const response = await api.request(`${baseUrl}${path}`, {
+    headers: { Accept: 'application/json', 'X-API-Key': apiKey },
+  });
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok || !data) {
+    throw new ProviderError('OpenAQ API error', { details: data?.detail ?? `HTTP ${response.status}` });
+  }
+  return data;
+}
+
+// Bring everything to the units the dashboard shows: µg/m³ for particulates,
+// ppb for NO₂/O₃/SO₂ and ppm for CO.
+function normalizeUnits(parameter, value, units) {
+  if (value === null || value === undefined) return null;
+  const unit = (units || '').toLowerCase();
+  const mw = MOLECULAR_WEIGHTS[parameter];
+  if (!mw) return value;
+
+  if (parameter === 'co') {
+    if (unit === 'ppb') return value / 1000;
+    if (unit.startsWith('µg') || unit.startsWith('ug')) return (value * 24.45) / mw / 1000;
+    return value;
+  }
+  if (unit === 'ppm') return value * 1000;
+  if (unit.startsWith('µg') || unit.startsWith('ug')) return (value * 24.45) / mw;
+  return value;
+}
+
+// Latest value per pollutant for one location, keyed by our pollutant names.
+async function fetchLatest(location) {
+  const sensors = new Map((location.sensors || []).map(s => [s.id, s.parameter]));
+  const { results = [] } = await request(`/locations/${location.id}/latest`);
+
+  const values = {};
+  let lastUpdated = null;
+  for (const m of results) {
+    const parameter = sensors.get(m.sensorsId);
+    if (!parameter || !POLLUTANTS.includes(parameter.name)) continue;
+    values[parameter.name] = normalizeUnits(parameter.name, m.value, parameter.units);
+    const time = m.datetime?.utc ?? null;
+    if (time && (!lastUpdated || time > lastUpdated)) lastUpdated = time;
+  }
+  return { values, lastUpdated };
+}
+
+function toStation(location, { values, lastUpdated }) {
+  const pollutants = {};
+  for (const key of POLLUTANTS) pollutants[key] = values[key] ?? null;
+
+  return {
+    id: location.id,
+    city: location.name ?? location.locality ?? 'Unknown Station',
+    aqi: null,
+    lat: location.coordinates?.latitude ?? null,
+    lng: location.coordinates?.longitude ?? null,
+    ...pollutants,
+    lastUpdated: lastUpdated ?? location.datetimeLast?.utc ?? null,
+    network: location.provider?.name ?? null,
+  };
+}
+
+async function listLocations(bounds) {
+  const bbox = [bounds.west, bounds.south, bounds.east, bounds.north].join(',');
+  const { results = [] } = await request(`/locations?bbox=${bbox}&limit=1000`);
+  return results.filter(l => l.coordinates?.latitude && l.coordinates?.longitude);
+}
+
+async function listStations(bounds) {
+  const locations = await listLocations(bounds);
+
+  return Promise.all(
+    locations.map(async (location) => {
+      let latest = { values: {}, lastUpdated: null };
+      try {
+        latest = await fetchLatest(location);
+      } catch (e) {
+        logger.warn('failed to fetch latest OpenAQ values', { provider: 'openaq', locationId: location.id, err: e });
+      }
+      return toStation(location, latest);
+    })
+  );
+}
+
+async function getStation(stationId) {
+  const { results = [] } = await request(`/locations/${encodeURIComponent(stationId)}`);
+  const location = results[0];
+  if (!location) {
+    throw new ProviderError('Station not found', { status: 404 });
+  }
+  return toStation(location, await fetchLatest(location));
+}
+
+// Hourly averages for the locations in `bounds` between from/to (epoch ms): one station record
+// per location and hour, with `lastUpdated` at the end of the hour
+async function listHistory(bounds, from, to) {
+  const locations = await listLocations(bounds);
+  const range = `datetime_from=${new Date(from).toISOString()}&datetime_to=${new Date(to).toISOString()}&limit=1000`;
+
+  const perLocation = await Promise.all(locations.map(async (location) => {
+    const hours = new Map(); // hour end (ISO) -> { pollutant: value }
+    const sensors = (location.sensors || []).filter(s => POLLUTANTS.includes(s.parameter?.name));
+    await Promise.all(sensors.map(async ({ id, parameter }) => {
+      try {
+        const { results = [] } = await request(`/sensors/${id}/hours?${range}`);
+        for (const m of results) {
+          const time = m.period?.datetimeTo?.utc;
+          if (!time) continue;
+          if (!hours.has(time)) hours.set(time, {});
+          hours.get(time)[parameter.name] = normalizeUnits(parameter.name, m.value, parameter.units);
+        }
+      } catch (e) {
+        logger.warn('failed to fetch OpenAQ hourly history', { provider: 'openaq', locationId: location.id, sensorId: id, err: e });
+      }
+    }));
+    return [...hours].map(([lastUpdated, values]) => toStation(location, { values, lastUpdated }));
+  }));
+  return perLocation.flat();
+}
+
+module.exports = { name: 'openaq', upstream: api.name, listStations, getStation, listHistory };
@@ -0,0 +1,119 @@
+const ProviderError = require('./ProviderError');
+const logger = require('../logger');
+const { getUpstream } = require('../upstream');
+const { formatBounds } = require('../geo');
+const { concentrationFor } = require('../aqi');
+
+// Real-time AQI data using WAQI (AQICN) Map Bounds + Feed APIs
+// Requires WAQI_API_KEY in .env
+// Sign up free at: https://aqicn.org/data-platform/token/
+const BASE_URL = 'https://api.waqi.info';
+
+const api = getUpstream('waqi');
+
+function getApiKey() {
+  const apiKey = process.env.WAQI_API_KEY;
+  if (!apiKey || apiKey === 'your_api_key_here') {
+    throw new ProviderError('WAQI_API_KEY is not set. Add it to server/.env');
+  }
+  return apiKey;
+}
+
+async function fetchFeed(stationId, apiKey) {
+  return api.getJson(`${BASE_URL}/feed/@${stationId}/?token=${apiKey}`);
+}
+
+// WAQI's `iaqi` values are per-pollutant US EPA sub-indices, not concentrations. They are read
+// back through the EPA tables into the units the rest of the server uses (O₃ table is ppm, the
+// server uses ppb), so they only carry the table's resolution.
+const IAQI_SCALE = { pm25: 1, pm10: 1, no2: 1, so2: 1, co: 1, o3: 1000 };
+
+function parseAqi(value) {
+  const aqi = parseInt(value, 10);
+  return Number.isNaN(aqi) ? null : aqi;
+}
+
+// Feed payload -> normalized station. WAQI reports '-' as the AQI when it has none;
+// that comes back as null and the AQI is derived from the pollutants downstream.
+// `derivedPollutants` lists the pollutants read back from sub-indices.
+function normalizeFeed(d) {
+  const iaqi = d.iaqi || {};
+
+  const getPollutant = (key) => {
+    const value = concentrationFor(key, iaqi[key]?.v);
+    return value === null ? null : Math.round(value * IAQI_SCALE[key] * 100) / 100;
+  };
+  const pollutants = Object.fromEntries(Object.keys(IAQI_SCALE).map(key => [key, getPollutant(key)]));
+
+  return {
+    id: d.idx,
+    city: d.city?.name ?? 'Unknown',
+    aqi: typeof d.aqi === 'number' ? d.aqi : null,
+    dominantPollutant: typeof d.aqi === 'number' ? d.dominentpol ?? null : null,
+    lat: d.city?.geo?.[0] ?? null,
+    lng: d.city?.geo?.[1] ?? null,
+    ...pollutants,
+    derivedPollutants: Object.keys(pollutants).filter(key => pollutants[key] !== null),
+    lastUpdated: d.time?.iso ?? null,
+    // The monitoring network, from the attributions (the last one is WAQI itself)
+    network: d.attributions?.find(a => !/waqi|aqicn/i.test(`${a.name} ${a.url}`))?.name ?? null,
+  };
+}
+
+async function listStations(bounds) {
+  const apiKey = getApiKey();
+  const url = `${BASE_URL}/map/bounds/?latlng=${formatBounds(bounds)}&networks=all&token=${apiKey}`;
+
+  const data = await api.getJson(url);
+
+  if (data.status !== 'ok') {
+    throw new ProviderError('WAQI API error', { details: data.data });
+  }
+
+  // If WAQI's map API doesn't include a numeric AQI, we fall back to a per-station feed call
+  // so the pollutant readings are available to compute one. The feed calls queue up behind
+  // the shared WAQI client's concurrency limit instead of all firing at once.
+  const rawStations = data.data.filter(s => s.lat && s.lon);
+
+  return Promise.all(
+    rawStations.map(async (s) => {
+      const station = {
+        id: s.uid,
+        lat: s.lat,
+        lng: s.lon,
+        city: s.station?.name ?? 'Unknown Station',
+        aqi: parseAqi(s.aqi),
+        lastUpdated: s.station?.time ?? null,
+      };
+
+      // If map payload has no usable AQI, call detailed feed for this station
+      if (station.aqi === null) {
+        try {
+          const detailJson = await fetchFeed(s.uid, apiKey);
+
+          if (detailJson.status === 'ok' && detailJson.data) {
+            const { id, city, lat, lng, ...reading } = normalizeFeed(detailJson.data);
+            Object.assign(station, reading, { lastUpdated: reading.lastUpdated ?? station.lastUpdated });
+          }
+        } catch (e) {
+          logger.warn('failed to enrich station AQI from feed', { provider: 'waqi', stationId: s.uid, err: e });
+        }
+      }
+
+      return station;
+    })
+  );
+}
+
+async function getStation(stationId) {
+  const apiKey = getApiKey();
+  const data = await fetchFeed(stationId, apiKey);
+
+  if (data.status !== 'ok') {
+    throw new ProviderError('WAQI API error', { details: data.data });
+  }
+
+  return normalizeFeed(data.data);
+}
+
+module.exports = { name: 'waqi', upstream: api.name, listStations, getStation };
@@ -0,0 +1,145 @@
+const history = require('./history');
+const { distanceKm } = require('./geo');
+
+// Sensor fault and outlier checks for AQI readings. A station that reads 999, or 300 while
+// every station around it reads 80, or the same value for hours on end, should not drag the
+// averages, the grid or the ward figures around. Each checked station gets
+//   flagged: boolean
+//   flags:   [{ code, detail }]   code: out_of_range | spatial_outlier | spike | stuck_value
+// Flagged readings are still served (the map shows them), but aggregates leave them out
+// unless asked not to.
+const FLAG_CODES = ['out_of_range', 'spatial_outlier', 'spike', 'stuck_value'];
+
+const AQI_MAX = 500;
+
+// Spatial: compared with the median of the other stations within NEIGHBOUR_RADIUS_KM. A reading
+// is an outlier when it is SPATIAL_FACTOR times above (or below) that median and at least
+// SPATIAL_MIN_DELTA away from it, so a quiet area reading 12 next to 30 is left alone.
+const NEIGHBOUR_RADIUS_KM = Number(process.env.QC_NEIGHBOUR_RADIUS_KM) || 10;
+const MIN_NEIGHBOURS = 2;
+const SPATIAL_FACTOR = Number(process.env.QC_SPATIAL_FACTOR) || 3;
+const SPATIAL_MIN_DELTA = Number(process.env.QC_SPATIAL_MIN_DELTA) || 75;
+
+// Temporal: a jump of at least SPIKE_MIN_DELTA that also doubles (or halves) the previous
+// stored reading, when that reading is at most SPIKE_WINDOW_MS old
+const SPIKE_MIN_DELTA = Number(process.env.QC_SPIKE_MIN_DELTA) || 100;
+const SPIKE_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+// Stuck: the last STUCK_READINGS stored readings are identical and span STUCK_MIN_HOURS or more
+const STUCK_READINGS = Number(process.env.QC_STUCK_READINGS) || 6;
+const STUCK_MIN_HOURS = Number(process.env.QC_STUCK_MIN_HOURS) || 4;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function isUsable(station) {
+  return Number.isFinite(station.aqi) && Number.isFinite(station.lat) && Number.isFinite(station.lng);
+}
+
+function isInRange(aqi) {
+  return aqi >= 0 && aqi <= AQI_MAX;
+}
+
+function checkRange(station) {
+  if (isInRange(station.aqi)) return null;
+  return { code: 'out_of_range', detail: `AQI ${station.aqi} is outside 0–${AQI_MAX}` };
+}
+
+function checkSpatial(station, neighbours) {
+  const values = neighbours
+    .filter(n => String(n.id) !== String(station.id) && isUsable(n) && isInRange(n.aqi))
+    .filter(n => distanceKm([station.lng, station.lat], [n.lng, n.lat]) <= NEIGHBOUR_RADIUS_KM)
+    .map(n => n.aqi);
+  if (values.length < MIN_NEIGHBOURS) return null;
+
+  const reference = median(values);
+  const delta = Math.abs(station.aqi - reference);
+  const ratio = Math.max(station.aqi, 1) / Math.max(reference, 1);
+  if (delta < SPATIAL_MIN_DELTA || (ratio < SPATIAL_FACTOR && ratio > 1 / SPATIAL_FACTOR)) return null;
+
+  return {
+    code: 'spatial_outlier',
+    detail: `AQI ${station.aqi} against a median of ${Math.round(reference)} from ${values.length} stations within ${NEIGHBOUR_RADIUS_KM} km`,
+  };
+}
+
+// `recent` is the station's stored history, newest first, including the current reading
+function checkSpike(station, observedAt, recent) {
+  const previous = recent.find(r => r.observedAt < observedAt);
+  if (!previous || observedAt - previous.observedAt > SPIKE_WINDOW_MS) return null;
+
+  const delta = Math.abs(station.aqi - previous.aqi);
+  const ratio = Math.max(station.aqi, 1) / Math.max(previous.aqi, 1);
+  if (delta < SPIKE_MIN_DELTA || (ratio < 2 && ratio > 0.5)) return null;
+
+  const minutes = Math.round((observedAt - previous.observedAt) / 60000);
+  return { code: 'spike', detail: `AQI went from ${previous.aqi} to ${station.aqi} in ${minutes} min` };
+}
+
+function checkStuck(station, recent) {
+  if (recent.length < STUCK_READINGS) return null;
+  if (!recent.every(r => r.aqi === station.aqi)) return null;
+
+  const hours = (recent[0].observedAt - recent[recent.length - 1].observedAt) / (60 * 60 * 1000);
+  if (hours < STUCK_MIN_HOURS) return null;
+  return { code: 'stuck_value', detail: `AQI has read ${station.aqi} for the last ${recent.length} readings (${Math.round(hours)} h)` };
+}
+
+// Runs every check on `station` against `neighbours` (any list of stations, it may include
+// the station itself) and the stored history. `recent` is the station's stored history when
+// the caller already has it (see checkStations). Stations without an AQI are never flagged.
+function checkStation(station, neighbours, recent) {
+  if (!isUsable(station)) return { ...station, flagged: false, flags: [] };
+
+  const flags = [];
+  const outOfRange = checkRange(station);
+  if (outOfRange) {
+    flags.push(outOfRange);
+  } else {
+    const spatial = checkSpatial(station, neighbours);
+    if (spatial) flags.push(spatial);
+  }
+
+  const observedAt = history.parseTime(station.lastUpdated);
+  if (observedAt !== null) {
+    const readings = recent ?? history.getRecentAqi(station.id, observedAt, STUCK_READINGS);
+    const spike = checkSpike(station, observedAt, readings);
+    if (spike) flags.push(spike);
+    const stuck = checkStuck(station, readings);
+    if (stuck) flags.push(stuck);
+  }
+
+  return { ...station, flagged: flags.length > 0, flags };
+}
+
+// Checks each of `stations` against `neighbours`, which should hold every station within
+// NEIGHBOUR_RADIUS_KM of them (e.g. leaving out stations that stopped reporting). The stored
+// history for all of them is read in one query.
+function checkStations(stations, neighbours) {
+  const wanted = stations
+    .filter(isUsable)
+    .map(s => ({ stationId: s.id, at: history.parseTime(s.lastUpdated) }))
+    .filter(w => w.at !== null);
+  const recent = history.getRecentAqiForStations(wanted, STUCK_READINGS);
+  return stations.map(s => checkStation(s, neighbours, recent.get(String(s.id)) ?? []));
+}
+
+// ?excludeFlagged=true|false for the aggregate endpoints (default true). Returns undefined
+// when the value is not a boolean.
+function parseExcludeFlagged(value) {
+  if (value === undefined) return true;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+}
+
+module.exports = {
+  FLAG_CODES,
+  NEIGHBOUR_RADIUS_KM,
+  checkStation,
+  checkStations,
+  parseExcludeFlagged,
+};
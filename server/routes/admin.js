@@ -0,0 +1,37 @@
+const express = require('express');
+const apiKeys = require('../apiKeys');
+
+const router = express.Router();
+
+// Everything here needs `Authorization: Bearer <ADMIN_TOKEN>`
+router.use(apiKeys.requireAdmin);
+
+// ─── API keys ──────────────────────────────────────────────────────
+
+router.get('/keys', (req, res) => {
+  res.json(apiKeys.listKeys());
+});
+
+router.get('/keys/:keyId', (req, res) => {
+  const key = apiKeys.getKey(req.params.keyId);
+  if (!key) return res.status(404).json({ error: 'API key not found' });
+  res.json(key);
+});
+
+// Body: { name, scope?: 'read' | 'ingest', rateLimit?: requests per minute, dailyQuota?: requests per UTC day | null }
+// The response is the only time the key itself (`key`) is shown.
+router.post('/keys', (req, res) => {
+  const invalid = apiKeys.validate(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  res.status(201).json(apiKeys.createKey(req.body));
+});
+
+router.delete('/keys/:keyId', (req, res) => {
+  if (!apiKeys.revokeKey(req.params.keyId)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const alerts = require('../alerts');
+const { parseTime } = require('../history');
+const { requireAdmin } = require('../apiKeys');
+
+const router = express.Router();
+
+// ─── Rules ─────────────────────────────────────────────────────────
+
+// Rules can be read by anyone; creating, changing and deleting them needs the admin token,
+// since a rule makes the server POST to its webhooks
+
+router.get('/rules', (req, res) => {
+  res.json(alerts.rules.listRules());
+});
+
+router.get('/rules/:id', (req, res) => {
+  const rule = alerts.rules.getRule(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Alert rule not found' });
+  res.json(rule);
+});
+
+// Body: { name, source, metric, threshold, operator?, stationId?, area?, bounds?,
+//         durationMinutes?, cooldownMinutes?, webhooks?, enabled?, id? }
+// e.g. { "name": "Kurla AQI", "source": "aqi", "metric": "aqi", "threshold": 150, "area": "Kurla", "durationMinutes": 120 }
+router.post('/rules', requireAdmin, (req, res) => {
+  const { rule, error } = alerts.rules.prepareRule(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const created = alerts.rules.createRule(rule);
+  if (!created) return res.status(409).json({ error: `Alert rule "${rule.id}" already exists` });
+  res.status(201).json(created);
+});
+
+// Body: any of the POST fields
+router.put('/rules/:id', requireAdmin, (req, res) => {
+  const result = alerts.rules.updateRule(req.params.id, req.body);
+  if (!result) return res.status(404).json({ error: 'Alert rule not found' });
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result.rule);
+});
+
+router.delete('/rules/:id', requireAdmin, (req, res) => {
+  if (!alerts.rules.deleteRule(req.params.id)) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  res.status(204).end();
+});
+
+// ─── Alert log ─────────────────────────────────────────────────────
+
+// Alerts that fired, newest first
+// e.g. /api/alerts/log?ruleId=r-1a2b3c4d&stationId=12456&source=aqi&from=2025-01-01T00:00:00Z&limit=100
+router.get('/log', (req, res) => {
+  const from = req.query.from === undefined ? undefined : parseTime(req.query.from);
+  const to = req.query.to === undefined ? undefined : parseTime(req.query.to);
+  if (from === null || to === null) {
+    return res.status(400).json({ error: '`from` and `to` must be ISO timestamps or epoch ms.' });
+  }
+
+  const limit = req.query.limit === undefined ? alerts.log.DEFAULT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > alerts.log.MAX_LIMIT) {
+    return res.status(400).json({ error: `\`limit\` must be a whole number from 1 to ${alerts.log.MAX_LIMIT}.` });
+  }
+
+  res.json(alerts.log.queryAlerts({
+    ruleId: req.query.ruleId,
+    stationId: req.query.stationId,
+    source: req.query.source,
+    from,
+    to,
+    limit,
+  }));
+});
+
+module.exports = router;
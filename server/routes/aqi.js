@@ -0,0 +1,212 @@
+const express = require('express');
+const alerts = require('../alerts');
+const logger = require('../logger');
+const metrics = require('../metrics');
+const history = require('../history');
+const forecast = require('../forecast');
+const interpolation = require('../interpolation');
+const quality = require('../quality');
+const wards = require('../wards');
+const aqiStations = require('../aqiStations');
+const calibration = require('../calibration');
+const formats = require('../formats');
+const { parseBounds } = require('../geo');
+const { AVERAGING_PERIODS, withAqi } = require('../aqi');
+const { getAqiProvider, getForecastProvider, ProviderError } = require('../providers');
+const { UpstreamError } = require('../upstream');
+
+const router = express.Router();
+
+// Fallback to the Mumbai bounding box if no bounds are provided
+const DEFAULT_BOUNDS = '18.8929,72.7758,19.2714,73.0699';
+
+function sendError(res, err, context) {
+  if (err instanceof ProviderError) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  if (err instanceof UpstreamError) {
+    logger.error(context, { err });
+    return res.status(err.status).json({ error: 'Upstream error', details: err.message });
+  }
+  logger.error(context, { err });
+  res.status(500).json({ error: 'Server error', details: err.message });
+}
+
+// Station list for a bounding box (e.g. /api/aqi?bounds=18.89,72.77,19.27,73.06)
+// ?format=geojson|csv returns the same list for GIS tools and spreadsheets
+router.get('/', async (req, res) => {
+  try {
+    const bounds = parseBounds(req.query.bounds || DEFAULT_BOUNDS);
+    if (!bounds) {
+      return res.status(400).json({ error: 'Invalid bounds. Use lat1,lng1,lat2,lng2.' });
+    }
+    const format = formats.parseFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: formats.INVALID_FORMAT });
+    }
+
+    const { stations: cached, status } = await aqiStations.loadStations(bounds);
+
+    const stations = cached.map(aqiStations.toSummary);
+
+    metrics.stationsReturned.observe({ endpoint: 'aqi' }, stations.length);
+    res.set('X-Cache', status);
+    formats.sendFormatted(res, format, stations, 'aqi-stations');
+  } catch (err) {
+    sendError(res, err, 'Error fetching AQI');
+  }
+});
+
+// Hourly PM2.5 / PM10 / O3 forecast with derived AQI for the stations in a bounding box
+// e.g. /api/aqi/forecast?bounds=18.89,72.77,19.27,73.06&hours=48 (hours: 1-72, default 24)
+router.get('/forecast', async (req, res) => {
+  try {
+    const bounds = parseBounds(req.query.bounds || DEFAULT_BOUNDS);
+    if (!bounds) {
+      return res.status(400).json({ error: 'Invalid bounds. Use lat1,lng1,lat2,lng2.' });
+    }
+    const hours = forecast.parseHours(req.query.hours);
+    if (hours === undefined) {
+      return res.status(400).json({ error: `Invalid hours. Use a whole number from 1 to ${forecast.MAX_HOURS}.` });
+    }
+
+    const { stations } = await aqiStations.loadStations(bounds);
+    const provider = getForecastProvider();
+    const locations = await forecast.getForecasts(
+      provider,
+      stations.map(s => ({ id: s.id, city: s.city, lat: s.lat, lng: s.lng })),
+      hours
+    );
+
+    res.json({
+      source: provider.name,
+      hours,
+      generatedAt: new Date().toISOString(),
+      locations,
+    });
+  } catch (err) {
+    sendError(res, err, 'Error fetching AQI forecast');
+  }
+});
+
+// Interpolated AQI surface for a bounding box, built from the reporting (not offline) stations in view
+// e.g. /api/aqi/grid?bounds=18.89,72.77,19.27,73.06&cellSize=1&method=kriging
+// cellSize is in km (default 1); method is idw (default) or kriging. Flagged readings are left
+// out unless excludeFlagged=false.
+router.get('/grid', async (req, res) => {
+  try {
+    const bounds = parseBounds(req.query.bounds || DEFAULT_BOUNDS);
+    if (!bounds) {
+      return res.status(400).json({ error: 'Invalid bounds. Use lat1,lng1,lat2,lng2.' });
+    }
+    const cellSizeKm = interpolation.parseCellSize(req.query.cellSize);
+    if (cellSizeKm === undefined) {
+      return res.status(400).json({ error: `Invalid cellSize. Use a number of km from ${interpolation.MIN_CELL_SIZE_KM} to ${interpolation.MAX_CELL_SIZE_KM}.` });
+    }
+    const method = interpolation.parseMethod(req.query.method);
+    if (!method) {
+      return res.status(400).json({ error: `Invalid method. Use ${interpolation.METHODS.join(' or ')}.` });
+    }
+    const excludeFlagged = quality.parseExcludeFlagged(req.query.excludeFlagged);
+    if (excludeFlagged === undefined) {
+      return res.status(400).json({ error: 'Invalid excludeFlagged. Use true or false.' });
+    }
+
+    const { stations } = await aqiStations.loadStations(bounds);
+    const points = stations
+      .filter(aqiStations.isReporting)
+      .filter(s => !(excludeFlagged && s.flagged))
+      .filter(s => Number.isFinite(s.aqi) && Number.isFinite(s.lat) && Number.isFinite(s.lng))
+      .map(s => ({ lat: s.lat, lng: s.lng, value: s.aqi }));
+
+    const grid = interpolation.buildGrid(points, bounds, { method, cellSizeKm });
+    if (grid.error) {
+      return res.status(400).json({ error: grid.error });
+    }
+
+    res.json({ ...grid, stationCount: points.length, generatedAt: new Date().toISOString() });
+  } catch (err) {
+    sendError(res, err, 'Error building AQI grid');
+  }
+});
+
+// AQI per BMC ward: station mean, max and count, with an interpolated estimate for wards
+// that have no station of their own. Offline stations are left out, and so are flagged
+// readings unless excludeFlagged=false.
+router.get('/wards', async (req, res) => {
+  try {
+    const excludeFlagged = quality.parseExcludeFlagged(req.query.excludeFlagged);
+    if (excludeFlagged === undefined) {
+      return res.status(400).json({ error: 'Invalid excludeFlagged. Use true or false.' });
+    }
+
+    const { stations } = await aqiStations.loadStations(wards.getExtent());
+    res.json(wards.aggregateWards(
+      stations.filter(s => aqiStations.isReporting(s) && !(excludeFlagged && s.flagged))
+    ));
+  } catch (err) {
+    sendError(res, err, 'Error aggregating AQI by ward');
+  }
+});
+
+// Detailed station data endpoint (called on marker click), also as ?format=geojson|csv
+router.get('/:stationId', async (req, res) => {
+  try {
+    const format = formats.parseFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: formats.INVALID_FORMAT });
+    }
+
+    const reading = await calibration.calibrateStation(await getAqiProvider().getStation(req.params.stationId));
+
+    try {
+      history.recordReading(reading);
+    } catch (e) {
+      logger.warn('failed to store station reading', { stationId: reading.id, err: e });
+    }
+
+    // EPA and NAQI sub-indices use each pollutant's averaging period where history covers it
+    const observedAt = history.parseTime(reading.lastUpdated) ?? Date.now();
+    const station = aqiStations.addNowcast(withAqi(reading, {
+      epa: history.getAverages(reading.id, observedAt, AVERAGING_PERIODS.epa),
+      naqi: history.getAverages(reading.id, observedAt, AVERAGING_PERIODS.naqi),
+    }));
+
+    alerts.checkReadings('aqi', [station]);
+    const checked = await aqiStations.checkStation(aqiStations.withFreshness(station));
+    formats.sendFormatted(res, format, checked, `aqi-station-${station.id}`);
+  } catch (err) {
+    sendError(res, err, 'Error fetching station detail');
+  }
+});
+
+// Stored time series for one station
+// e.g. /api/aqi/8039/history?from=2025-01-01T00:00:00Z&to=2025-01-02T00:00:00Z&interval=1h
+// from/to accept ISO strings or epoch ms (default: last 24h). interval is raw | <n>m | <n>h | <n>d.
+router.get('/:stationId/history', (req, res) => {
+  try {
+    const range = history.parseRange(req.query);
+    const interval = history.parseInterval(req.query.interval);
+
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    if (interval === undefined) {
+      return res.status(400).json({ error: 'Invalid interval. Use raw, or a number followed by m, h or d (e.g. 15m, 1h, 1d).' });
+    }
+    const { from, to } = range;
+
+    const { stationId } = req.params;
+    res.json({
+      stationId,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      interval: req.query.interval || 'raw',
+      points: history.getHistory(stationId, { from, to, interval }),
+    });
+  } catch (err) {
+    sendError(res, err, 'Error reading station history');
+  }
+});
+
+module.exports = router;
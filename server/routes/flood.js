@@ -0,0 +1,115 @@
+const express = require('express');
+const alerts = require('../alerts');
+const history = require('../history');
+const floodSites = require('../floodSites');
+const formats = require('../formats');
+const metrics = require('../metrics');
+const { parseBounds } = require('../geo');
+const { requireAdmin, requireIngestKey } = require('../apiKeys');
+
+const router = express.Router();
+
+// Fallback to the Mumbai Metropolitan Region if no bounds are provided
+const DEFAULT_BOUNDS = '18.60,72.70,19.50,73.30';
+const MAX_READINGS_PER_REQUEST = 500;
+
+// Flood sites inside `bounds` with their latest water level, pump status and risk level.
+// ?format=geojson|csv returns the same list for GIS tools and spreadsheets.
+router.get('/', (req, res) => {
+  const bounds = parseBounds(req.query.bounds || DEFAULT_BOUNDS);
+  if (!bounds) {
+    return res.status(400).json({ error: 'Invalid bounds. Use lat1,lng1,lat2,lng2.' });
+  }
+  const format = formats.parseFormat(req.query.format);
+  if (!format) {
+    return res.status(400).json({ error: formats.INVALID_FORMAT });
+  }
+
+  const sites = floodSites.listSites(bounds);
+  metrics.stationsReturned.observe({ endpoint: 'flood' }, sites.length);
+  formats.sendFormatted(res, format, sites, 'flood-sites');
+});
+
+// Body: { name, coordinates: [lng, lat], thresholds?: { moderate, severe }, region?, id? }
+router.post('/', requireAdmin, (req, res) => {
+  const invalid = floodSites.validate(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const site = floodSites.createSite(req.body);
+  if (!site) return res.status(409).json({ error: `Flood site "${req.body.id}" already exists` });
+  res.status(201).json(site);
+});
+
+router.get('/:siteId', (req, res) => {
+  const site = floodSites.getSite(req.params.siteId);
+  if (!site) return res.status(404).json({ error: 'Flood site not found' });
+  res.json(site);
+});
+
+// Body: any of { name, coordinates, thresholds, region }
+router.put('/:siteId', requireAdmin, (req, res) => {
+  const invalid = floodSites.validate(req.body, { partial: true });
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (req.body.id !== undefined && req.body.id !== req.params.siteId) {
+    return res.status(400).json({ error: '`id` cannot be changed.' });
+  }
+
+  const site = floodSites.updateSite(req.params.siteId, req.body);
+  if (!site) return res.status(404).json({ error: 'Flood site not found' });
+  res.json(site);
+});
+
+router.delete('/:siteId', requireAdmin, (req, res) => {
+  if (!floodSites.deleteSite(req.params.siteId)) {
+    return res.status(404).json({ error: 'Flood site not found' });
+  }
+  res.status(204).end();
+});
+
+// Ingestion for gauges and pump controllers, with an `ingest` API key. Body is one reading or
+// an array of them: { waterLevel?: metres, pumpStatus?: string, observedAt?: ISO | epoch ms }
+// Responds with the site's updated state.
+router.post('/:siteId/readings', requireIngestKey, (req, res) => {
+  if (!floodSites.getSite(req.params.siteId)) {
+    return res.status(404).json({ error: 'Flood site not found' });
+  }
+
+  const readings = Array.isArray(req.body) ? req.body : [req.body];
+  if (readings.length === 0 || readings.length > MAX_READINGS_PER_REQUEST) {
+    return res.status(400).json({ error: `Send between 1 and ${MAX_READINGS_PER_REQUEST} readings per request.` });
+  }
+  for (const [i, reading] of readings.entries()) {
+    const invalid = floodSites.validateReading(reading);
+    if (invalid) {
+      return res.status(400).json({ error: readings.length > 1 ? `Reading ${i}: ${invalid}` : invalid });
+    }
+  }
+
+  floodSites.recordReadings(req.params.siteId, readings);
+  const site = floodSites.getSite(req.params.siteId);
+  alerts.checkReadings('flood', [site]);
+  res.status(201).json(site);
+});
+
+// Stored readings for one site (default: last 24h), oldest first
+// e.g. /api/flood/f1/readings?from=2025-07-01T00:00:00Z&to=2025-07-02T00:00:00Z
+router.get('/:siteId/readings', (req, res) => {
+  const site = floodSites.getSite(req.params.siteId);
+  if (!site) return res.status(404).json({ error: 'Flood site not found' });
+
+  const range = history.parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const { from, to } = range;
+
+  res.json({
+    siteId: site.id,
+    thresholds: site.thresholds,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    points: floodSites.getReadings(site, { from, to }),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const db = require('../db');
+const ingestion = require('../ingestion');
+const { getAqiProvider, getForecastProvider } = require('../providers');
+const { listUpstreams } = require('../upstream');
+
+const router = express.Router();
+
+// How one dependency is doing, from its upstream client's last calls:
+//   ok       -> last call succeeded
+//   degraded -> recent calls failed but the circuit is still closed
+//   down     -> circuit open (calls fail fast) or half-open (testing recovery)
+//   unknown  -> not called since the server started
+// Local sources (the fixture providers) have no upstream and are always ok.
+function dependencyStatus(upstream) {
+  if (!upstream) return { status: 'ok' };
+  const client = listUpstreams().find(u => u.name === upstream);
+  if (!client) return { upstream, status: 'unknown' };
+
+  const { name, ...details } = client;
+  let status = 'ok';
+  if (details.circuit !== 'closed') status = 'down';
+  else if (details.lastFailureAt && (!details.lastSuccessAt || details.lastFailureAt > details.lastSuccessAt)) status = 'degraded';
+  else if (!details.lastSuccessAt) status = 'unknown';
+  return { upstream: name, status, ...details };
+}
+
+// A provider that cannot be selected (e.g. an unknown AQI_PROVIDER) is reported as down
+function providerStatus(getProvider) {
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (err) {
+    return { provider: null, status: 'down', error: err.message };
+  }
+  return { provider: provider.name, ...dependencyStatus(provider.upstream) };
+}
+
+// Overall status plus each upstream dependency and ingestion job. Responds 503 only when the
+// server itself cannot work (database unreachable); a failing upstream or ingestion run is
+// reported as `degraded`.
+router.get('/', (req, res) => {
+  let database = 'ok';
+  try {
+    db.prepare('SELECT 1').get();
+  } catch {
+    database = 'error';
+  }
+
+  const dependencies = {
+    aqi: providerStatus(getAqiProvider),
+    forecast: providerStatus(getForecastProvider),
+    weather: { provider: 'open-meteo', ...dependencyStatus('open-meteo') },
+  };
+
+  // Scheduled ingestion per region and source; a job whose last run failed (or whose state
+  // cannot be read) degrades the status
+  const jobs = ingestion.getStatus();
+
+  const healthy = database === 'ok'
+    && Object.values(dependencies).every(d => d.status === 'ok' || d.status === 'unknown')
+    && jobs.every(j => !j.error && j.lastRun?.status !== 'failed');
+  res.status(database === 'ok' ? 200 : 503).json({
+    status: database !== 'ok' ? 'error' : healthy ? 'ok' : 'degraded',
+    message: 'AQI Visualizer Server is running.',
+    uptimeSeconds: Math.round(process.uptime()),
+    database,
+    dependencies,
+    ingestion: jobs,
+  });
+});
+
+module.exports = router;
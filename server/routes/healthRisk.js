@@ -0,0 +1,43 @@
+const express = require('express');
+const logger = require('../logger');
+const metrics = require('../metrics');
+const healthRisk = require('../healthRisk');
+const formats = require('../formats');
+const { parseBounds } = require('../geo');
+const { ProviderError } = require('../providers');
+const { UpstreamError } = require('../upstream');
+
+const router = express.Router();
+
+// Fallback to the Mumbai bounding box if no bounds are provided
+const DEFAULT_BOUNDS = '18.8929,72.7758,19.2714,73.0699';
+
+// Composite AQHI + heat index per AQI station in a bounding box
+// e.g. /api/health-risk?bounds=18.89,72.77,19.27,73.06, also as ?format=geojson|csv
+router.get('/', async (req, res) => {
+  try {
+    const bounds = parseBounds(req.query.bounds || DEFAULT_BOUNDS);
+    if (!bounds) {
+      return res.status(400).json({ error: 'Invalid bounds. Use lat1,lng1,lat2,lng2.' });
+    }
+    const format = formats.parseFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: formats.INVALID_FORMAT });
+    }
+
+    const locations = await healthRisk.listLocations(bounds);
+    metrics.stationsReturned.observe({ endpoint: 'health-risk' }, locations.length);
+    formats.sendFormatted(res, format, locations, 'health-risk');
+  } catch (err) {
+    if (err instanceof ProviderError) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    logger.error('Error computing health risk index', { err });
+    if (err instanceof UpstreamError) {
+      return res.status(err.status).json({ error: 'Upstream error', details: err.message });
+    }
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const metrics = require('../metrics');
+
+const router = express.Router();
+
+// Prometheus scrape endpoint (text exposition format 0.0.4)
+router.get('/', (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const stream = require('../stream');
+const { parseBounds } = require('../geo');
+
+const router = express.Router();
+
+// Fallback to the Mumbai Metropolitan Region if no bounds are provided
+const DEFAULT_BOUNDS = '18.60,72.70,19.50,73.30';
+
+// Live station updates (Server-Sent Events), replacing per-tab polling
+// e.g. /api/stream?bounds=18.89,72.77,19.27,73.06&layers=aqi,weather,flood,traffic
+// Clients reconnect with new bounds/layers when the view changes.
+router.get('/', (req, res) => {
+  const bounds = parseBounds(req.query.bounds || DEFAULT_BOUNDS);
+  if (!bounds) {
+    return res.status(400).json({ error: 'Invalid bounds. Use lat1,lng1,lat2,lng2.' });
+  }
+
+  const layers = [...new Set(String(req.query.layers || stream.LAYER_NAMES.join(',')).split(',').map(l => l.trim()).filter(Boolean))];
+  const unknown = layers.filter(l => !stream.LAYER_NAMES.includes(l));
+  if (layers.length === 0 || unknown.length > 0) {
+    return res.status(400).json({ error: `Invalid layers. Use a comma-separated list of: ${stream.LAYER_NAMES.join(', ')}.` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const sub = stream.subscribe(res, { bounds, layers });
+  req.on('close', () => stream.unsubscribe(sub));
+});
+
+module.exports = router;
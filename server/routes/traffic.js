@@ -0,0 +1,72 @@
+const express = require('express');
+const history = require('../history');
+const metrics = require('../metrics');
+const traffic = require('../traffic');
+const { parseBounds } = require('../geo');
+const { requireIngestKey } = require('../apiKeys');
+
+const router = express.Router();
+
+// Fallback to the Mumbai Metropolitan Region if no bounds are provided
+const DEFAULT_BOUNDS = '18.60,72.70,19.50,73.30';
+const MAX_SAMPLES_PER_REQUEST = 1000;
+
+// Road segments inside `bounds` with their current speed, congestion level and clearance time
+router.get('/', (req, res) => {
+  const bounds = parseBounds(req.query.bounds || DEFAULT_BOUNDS);
+  if (!bounds) {
+    return res.status(400).json({ error: 'Invalid bounds. Use lat1,lng1,lat2,lng2.' });
+  }
+  const segments = traffic.listSegments(bounds);
+  metrics.stationsReturned.observe({ endpoint: 'traffic' }, segments.length);
+  res.json(segments);
+});
+
+// Ingestion for probe vehicles and loop detectors, with an `ingest` API key. Body is one sample
+// or an array of them: { segmentId, speed: km/h, observedAt?: ISO | epoch ms }
+// Responds with the updated state of every segment the samples touched.
+router.post('/speeds', requireIngestKey, (req, res) => {
+  const samples = Array.isArray(req.body) ? req.body : [req.body];
+  if (samples.length === 0 || samples.length > MAX_SAMPLES_PER_REQUEST) {
+    return res.status(400).json({ error: `Send between 1 and ${MAX_SAMPLES_PER_REQUEST} samples per request.` });
+  }
+  for (const [i, sample] of samples.entries()) {
+    const invalid = traffic.validateSample(sample);
+    if (invalid) {
+      return res.status(400).json({ error: samples.length > 1 ? `Sample ${i}: ${invalid}` : invalid });
+    }
+  }
+
+  traffic.recordSamples(samples);
+  const touched = [...new Set(samples.map(s => s.segmentId))];
+  res.status(201).json({ accepted: samples.length, segments: touched.map(traffic.getSegment) });
+});
+
+router.get('/:segmentId', (req, res) => {
+  const segment = traffic.getSegment(req.params.segmentId);
+  if (!segment) return res.status(404).json({ error: 'Road segment not found' });
+  res.json(segment);
+});
+
+// Stored speed samples for one segment (default: last 24h), oldest first
+// e.g. /api/traffic/bwsl/speeds?from=2025-07-01T08:00:00Z&to=2025-07-01T10:00:00Z
+router.get('/:segmentId/speeds', (req, res) => {
+  const segment = traffic.getSegment(req.params.segmentId);
+  if (!segment) return res.status(404).json({ error: 'Road segment not found' });
+
+  const range = history.parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const { from, to } = range;
+
+  res.json({
+    segmentId: segment.id,
+    freeFlowSpeed: segment.freeFlowSpeed,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    points: traffic.getSamples(segment, { from, to }),
+  });
+});
+
+module.exports = router;
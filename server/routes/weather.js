@@ -0,0 +1,137 @@
+const express = require('express');
+const logger = require('../logger');
+const metrics = require('../metrics');
+const weather = require('../weather');
+const weatherStations = require('../weatherStations');
+const history = require('../history');
+const formats = require('../formats');
+const { parseBounds } = require('../geo');
+const { requireAdmin } = require('../apiKeys');
+
+const router = express.Router();
+
+// Fallback to the Mumbai Metropolitan Region if no bounds are provided
+const DEFAULT_BOUNDS = '18.60,72.70,19.50,73.30';
+
+// Weather API Endpoint using Open-Meteo (Free, No API Key)
+// Returns the registered weather stations inside `bounds` (same format as /api/aqi).
+// The list carries a 24 h forecast by default; `?days=` asks for a longer `forecast`.
+// ?format=geojson|csv returns the current conditions for GIS tools and spreadsheets.
+router.get('/', async (req, res) => {
+  try {
+    const bounds = parseBounds(req.query.bounds || DEFAULT_BOUNDS);
+    if (!bounds) {
+      return res.status(400).json({ error: 'Invalid bounds. Use lat1,lng1,lat2,lng2.' });
+    }
+    const days = weather.parseDays(req.query.days, 1);
+    if (days === undefined) {
+      return res.status(400).json({ error: `Invalid days. Use a whole number from 1 to ${weather.MAX_FORECAST_DAYS}.` });
+    }
+    const format = formats.parseFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: formats.INVALID_FORMAT });
+    }
+
+    const stations = await weather.listWeather(bounds, days);
+    metrics.stationsReturned.observe({ endpoint: 'weather' }, stations.length);
+    formats.sendFormatted(res, format, stations, 'weather-stations');
+
+  } catch (err) {
+    logger.error('Error fetching weather', { err });
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+// ─── Weather station registry ──────────────────────────────────────
+
+// Any API key can read the registry; changing it needs the admin token
+
+// List registered stations, optionally limited to ?bounds=
+router.get('/stations', (req, res) => {
+  let bounds = null;
+  if (req.query.bounds) {
+    bounds = parseBounds(req.query.bounds);
+    if (!bounds) return res.status(400).json({ error: 'Invalid bounds. Use lat1,lng1,lat2,lng2.' });
+  }
+  res.json(weatherStations.listStations(bounds));
+});
+
+router.get('/stations/:id', (req, res) => {
+  const station = weatherStations.getStation(req.params.id);
+  if (!station) return res.status(404).json({ error: 'Weather station not found' });
+  res.json(station);
+});
+
+// Body: { name, coordinates: [lng, lat], region?, id? }
+router.post('/stations', requireAdmin, (req, res) => {
+  const invalid = weatherStations.validate(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const station = weatherStations.createStation(req.body);
+  if (!station) return res.status(409).json({ error: `Weather station "${req.body.id}" already exists` });
+  res.status(201).json(station);
+});
+
+// Body: any of { name, coordinates, region }
+router.put('/stations/:id', requireAdmin, (req, res) => {
+  const invalid = weatherStations.validate(req.body, { partial: true });
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (req.body.id !== undefined && req.body.id !== req.params.id) {
+    return res.status(400).json({ error: '`id` cannot be changed.' });
+  }
+
+  const station = weatherStations.updateStation(req.params.id, req.body);
+  if (!station) return res.status(404).json({ error: 'Weather station not found' });
+  res.json(station);
+});
+
+router.delete('/stations/:id', requireAdmin, (req, res) => {
+  if (!weatherStations.deleteStation(req.params.id)) {
+    return res.status(404).json({ error: 'Weather station not found' });
+  }
+  res.status(204).end();
+});
+
+// Detail view for one station: current conditions plus an hourly forecast for `?days=` (default 7).
+// Also available as ?format=geojson|csv (current conditions only).
+router.get('/:id', async (req, res) => {
+  const station = weatherStations.getStation(req.params.id);
+  if (!station) return res.status(404).json({ error: 'Weather station not found' });
+
+  const days = weather.parseDays(req.query.days, weather.MAX_FORECAST_DAYS);
+  if (days === undefined) {
+    return res.status(400).json({ error: `Invalid days. Use a whole number from 1 to ${weather.MAX_FORECAST_DAYS}.` });
+  }
+  const format = formats.parseFormat(req.query.format);
+  if (!format) {
+    return res.status(400).json({ error: formats.INVALID_FORMAT });
+  }
+
+  const result = await weather.getWeather(station, days);
+  if (result.observedAt === null) {
+    return res.status(502).json({ error: 'Weather service unavailable', details: 'No reading has been received for this station yet.' });
+  }
+  formats.sendFormatted(res, format, result, `weather-station-${station.id}`);
+});
+
+// Stored hourly readings for one station (current conditions from each fetch, plus hours the
+// ingestion worker backfilled), e.g. /api/weather/w1/history?from=2025-01-01T00:00:00Z (default: last 24 h)
+router.get('/:id/history', (req, res) => {
+  const station = weatherStations.getStation(req.params.id);
+  if (!station) return res.status(404).json({ error: 'Weather station not found' });
+
+  const range = history.parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const { from, to } = range;
+
+  res.json({
+    stationId: station.id,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    points: weatherStations.getReadings(station.id, from, to),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// Capture the live provider's stations into a fixture file for AQI_PROVIDER=fixture.
+// Usage: node scripts/recordFixture.js [bounds] [outFile]
+//   bounds  defaults to the Mumbai (MMR) box used by the dashboard
+//   outFile defaults to fixtures/aqi-stations.json
+const fs = require('fs/promises');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { parseBounds } = require('../geo');
+const { getAqiProvider } = require('../providers');
+
+async function main() {
+  const bounds = parseBounds(process.argv[2] || '18.60,72.70,19.50,73.30');
+  const outFile = process.argv[3] || path.join(__dirname, '..', 'fixtures', 'aqi-stations.json');
+
+  if (!bounds) throw new Error('Invalid bounds. Use lat1,lng1,lat2,lng2.');
+
+  const provider = getAqiProvider();
+  if (provider.name === 'fixture') throw new Error('Set AQI_PROVIDER to a live provider to record from.');
+
+  const list = await provider.listStations(bounds);
+  const stations = [];
+  for (const s of list) {
+    try {
+      stations.push(await provider.getStation(s.id));
+    } catch (e) {
+      console.warn('Skipping station', s.id, e.message);
+    }
+  }
+
+  const fixture = { recordedAt: new Date().toISOString(), source: provider.name, stations };
+  await fs.writeFile(outFile, JSON.stringify(fixture, null, 2) + '\n');
+  console.log(`Recorded ${stations.length} stations to ${outFile}`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
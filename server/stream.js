@@ -0,0 +1,125 @@
+const aqiStations = require('./aqiStations');
+const weather = require('./weather');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const floodSites = require('./floodSites');
+const traffic = require('./traffic');
+const { formatBounds } = require('./geo');
+
+// Live station updates over Server-Sent Events. Each subscriber registers its bounds and
+// layers. On every tick the data for each distinct (layer, bounds) pair is loaded once and
+// shared by everyone watching it, and each subscriber only gets the stations that changed
+// since its last message:
+//
+//   event: aqi | weather | flood | traffic   data: { full, stations, removed }
+//   event: layer-error     data: { layer, error }
+//
+// `full: true` (the first message per layer) replaces the client's list; otherwise `stations`
+// are upserted by id and `removed` lists ids that left the bounds.
+const INTERVAL_MS = Number(process.env.STREAM_INTERVAL_MS) || 60_000;
+const HEARTBEAT_MS = 25_000;
+const RETRY_MS = 5_000;
+
+// ageMinutes is dropped from the AQI layer: it changes every minute and would make every
+// station look changed on every tick. Clients get `status` and can work the age out from lastUpdated.
+const LAYERS = {
+  aqi: async bounds => (await aqiStations.loadStations(bounds)).stations
+    .map(aqiStations.toSummary)
+    .map(({ ageMinutes, ...station }) => station),
+  weather: bounds => weather.listWeather(bounds),
+  flood: async bounds => floodSites.listSites(bounds),
+  traffic: async bounds => traffic.listSegments(bounds),
+};
+
+const subscribers = new Set(); // { res, bounds, boundsKey, layers, sent: { [layer]: Map(id -> json) }, heartbeat }
+let timer = null;
+let refreshing = false;
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send the part of `stations` this subscriber has not seen yet
+function pushLayer(sub, layer, stations) {
+  const previous = sub.sent[layer];
+  const next = new Map();
+  const changed = [];
+  for (const station of stations) {
+    const id = String(station.id);
+    const json = JSON.stringify(station);
+    next.set(id, json);
+    if (!previous || previous.get(id) !== json) changed.push(station);
+  }
+  const removed = previous ? [...previous.keys()].filter(id => !next.has(id)) : [];
+  sub.sent[layer] = next;
+
+  if (!previous) {
+    send(sub.res, layer, { full: true, stations, removed: [] });
+  } else if (changed.length > 0 || removed.length > 0) {
+    send(sub.res, layer, { full: false, stations: changed, removed });
+  }
+}
+
+async function refresh(targets) {
+  const groups = new Map(); // `${layer}|${bounds}` -> { layer, bounds, subs }
+  for (const sub of targets) {
+    for (const layer of sub.layers) {
+      const key = `${layer}|${sub.boundsKey}`;
+      if (!groups.has(key)) groups.set(key, { layer, bounds: sub.bounds, subs: [] });
+      groups.get(key).subs.push(sub);
+    }
+  }
+
+  await Promise.all([...groups.values()].map(async ({ layer, bounds, subs }) => {
+    try {
+      const stations = await LAYERS[layer](bounds);
+      for (const sub of subs) {
+        if (subscribers.has(sub)) pushLayer(sub, layer, stations);
+      }
+    } catch (e) {
+      logger.error('stream refresh failed', { layer, err: e });
+      for (const sub of subs) {
+        if (subscribers.has(sub)) send(sub.res, 'layer-error', { layer, error: e.message });
+      }
+    }
+  }));
+}
+
+async function tick() {
+  // Skip a tick rather than pile up behind a slow upstream
+  if (refreshing) return;
+  refreshing = true;
+  try {
+    await refresh([...subscribers]);
+  } finally {
+    refreshing = false;
+  }
+}
+
+// Start streaming to an SSE response. Returns the subscription for `unsubscribe`.
+function subscribe(res, { bounds, layers }) {
+  const sub = { res, bounds, boundsKey: formatBounds(bounds), layers, sent: {}, heartbeat: null };
+  subscribers.add(sub);
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  send(res, 'ready', { layers, intervalMs: INTERVAL_MS });
+  // Comment lines keep proxies from closing an idle connection
+  sub.heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  if (!timer) timer = setInterval(tick, INTERVAL_MS);
+  metrics.streamSubscribers.set({}, subscribers.size);
+  refresh([sub]).catch(e => logger.error('stream snapshot failed', { err: e }));
+  return sub;
+}
+
+function unsubscribe(sub) {
+  clearInterval(sub.heartbeat);
+  subscribers.delete(sub);
+  metrics.streamSubscribers.set({}, subscribers.size);
+  if (subscribers.size === 0 && timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = { LAYER_NAMES: Object.keys(LAYERS), subscribe, unsubscribe };
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const alerts = require('../alerts');
+
+function addRule(t, input) {
+  const { rule, error } = alerts.rules.prepareRule({ name: 'Test rule', source: 'aqi', metric: 'aqi', threshold: 150, ...input });
+  assert.equal(error, undefined);
+  t.after(() => alerts.rules.deleteRule(rule.id));
+  return alerts.rules.createRule(rule);
+}
+
+const at = minute => new Date(Date.UTC(2025, 0, 15, 6, minute)).toISOString();
+
+test('new rules get the defaults and are checked', () => {
+  const { rule } = alerts.rules.prepareRule({ name: 'Kurla', source: 'aqi', metric: 'pm25', threshold: 60 });
+  assert.equal(rule.operator, 'above');
+  assert.equal(rule.cooldownMinutes, 60);
+  assert.deepEqual(rule.webhooks, []);
+  assert.match(rule.id, /^r-/);
+
+  assert.equal(alerts.rules.prepareRule({ source: 'aqi', metric: 'aqi', threshold: 1 }).error, '`name` is required.');
+  assert.match(alerts.rules.prepareRule({ name: 'x', source: 'aqi', metric: 'waterLevel', threshold: 1 }).error, /`metric` for aqi/);
+  assert.match(alerts.rules.prepareRule({ name: 'x', source: 'aqi', metric: 'aqi', threshold: 1, bounds: '1,2' }).error, /`bounds`/);
+});
+
+test('rule webhooks must be public https URLs', () => {
+  const base = { name: 'x', source: 'aqi', metric: 'aqi', threshold: 1 };
+  assert.match(alerts.rules.prepareRule({ ...base, webhooks: ['http://example.com/hook'] }).error, /must use https/);
+  assert.match(alerts.rules.prepareRule({ ...base, webhooks: ['https://169.254.169.254/latest'] }).error, /internal address/);
+  assert.equal(alerts.rules.prepareRule({ ...base, webhooks: ['https://hooks.example.com/aqi'] }).error, undefined);
+});
+
+test('a rule fires once per breach and stays quiet during the cooldown', (t) => {
+  const rule = addRule(t, { stationId: 'st-1', cooldownMinutes: 30 });
+  let now = Date.parse(at(0));
+  t.mock.method(Date, 'now', () => now);
+
+  const fired = alerts.evaluate('aqi', [{ id: 'st-1', city: 'Kurla', aqi: 180, lastUpdated: at(0) }]);
+  assert.equal(fired.length, 1);
+  assert.equal(fired[0].ruleId, rule.id);
+  assert.equal(fired[0].value, 180);
+  assert.equal(fired[0].stationName, 'Kurla');
+
+  now = Date.parse(at(10));
+  assert.equal(alerts.evaluate('aqi', [{ id: 'st-1', aqi: 190, lastUpdated: at(10) }]).length, 0);
+  assert.equal(alerts.evaluate('aqi', [{ id: 'st-2', aqi: 190, lastUpdated: at(10) }]).length, 0);
+
+  now = Date.parse(at(30));
+  assert.equal(alerts.evaluate('aqi', [{ id: 'st-1', aqi: 190, lastUpdated: at(30) }]).length, 1);
+});
+
+test('a rule with a duration waits until the breach has lasted that long', (t) => {
+  addRule(t, { area: 'bandra', durationMinutes: 20 });
+  let now = Date.parse(at(0));
+  t.mock.method(Date, 'now', () => now);
+  const reading = (minute, aqi) => ({ id: 'st-3', city: 'Bandra West', aqi, lastUpdated: at(minute) });
+
+  assert.equal(alerts.evaluate('aqi', [reading(0, 160)]).length, 0);
+  now = Date.parse(at(15));
+  assert.equal(alerts.evaluate('aqi', [reading(15, 170)]).length, 0);
+  now = Date.parse(at(20));
+  assert.equal(alerts.evaluate('aqi', [reading(20, 165)]).length, 1);
+
+  // Dropping below the threshold ends the breach, so the next one starts over
+  addRule(t, { area: 'bandra', durationMinutes: 20, id: 'r-reset' });
+  now = Date.parse(at(25));
+  alerts.evaluate('aqi', [reading(25, 120)]);
+  now = Date.parse(at(40));
+  assert.equal(alerts.evaluate('aqi', [reading(40, 170)]).filter(a => a.ruleId === 'r-reset').length, 0);
+});
+
+test('disabled rules and readings without the metric are ignored', (t) => {
+  addRule(t, { stationId: 'st-4', enabled: false });
+  addRule(t, { stationId: 'st-5', metric: 'pm25', threshold: 50 });
+  assert.equal(alerts.evaluate('aqi', [{ id: 'st-4', aqi: 300 }, { id: 'st-5', aqi: 300, pm25: null }]).length, 0);
+});
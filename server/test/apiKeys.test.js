@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.DASHBOARD_TOKEN = 'dashboard-secret';
+process.env.ADMIN_TOKEN = 'admin-secret';
+const apiKeys = require('../apiKeys');
+
+async function startApp(t) {
+  const app = express();
+  app.get('/read', apiKeys.requireApiKey, (req, res) => res.json({ key: req.apiKey?.id ?? null }));
+  app.post('/ingest', apiKeys.requireIngestKey, (req, res) => res.json({ ok: true }));
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (path, headers = {}, method = 'GET') => fetch(`${base}${path}`, { method, headers });
+}
+
+test('validate checks name, scope, rate limit and quota', () => {
+  assert.equal(apiKeys.validate({ name: 'Ward office' }), null);
+  assert.match(apiKeys.validate({ name: ' ' }), /`name` is required/);
+  assert.match(apiKeys.validate({ name: 'x', scope: 'write' }), /`scope` must be one of read, ingest/);
+  assert.match(apiKeys.validate({ name: 'x', rateLimit: 0 }), /`rateLimit`/);
+  assert.match(apiKeys.validate({ name: 'x', dailyQuota: 1.5 }), /`dailyQuota`/);
+  assert.equal(apiKeys.validate({ name: 'x', dailyQuota: null }), null);
+});
+
+test('requests need a valid, unrevoked key unless they come from the dashboard or an admin', async (t) => {
+  const get = await startApp(t);
+  assert.equal((await get('/read')).status, 401);
+  assert.equal((await get('/read', { 'X-API-Key': 'aqv_nope' })).status, 401);
+  assert.equal((await get('/read', { 'X-Dashboard-Token': 'dashboard-secret' })).status, 200);
+  assert.equal((await get('/read', { 'X-Dashboard-Token': 'wrong' })).status, 401);
+  assert.equal((await get('/read', { Authorization: 'Bearer admin-secret' })).status, 200);
+
+  const { id, key } = apiKeys.createKey({ name: 'Transport team' });
+  const ok = await get('/read', { 'X-API-Key': key });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(await ok.json(), { key: id });
+
+  assert.equal(apiKeys.revokeKey(id), true);
+  assert.equal((await get('/read', { 'X-API-Key': key })).status, 401);
+});
+
+test('pushing readings needs an ingest key', async (t) => {
+  const request = await startApp(t);
+  const read = apiKeys.createKey({ name: 'Reader' });
+  const ingest = apiKeys.createKey({ name: 'Gauge', scope: 'ingest' });
+  assert.equal((await request('/ingest', { 'X-API-Key': read.key }, 'POST')).status, 403);
+  assert.equal((await request('/ingest', { 'X-API-Key': ingest.key }, 'POST')).status, 200);
+  assert.equal((await request('/ingest', { 'X-Dashboard-Token': 'dashboard-secret' }, 'POST')).status, 401);
+});
+
+test('the per-minute rate limit answers 429 with Retry-After', async (t) => {
+  const request = await startApp(t);
+  const { key } = apiKeys.createKey({ name: 'Burst', rateLimit: 2 });
+
+  const first = await request('/read', { 'X-API-Key': key });
+  assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+  assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+  assert.equal((await request('/read', { 'X-API-Key': key })).status, 200);
+
+  const limited = await request('/read', { 'X-API-Key': key });
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).error, 'Rate limit exceeded');
+  assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+  assert.equal(limited.headers.get('x-ratelimit-remaining'), '0');
+});
+
+test('the daily quota is counted in the database', async (t) => {
+  const request = await startApp(t);
+  const { id, key } = apiKeys.createKey({ name: 'Daily', rateLimit: 100, dailyQuota: 2 });
+
+  assert.equal((await request('/read', { 'X-API-Key': key })).status, 200);
+  assert.equal((await request('/read', { 'X-API-Key': key })).status, 200);
+  assert.equal(apiKeys.getKey(id).usedToday, 2);
+
+  const exhausted = await request('/read', { 'X-API-Key': key });
+  assert.equal(exhausted.status, 429);
+  assert.equal((await exhausted.json()).error, 'Daily quota exceeded');
+  assert.equal(apiKeys.getKey(id).usedToday, 2, 'rejected requests are not counted');
+});
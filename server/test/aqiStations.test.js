@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stations = require('../aqiStations');
+
+const now = Date.parse('2025-01-15T12:00:00Z');
+const minutesAgo = minutes => new Date(now - minutes * 60000).toISOString();
+
+test('a station stays live up to the delay threshold', () => {
+  assert.deepEqual(stations.getFreshness(minutesAgo(0), now), { ageMinutes: 0, status: 'live' });
+  assert.deepEqual(
+    stations.getFreshness(minutesAgo(stations.DELAYED_AFTER_MINUTES), now),
+    { ageMinutes: stations.DELAYED_AFTER_MINUTES, status: 'live' }
+  );
+});
+
+test('a station past the delay threshold is delayed, past the offline threshold offline', () => {
+  assert.equal(stations.getFreshness(minutesAgo(stations.DELAYED_AFTER_MINUTES + 1), now).status, 'delayed');
+  assert.equal(stations.getFreshness(minutesAgo(stations.OFFLINE_AFTER_MINUTES), now).status, 'delayed');
+  assert.equal(stations.getFreshness(minutesAgo(stations.OFFLINE_AFTER_MINUTES + 1), now).status, 'offline');
+});
+
+test('a station without a usable timestamp is offline', () => {
+  assert.deepEqual(stations.getFreshness(null, now), { ageMinutes: null, status: 'offline' });
+  assert.deepEqual(stations.getFreshness('not a time', now), { ageMinutes: null, status: 'offline' });
+});
+
+test('a timestamp in the future counts as just reported', () => {
+  assert.deepEqual(stations.getFreshness(minutesAgo(-30), now), { ageMinutes: 0, status: 'live' });
+});
+
+test('withFreshness adds the age and status to a station', () => {
+  const station = { id: 1, aqi: 80, lastUpdated: minutesAgo(120) };
+  assert.deepEqual(stations.withFreshness(station, now), { ...station, ageMinutes: 120, status: 'delayed' });
+});
+
+test('only offline stations are left out as not reporting', (t) => {
+  t.mock.method(Date, 'now', () => now);
+  assert.equal(stations.isReporting({ lastUpdated: minutesAgo(10) }), true);
+  assert.equal(stations.isReporting({ lastUpdated: minutesAgo(stations.DELAYED_AFTER_MINUTES + 30) }), true);
+  assert.equal(stations.isReporting({ lastUpdated: minutesAgo(stations.OFFLINE_AFTER_MINUTES + 30) }), false);
+  assert.equal(stations.isReporting({}), false);
+});
+
+test('station summaries carry their freshness', (t) => {
+  t.mock.method(Date, 'now', () => now);
+  const summary = stations.toSummary({
+    id: 1, lat: 19, lng: 72.8, aqi: 120, naqi: { aqi: 110, category: 'Moderate', dominantPollutant: 'pm10' },
+    lastUpdated: minutesAgo(400),
+  });
+  assert.equal(summary.status, 'offline');
+  assert.equal(summary.ageMinutes, 400);
+  assert.equal(summary.naqi.category, 'Moderate');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Profiles are read when the module loads
+const profilesPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-')), 'profiles.json');
+fs.writeFileSync(profilesPath, JSON.stringify([
+  { id: 'linear', match: { stationIds: ['lin-1'] }, pollutants: ['pm25', 'pm10'], formula: { type: 'linear', slope: 0.5, intercept: 2 } },
+  { id: 'purpleair', match: { networks: ['PurpleAir'] }, formula: { type: 'epa-purpleair' } },
+]));
+process.env.CALIBRATION_PROFILES_PATH = profilesPath;
+test.after(() => fs.rmSync(path.dirname(profilesPath), { recursive: true, force: true }));
+
+const calibration = require('../calibration');
+const weatherStations = require('../weatherStations');
+
+function mockHumidity(t, humidity) {
+  return t.mock.method(global, 'fetch', async () => Response.json({ current: { relative_humidity_2m: humidity } }));
+}
+
+test('stations without a profile keep their readings and get the raw values', async () => {
+  const station = { id: 'ref-1', aqi: 90, pm25: 30, pm10: 60, lat: 19, lng: 72.8 };
+  const result = await calibration.calibrateStation(station);
+  assert.equal(result.calibration, null);
+  assert.equal(result.pm25, 30);
+  assert.deepEqual(result.raw, { aqi: 90, pm25: 30, pm10: 60 });
+});
+
+test('a linear profile corrects its pollutants and clears the AQI for recomputing', async () => {
+  const station = { id: 'lin-1', aqi: 90, dominantPollutant: 'pm10', pm25: 30, pm10: 60, lat: 19, lng: 72.8 };
+  const result = await calibration.calibrateStation(station);
+  assert.equal(result.pm25, 17);
+  assert.equal(result.pm10, 32);
+  assert.equal(result.aqi, null);
+  assert.equal(result.dominantPollutant, null);
+  assert.deepEqual(result.raw, { aqi: 90, pm25: 30, pm10: 60 });
+  assert.equal(result.calibration.applied, true);
+  assert.equal(result.calibration.profile, 'linear');
+  assert.equal(result.calibration.derivedFromAqi, undefined);
+});
+
+test('a missing PM value is read back from the AQI and flagged as derived', async () => {
+  const result = await calibration.calibrateStation({ id: 'lin-1', aqi: 100, lat: 19, lng: 72.8 });
+  assert.equal(result.calibration.applied, true);
+  assert.equal(result.calibration.derivedFromAqi, true);
+  assert.ok(Number.isFinite(result.pm25));
+});
+
+test('pollutants the provider derived from sub-indices are flagged', async () => {
+  const station = { id: 'lin-1', aqi: 90, pm25: 30, pm10: 60, derivedPollutants: ['pm25'], lat: 19, lng: 72.8 };
+  const result = await calibration.calibrateStation(station);
+  assert.equal(result.calibration.derivedFromAqi, true);
+});
+
+test('the PurpleAir correction uses Open-Meteo humidity when no weather station is near', async (t) => {
+  const fetch = mockHumidity(t, 80);
+  const station = { id: 'pa-1', network: 'purpleair', pm25: 50, lat: 10.01, lng: 10.01 };
+  const result = await calibration.calibrateStation(station);
+  assert.equal(fetch.mock.callCount(), 1);
+  assert.equal(result.calibration.humidity, 80);
+  assert.equal(result.calibration.humiditySource, 'open-meteo');
+  assert.equal(result.pm25, 25.1); // 0.524 * 50 - 0.0862 * 80 + 5.75
+});
+
+test('a recent stored weather reading nearby is used instead of Open-Meteo', async (t) => {
+  const fetch = mockHumidity(t, 10);
+  weatherStations.createStation({ id: 'test-humid', name: 'Humid', coordinates: [40.0, 20.0] });
+  weatherStations.saveObservation('test-humid', new Date().toISOString(), { humidity: 60, observedAt: new Date().toISOString() });
+  t.after(() => weatherStations.deleteStation('test-humid'));
+
+  const [result] = await calibration.calibrateStations([{ id: 'pa-2', network: 'PurpleAir', pm25: 50, lat: 20.01, lng: 40.01 }]);
+  assert.equal(fetch.mock.callCount(), 0);
+  assert.equal(result.calibration.humiditySource, 'station:test-humid');
+  assert.equal(result.calibration.humidity, 60);
+});
+
+test('without humidity the reading is left uncorrected with a reason', async (t) => {
+  t.mock.method(global, 'fetch', async () => Response.json({ current: {} }));
+  const result = await calibration.calibrateStation({ id: 'pa-3', network: 'PurpleAir', aqi: 120, pm25: 50, lat: -30.01, lng: -60.01 });
+  assert.equal(result.calibration.applied, false);
+  assert.equal(result.calibration.reason, 'Relative humidity unavailable');
+  assert.equal(result.pm25, 50);
+  assert.equal(result.aqi, 120);
+});
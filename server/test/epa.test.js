@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const epa = require('../aqi/epa');
+
+test('PM2.5 is truncated to 0.1 µg/m³ before the breakpoint lookup', () => {
+  assert.equal(epa.subIndex('pm25', 0), 0);
+  assert.equal(epa.subIndex('pm25', 9.0), 50);
+  assert.equal(epa.subIndex('pm25', 9.09), 50);
+  assert.equal(epa.subIndex('pm25', 9.1), 51);
+  assert.equal(epa.subIndex('pm25', 22.29), 75);
+  assert.equal(epa.subIndex('pm25', 35.4), 100);
+  assert.equal(epa.subIndex('pm25', 35.49), 100);
+  assert.equal(epa.subIndex('pm25', 35.5), 101);
+  assert.equal(epa.subIndex('pm25', 225.4), 300);
+  assert.equal(epa.subIndex('pm25', 225.5), 301);
+  assert.equal(epa.subIndex('pm25', 325.4), 500);
+});
+
+test('PM2.5 above the top breakpoint caps at 500', () => {
+  assert.equal(epa.subIndex('pm25', 325.5), 500);
+  assert.equal(epa.subIndex('pm25', 900), 500);
+});
+
+test('missing or negative concentrations have no sub-index', () => {
+  assert.equal(epa.subIndex('pm25', null), null);
+  assert.equal(epa.subIndex('pm25', ''), null);
+  assert.equal(epa.subIndex('pm25', -1), null);
+});
+
+test('8-hour ozone (ppb) is truncated to 0.001 ppm at the breakpoint edges', () => {
+  const o3 = ppb => epa.computeAqi({ o3: ppb }).subIndices.o3;
+  assert.equal(o3(0), 0);
+  assert.equal(o3(54), 50);
+  assert.equal(o3(54.9), 50);
+  assert.equal(o3(55), 51);
+  assert.equal(o3(60), 67);
+  assert.equal(o3(70), 100);
+  assert.equal(o3(71), 101);
+  assert.equal(o3(105), 200);
+  assert.equal(o3(106), 201);
+  assert.equal(o3(200), 300);
+  assert.equal(o3(200.9), 300);
+});
+
+test('8-hour ozone above 0.200 ppm is not scored on its own', () => {
+  const result = epa.computeAqi({ o3: 250 });
+  assert.equal(result.subIndices.o3, undefined);
+  assert.equal(result.aqi, null);
+});
+
+test('1-hour ozone is only scored from 0.125 ppm and the higher ozone index wins', () => {
+  assert.equal(epa.computeAqi({ o3: 60, o3_1h: 100 }).subIndices.o3, 67);
+  assert.equal(epa.computeAqi({ o3: 60, o3_1h: 124.9 }).subIndices.o3, 67);
+  assert.equal(epa.computeAqi({ o3: 60, o3_1h: 125 }).subIndices.o3, 101);
+  assert.equal(epa.computeAqi({ o3: 60, o3_1h: 130 }).subIndices.o3, 107);
+  assert.equal(epa.computeAqi({ o3: 250, o3_1h: 250 }).subIndices.o3, 223);
+  assert.equal(epa.computeAqi({ o3: 250, o3_1h: 100 }).subIndices.o3, undefined);
+  assert.equal(epa.computeAqi({ o3_1h: 604 }).subIndices.o3, 500);
+  assert.equal(epa.computeAqi({ o3_1h: 700 }).subIndices.o3, 500);
+});
+
+test('the overall AQI is the highest sub-index and names its pollutant', () => {
+  const result = epa.computeAqi({ pm25: 35.5, pm10: 100, no2: 40, co: 2 });
+  assert.equal(result.aqi, 101);
+  assert.equal(result.dominantPollutant, 'pm25');
+  assert.deepEqual(Object.keys(result.subIndices).sort(), ['co', 'no2', 'pm10', 'pm25']);
+  assert.deepEqual(epa.computeAqi({}), { aqi: null, dominantPollutant: null, subIndices: {} });
+});
+
+test('concentrationFor inverts the sub-index within a table', () => {
+  assert.equal(epa.concentrationFor('pm25', 50), 9);
+  assert.equal(epa.concentrationFor('pm25', 101), 35.5);
+  assert.equal(epa.subIndex('pm25', epa.concentrationFor('pm25', 75)), 75);
+  assert.equal(epa.concentrationFor('o3', 301), null);
+  assert.equal(epa.concentrationFor('pm25', null), null);
+});
+
+test('getAqiColor follows the EPA categories', () => {
+  assert.equal(epa.getAqiColor(null), '#6b7280');
+  assert.equal(epa.getAqiColor(50), '#22c55e');
+  assert.equal(epa.getAqiColor(51), '#eab308');
+  assert.equal(epa.getAqiColor(301), '#9f1239');
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const floodSites = require('../floodSites');
+
+const MINUTE = 60 * 1000;
+const THRESHOLDS = { moderate: 0.5, severe: 1.0 };
+
+test('getRiskLevel compares the water level with the site thresholds', () => {
+  assert.equal(floodSites.getRiskLevel(THRESHOLDS, null), 'Unknown');
+  assert.equal(floodSites.getRiskLevel(THRESHOLDS, 0.49), 'Good');
+  assert.equal(floodSites.getRiskLevel(THRESHOLDS, 0.5), 'Moderate');
+  assert.equal(floodSites.getRiskLevel(THRESHOLDS, 1.0), 'Severe');
+});
+
+test('validate checks thresholds as well as name and coordinates', () => {
+  assert.equal(floodSites.validate({ name: 'Hindmata', coordinates: [72.84, 19.0] }), null);
+  assert.match(floodSites.validate({ name: 'Hindmata', coordinates: [72.84, 19.0], thresholds: { moderate: 1, severe: 0.5 } }), /must be below/);
+  assert.match(floodSites.validate({ thresholds: { moderate: -1, severe: 1 } }, { partial: true }), /`thresholds` must be/);
+});
+
+test('validateReading needs a level or pump status and a believable time', () => {
+  assert.equal(floodSites.validateReading({ waterLevel: 0.3 }), null);
+  assert.equal(floodSites.validateReading({ pumpStatus: 'Active', observedAt: new Date().toISOString() }), null);
+  assert.match(floodSites.validateReading({}), /needs `waterLevel`/);
+  assert.match(floodSites.validateReading([]), /JSON object/);
+  assert.match(floodSites.validateReading({ waterLevel: '0.3' }), /`waterLevel` must be a number/);
+  assert.match(floodSites.validateReading({ waterLevel: 0.3, observedAt: 'soon' }), /ISO timestamp or epoch ms/);
+  assert.match(floodSites.validateReading({ waterLevel: 0.3, observedAt: Date.now() + 10 * MINUTE }), /cannot be in the future/);
+  assert.equal(floodSites.validateReading({ waterLevel: 0.3, observedAt: Date.now() + 2 * MINUTE }), null, 'small clock drift is allowed');
+});
+
+test('a site shows its latest level and pump status with the risk level', () => {
+  const site = floodSites.createSite({ id: 'test-site', name: 'Test', coordinates: [72.84, 19.0], thresholds: THRESHOLDS });
+  assert.equal(site.riskLevel, 'Unknown');
+  const t0 = Date.now() - 30 * MINUTE;
+  floodSites.recordReadings('test-site', [
+    { waterLevel: 0.2, pumpStatus: 'Standby', observedAt: t0 },
+    { waterLevel: 0.7, observedAt: t0 + 10 * MINUTE },
+  ]);
+
+  const current = floodSites.getSite('test-site');
+  assert.equal(current.waterLevel, 0.7);
+  assert.equal(current.pumpStatus, 'Standby');
+  assert.equal(current.riskLevel, 'Moderate');
+  assert.equal(current.observedAt, new Date(t0 + 10 * MINUTE).toISOString());
+
+  const readings = floodSites.getReadings(current, { from: t0, to: Date.now() });
+  assert.deepEqual(readings.map(r => r.riskLevel), ['Good', 'Moderate']);
+
+  assert.equal(floodSites.deleteSite('test-site'), true);
+  assert.equal(floodSites.getSite('test-site'), null);
+});
+
+test('readings dated beyond the allowed clock skew never become the latest', () => {
+  floodSites.createSite({ id: 'test-future', name: 'Future', coordinates: [72.84, 19.0], thresholds: THRESHOLDS });
+  floodSites.recordReadings('test-future', [
+    { waterLevel: 0.2, observedAt: Date.now() - MINUTE },
+    { waterLevel: 2.0, observedAt: Date.now() + 60 * MINUTE },
+  ]);
+  assert.equal(floodSites.getSite('test-future').waterLevel, 0.2);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const openMeteo = require('../providers/forecast/openMeteo');
+const ProviderError = require('../providers/ProviderError');
+
+const LOCATION = { id: 'st-1', lat: 19.07, lng: 72.87 };
+
+function respondWith(t, body, status = 200) {
+  t.mock.method(global, 'fetch', async () => new Response(JSON.stringify(body), { status }));
+}
+
+test('hourly values are converted to the server units', async (t) => {
+  respondWith(t, { hourly: { time: ['2024-01-01T00:00'], pm2_5: [21.26], pm10: [40], ozone: [96] } });
+  const [result] = await openMeteo.getForecast([LOCATION], 1);
+  assert.deepEqual(result, {
+    id: 'st-1',
+    hourly: [{ time: '2024-01-01T00:00:00.000Z', pm25: 21.3, pm10: 40, o3: 48.9 }],
+  });
+});
+
+test('an Open-Meteo error payload is a 502 ProviderError', async (t) => {
+  respondWith(t, { error: true, reason: 'Latitude must be in range of -90 to 90°.' }, 400);
+  await assert.rejects(openMeteo.getForecast([LOCATION], 24), (err) => {
+    assert.ok(err instanceof ProviderError);
+    assert.equal(err.status, 502);
+    assert.equal(err.details, 'Latitude must be in range of -90 to 90°.');
+    return true;
+  });
+});
+
+test('a response without an hourly block is not an empty forecast', async (t) => {
+  respondWith(t, { latitude: 19.07, longitude: 72.87 });
+  await assert.rejects(openMeteo.getForecast([LOCATION], 24), { name: 'ProviderError', status: 502 });
+});
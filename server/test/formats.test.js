@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const formats = require('../formats');
+
+const AQI_STATION = { id: 1, city: 'Bandra', lat: 19.06, lng: 72.84, aqi: 80, naqi: { aqi: 90, category: 'Satisfactory' }, forecast: [1, 2] };
+const WEATHER_STATION = { id: 'ws-1', name: 'Colaba, "south"', coordinates: [72.81, 18.9], temperature: 30 };
+
+test('parseFormat defaults to json and rejects unknown formats', () => {
+  assert.equal(formats.parseFormat(undefined), 'json');
+  assert.equal(formats.parseFormat('GeoJSON'), 'geojson');
+  assert.equal(formats.parseFormat('xml'), null);
+});
+
+test('toGeoJson builds Points from lat/lng or coordinates and flattens properties', () => {
+  const collection = formats.toGeoJson([AQI_STATION, WEATHER_STATION]);
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.deepEqual(collection.features[0], {
+    type: 'Feature',
+    id: 1,
+    geometry: { type: 'Point', coordinates: [72.84, 19.06] },
+    properties: { id: 1, city: 'Bandra', aqi: 80, naqi_aqi: 90, naqi_category: 'Satisfactory' },
+  });
+  assert.deepEqual(collection.features[1].geometry.coordinates, [72.81, 18.9]);
+});
+
+test('toGeoJson returns a single Feature for one station and a null geometry without a position', () => {
+  const feature = formats.toGeoJson({ id: 2, aqi: 10 });
+  assert.equal(feature.type, 'Feature');
+  assert.equal(feature.geometry, null);
+});
+
+test('toCsv puts lat/lng first, unions columns and quotes cells', () => {
+  const csv = formats.toCsv([AQI_STATION, WEATHER_STATION]);
+  assert.equal(csv, [
+    'lat,lng,id,city,aqi,naqi_aqi,naqi_category,name,temperature',
+    '19.06,72.84,1,Bandra,80,90,Satisfactory,,',
+    '18.9,72.81,ws-1,,,,,"Colaba, ""south""",30',
+    '',
+  ].join('\r\n'));
+});
+
+test('toCsv of an empty list is just the header', () => {
+  assert.equal(formats.toCsv([]), 'lat,lng\r\n');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const health = require('../routes/health');
+
+async function getHealth(t) {
+  const app = express().use('/api/health', health);
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  t.after(() => server.close());
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/health`);
+  return { status: response.status, body: await response.json() };
+}
+
+test('local providers are reported as ok', async (t) => {
+  process.env.AQI_PROVIDER = 'fixture';
+  process.env.AQI_FORECAST_PROVIDER = 'fixture';
+  const { status, body } = await getHealth(t);
+  assert.equal(status, 200);
+  assert.deepEqual(body.dependencies.aqi, { provider: 'fixture', status: 'ok' });
+  assert.deepEqual(body.dependencies.forecast, { provider: 'fixture', status: 'ok' });
+});
+
+test('a misconfigured provider is reported as down instead of failing the endpoint', async (t) => {
+  process.env.AQI_PROVIDER = 'nope';
+  process.env.AQI_FORECAST_PROVIDER = 'fixture';
+  t.after(() => { delete process.env.AQI_PROVIDER; });
+
+  const { status, body } = await getHealth(t);
+  assert.equal(status, 200);
+  assert.equal(body.status, 'degraded');
+  assert.equal(body.dependencies.aqi.status, 'down');
+  assert.match(body.dependencies.aqi.error, /Unknown AQI_PROVIDER "nope"/);
+  assert.equal(body.dependencies.forecast.status, 'ok');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const healthRisk = require('../healthRisk');
+
+test('computeAqhi follows the Canadian AQHI formula', () => {
+  assert.equal(healthRisk.computeAqhi({ no2: 20, o3: 30, pm25: 10 }), 4);
+  assert.equal(healthRisk.computeAqhi({ no2: 60, o3: 60, pm25: 100 }), 13);
+});
+
+test('missing pollutants contribute nothing and the AQHI never drops below 1', () => {
+  assert.equal(healthRisk.computeAqhi({}), 1);
+  assert.equal(healthRisk.computeAqhi({ pm25: 10, no2: null }), 1);
+});
+
+test('heatIndexC matches the NWS heat index chart', () => {
+  assert.equal(healthRisk.heatIndexC(30, 70), 35);
+  assert.equal(healthRisk.heatIndexC(25, 50), 24.9, 'mild conditions use the simple formula');
+  assert.equal(healthRisk.heatIndexC(40, 10), 36.7, 'dry-air adjustment');
+  assert.equal(healthRisk.heatIndexC(29, 90), 37.2, 'humid-air adjustment');
+});
+
+test('heat levels add their points from the band threshold up', () => {
+  assert.deepEqual(healthRisk.getHeatLevel(26.9), { level: 'None', adjustment: 0 });
+  assert.deepEqual(healthRisk.getHeatLevel(27), { level: 'Caution', adjustment: 1 });
+  assert.deepEqual(healthRisk.getHeatLevel(32), { level: 'Extreme Caution', adjustment: 2 });
+  assert.deepEqual(healthRisk.getHeatLevel(41), { level: 'Danger', adjustment: 3 });
+  assert.deepEqual(healthRisk.getHeatLevel(54), { level: 'Extreme Danger', adjustment: 4 });
+});
+
+test('getCategory uses the AQHI bands', () => {
+  assert.equal(healthRisk.getCategory(3), 'Low');
+  assert.equal(healthRisk.getCategory(4), 'Moderate');
+  assert.equal(healthRisk.getCategory(10), 'High');
+  assert.equal(healthRisk.getCategory(11), 'Very High');
+  assert.equal(healthRisk.getCategory(null), 'Unknown');
+});
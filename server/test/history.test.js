@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const history = require('../history');
+
+test('parseTime accepts ISO strings, epoch ms and Dates', () => {
+  assert.equal(history.parseTime('2024-01-01T00:00:00Z'), Date.UTC(2024, 0, 1));
+  assert.equal(history.parseTime('1704067200000'), Date.UTC(2024, 0, 1));
+  assert.equal(history.parseTime(new Date(Date.UTC(2024, 0, 1))), Date.UTC(2024, 0, 1));
+});
+
+test('parseTime returns null for empty and unrepresentable values', () => {
+  assert.equal(history.parseTime(''), null);
+  assert.equal(history.parseTime(undefined), null);
+  assert.equal(history.parseTime('yesterday'), null);
+  assert.equal(history.parseTime('99999999999999999999'), null);
+});
+
+test('parseRange defaults to the last DEFAULT_WINDOW_MS', () => {
+  const before = Date.now();
+  const { from, to } = history.parseRange({});
+  assert.ok(to >= before && to <= Date.now());
+  assert.equal(to - from, history.DEFAULT_WINDOW_MS);
+});
+
+test('parseRange defaults `from` relative to an explicit `to`', () => {
+  const to = Date.UTC(2024, 0, 2);
+  assert.deepEqual(history.parseRange({ to: String(to) }), { from: to - history.DEFAULT_WINDOW_MS, to });
+});
+
+test('parseRange rejects unparseable bounds', () => {
+  assert.match(history.parseRange({ from: 'nope' }).error, /ISO timestamps or epoch ms/);
+  assert.match(history.parseRange({ to: '' }).error, /ISO timestamps or epoch ms/);
+});
+
+test('parseRange rejects `from` after `to`', () => {
+  const range = history.parseRange({ from: '2024-01-02T00:00:00Z', to: '2024-01-01T00:00:00Z' });
+  assert.equal(range.error, '`from` must be before `to`.');
+});
+
+test('parseInterval reads m/h/d steps and rejects zero or unknown units', () => {
+  assert.equal(history.parseInterval('raw'), null);
+  assert.equal(history.parseInterval(undefined), null);
+  assert.equal(history.parseInterval('15m'), 15 * 60 * 1000);
+  assert.equal(history.parseInterval('2h'), 2 * 60 * 60 * 1000);
+  assert.equal(history.parseInterval('1d'), 24 * 60 * 60 * 1000);
+  assert.equal(history.parseInterval('0h'), undefined);
+  assert.equal(history.parseInterval('5s'), undefined);
+});
+
+test('recordReadings upserts by station and observation time', () => {
+  const observedAt = Date.UTC(2024, 0, 1, 12);
+  history.recordReading({ id: 'h-1', lastUpdated: observedAt, aqi: 80, pm25: 25 });
+  history.recordReading({ id: 'h-1', lastUpdated: observedAt, aqi: 90 });
+
+  const points = history.getHistory('h-1', { from: observedAt - 1, to: observedAt + 1 });
+  assert.equal(points.length, 1);
+  assert.equal(points[0].aqi, 90);
+  assert.equal(points[0].pm25, 25, 'a later read without pollutants keeps the stored ones');
+  assert.equal(points[0].raw, null);
+});
+
+test('getHistory averages readings into interval buckets', () => {
+  const hour = Date.UTC(2024, 0, 1, 6);
+  history.recordReadings([
+    { id: 'h-2', lastUpdated: hour, aqi: 50 },
+    { id: 'h-2', lastUpdated: hour + 30 * 60 * 1000, aqi: 71 },
+    { id: 'h-2', lastUpdated: hour + 60 * 60 * 1000, aqi: 100 },
+  ]);
+
+  const points = history.getHistory('h-2', { from: hour, to: hour + 2 * 60 * 60 * 1000, interval: 60 * 60 * 1000 });
+  assert.deepEqual(points.map(p => [p.time, p.aqi, p.samples]), [
+    ['2024-01-01T06:00:00.000Z', 60.5, 2],
+    ['2024-01-01T07:00:00.000Z', 100, 1],
+  ]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { regions, store } = require('../ingestion');
+
+const mumbai = { south: 18.9, west: 72.8, north: 19.1, east: 72.9 };
+
+function findRegion(id) {
+  return regions.listRegions().find(r => r.id === id);
+}
+
+function okRun(regionId, finishedAt) {
+  return { regionId, source: 'aqi', provider: 'test', slot: finishedAt, startedAt: finishedAt, finishedAt, status: 'ok', records: 1 };
+}
+
+test('regions are loaded with their bounds and per-source schedules', () => {
+  const mmr = findRegion('mmr');
+  assert.deepEqual(mmr.bounds, { south: 18.6, west: 72.7, north: 19.5, east: 73.3 });
+  assert.equal(mmr.sources.aqi.intervalMs, 15 * 60 * 1000);
+  assert.equal(mmr.sources.weather.intervalMs, 30 * 60 * 1000);
+  assert.ok(mmr.sources.aqi.jitterMs < mmr.sources.aqi.intervalMs);
+  assert.deepEqual(regions.SOURCES, ['aqi', 'weather']);
+});
+
+test('a region is only served from the store after a recent successful run', (t) => {
+  const now = 1_700_000_000_000;
+  t.mock.method(Date, 'now', () => now);
+  assert.equal(store.findCoveringRegion('aqi', 'test', mumbai), null);
+
+  store.recordRun({ ...okRun('mmr', now - 1000), status: 'error', error: 'upstream down' });
+  assert.equal(store.findCoveringRegion('aqi', 'test', mumbai), null);
+  assert.equal(store.getLastRun('mmr', 'aqi', 'test').status, 'error');
+
+  store.recordRun(okRun('mmr', now - 500));
+  assert.equal(store.findCoveringRegion('aqi', 'test', mumbai).id, 'mmr');
+  assert.equal(store.findRegionAt('aqi', 'test', 19.0, 72.85).id, 'mmr');
+  assert.equal(store.findCoveringRegion('aqi', 'other-provider', mumbai), null);
+  assert.equal(store.findCoveringRegion('aqi', 'test', { ...mumbai, north: 20 }), null);
+});
+
+test('stored data goes stale after two intervals plus jitter', (t) => {
+  const mmr = findRegion('mmr');
+  const finishedAt = 1_700_100_000_000;
+  const maxAge = store.getMaxAge(mmr, 'aqi');
+  assert.equal(maxAge, 2 * mmr.sources.aqi.intervalMs + mmr.sources.aqi.jitterMs);
+
+  let now = finishedAt + maxAge;
+  t.mock.method(Date, 'now', () => now);
+  store.recordRun(okRun('mmr', finishedAt));
+  assert.equal(store.findRegionAt('aqi', 'test', 19.0, 72.85).id, 'mmr');
+  now += 1;
+  assert.equal(store.findRegionAt('aqi', 'test', 19.0, 72.85), null);
+});
+
+test('a run replaces the stations stored for its region', (t) => {
+  let now = 1_700_200_000_000;
+  t.mock.method(Date, 'now', () => now);
+  store.replaceSnapshots('test', 'mmr', [
+    { id: 1, lat: 19.0, lng: 72.85, aqi: 80 },
+    { id: 2, lat: 19.05, lng: 72.88, aqi: 95 },
+    { id: 3, lat: null, lng: null, aqi: 50 },
+  ]);
+  assert.deepEqual(store.getSnapshots('test', mumbai).map(s => s.id).sort(), [1, 2]);
+
+  now += 60000;
+  store.replaceSnapshots('test', 'mmr', [{ id: 1, lat: 19.0, lng: 72.85, aqi: 85 }]);
+  assert.deepEqual(store.getSnapshots('test', mumbai), [{ id: 1, lat: 19.0, lng: 72.85, aqi: 85 }]);
+});
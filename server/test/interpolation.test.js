@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const interpolation = require('../interpolation');
+
+const BOUNDS = { south: 19.0, west: 72.8, north: 19.1, east: 72.9 };
+const STATIONS = [
+  { lat: 19.02, lng: 72.82, value: 60 },
+  { lat: 19.08, lng: 72.88, value: 120 },
+  { lat: 19.02, lng: 72.88, value: 90 },
+  { lat: 19.02, lng: 72.88, value: 110 },
+];
+
+test('parseMethod and parseCellSize validate the query', () => {
+  assert.equal(interpolation.parseMethod(undefined), 'idw');
+  assert.equal(interpolation.parseMethod('Kriging'), 'kriging');
+  assert.equal(interpolation.parseMethod('spline'), undefined);
+  assert.equal(interpolation.parseCellSize(undefined), 1);
+  assert.equal(interpolation.parseCellSize('0.5'), 0.5);
+  assert.equal(interpolation.parseCellSize('0.05'), undefined);
+  assert.equal(interpolation.parseCellSize('51'), undefined);
+  assert.equal(interpolation.parseCellSize('abc'), undefined);
+});
+
+test('estimateAt is exact at a station and averages co-located stations', () => {
+  assert.equal(interpolation.estimateAt(STATIONS, [72.82, 19.02]), 60);
+  assert.equal(interpolation.estimateAt(STATIONS, [72.88, 19.02]), 100);
+});
+
+test('estimateAt stays within the station range and is null far from every station', () => {
+  const value = interpolation.estimateAt(STATIONS, [72.85, 19.05]);
+  assert.ok(value > 60 && value < 120);
+  assert.equal(interpolation.estimateAt(STATIONS, [73.5, 19.05]), null);
+  assert.equal(interpolation.estimateAt([], [72.85, 19.05]), null);
+});
+
+test('buildGrid covers the bounds with roughly square cells', () => {
+  const grid = interpolation.buildGrid(STATIONS, BOUNDS, { cellSizeKm: 2 });
+  assert.equal(grid.method, 'idw');
+  assert.equal(grid.rows, 6);
+  assert.equal(grid.cols, 6);
+  assert.equal(grid.values.length, grid.rows);
+  for (const row of grid.values) {
+    assert.equal(row.length, grid.cols);
+    for (const v of row) assert.ok(v >= 60 && v <= 120);
+  }
+});
+
+test('cells beyond MAX_DISTANCE_KM from every station are null', () => {
+  const far = { south: 19.0, west: 72.8, north: 19.1, east: 73.3 };
+  const grid = interpolation.buildGrid([{ lat: 19.05, lng: 72.81, value: 50 }], far, { cellSizeKm: 5 });
+  assert.equal(grid.values[0][0], 50);
+  assert.equal(grid.values[0][grid.cols - 1], null);
+});
+
+test('kriging reproduces a constant field', () => {
+  const flat = STATIONS.map(s => ({ ...s, value: 80 }));
+  const grid = interpolation.buildGrid(flat, BOUNDS, { method: 'kriging', cellSizeKm: 2 });
+  assert.equal(grid.method, 'kriging');
+  assert.ok(grid.values.flat().every(v => v === 80));
+});
+
+test('buildGrid rejects oversized grids and kriging with too few stations', () => {
+  assert.match(interpolation.buildGrid(STATIONS, BOUNDS, { cellSizeKm: 0.1 }).error, /max 10000/);
+  assert.match(interpolation.buildGrid(STATIONS.slice(0, 2), BOUNDS, { method: 'kriging' }).error, /at least 3 stations/);
+});
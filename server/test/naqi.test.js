@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const naqi = require('../aqi/naqi');
+
+test('sub-indices interpolate within the CPCB bands', () => {
+  assert.equal(naqi.subIndex('pm25', 0), 0);
+  assert.equal(naqi.subIndex('pm25', 30), 50);
+  assert.equal(naqi.subIndex('pm25', 45), 75);
+  assert.equal(naqi.subIndex('pm25', 60), 100);
+  assert.equal(naqi.subIndex('pm25', 90), 200);
+  assert.equal(naqi.subIndex('pm10', 100), 100);
+  assert.equal(naqi.subIndex('pm10', 250), 200);
+});
+
+test('concentrations past the Severe band cap at 500', () => {
+  assert.equal(naqi.subIndex('pm25', 380), 500);
+  assert.equal(naqi.subIndex('pm25', 381), 500);
+  assert.equal(naqi.subIndex('pm25', null), null);
+});
+
+test('gases are converted from ppb / ppm to CPCB units', () => {
+  const result = naqi.computeNaqi({ pm25: 45, no2: 80 * 24.45 / 46.01, co: 1 });
+  assert.equal(result.subIndices.no2, 100);
+  assert.equal(result.subIndices.co, 57);
+});
+
+test('the index needs three pollutants including PM2.5 or PM10', () => {
+  const tooFew = naqi.computeNaqi({ pm25: 45, no2: 10 });
+  assert.equal(tooFew.aqi, null);
+  assert.equal(tooFew.category, null);
+  assert.equal(tooFew.pollutantCount, 2);
+
+  assert.equal(naqi.computeNaqi({ no2: 10, so2: 10, o3: 10 }).aqi, null);
+
+  const enough = naqi.computeNaqi({ pm25: 45, pm10: 40, no2: 10 });
+  assert.equal(enough.aqi, 75);
+  assert.equal(enough.dominantPollutant, 'pm25');
+  assert.equal(enough.category, 'Satisfactory');
+});
+
+test('getCategory follows the CPCB bands', () => {
+  assert.equal(naqi.getCategory(null), null);
+  assert.equal(naqi.getCategory(50), 'Good');
+  assert.equal(naqi.getCategory(51), 'Satisfactory');
+  assert.equal(naqi.getCategory(201), 'Poor');
+  assert.equal(naqi.getCategory(500), 'Severe');
+});
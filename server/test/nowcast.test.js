@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const nowcast = require('../aqi/nowcast');
+
+test('a steady series is its own NowCast', () => {
+  assert.equal(nowcast.nowcastConcentration([10, 10, 10, 10]), 10);
+});
+
+test('the weight is min/max over the available hours, floored at 0.5', () => {
+  assert.equal(Math.round(nowcast.nowcastConcentration([12, 10, 8]) * 1000) / 1000, 10.526);
+  assert.equal(nowcast.nowcastConcentration([40, 10]), 30);
+  assert.equal(nowcast.nowcastConcentration([0, 0]), 0);
+});
+
+test('two of the three most recent hours are required', () => {
+  assert.equal(nowcast.nowcastConcentration([null, null, 10, 10]), null);
+  assert.equal(nowcast.nowcastConcentration([10, null, 10]), 10);
+  assert.equal(nowcast.nowcastConcentration([]), null);
+});
+
+test('only the last HOURS hours count', () => {
+  const series = [...new Array(nowcast.HOURS).fill(10), 1000];
+  assert.equal(nowcast.nowcastConcentration(series), 10);
+});
+
+test('computeNowcast scores the higher particulate sub-index', () => {
+  const result = nowcast.computeNowcast({ pm25: [12, 10, 8], pm10: [40, 40] });
+  assert.deepEqual(result, { aqi: 54, dominantPollutant: 'pm25', pm25: 10.5, pm10: 40 });
+  assert.deepEqual(nowcast.computeNowcast({}), { aqi: null, dominantPollutant: null, pm25: null, pm10: null });
+});
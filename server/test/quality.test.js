@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const history = require('../history');
+const quality = require('../quality');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 1, 12);
+
+function station(id, aqi, lat = 19.0, lng = 72.8, lastUpdated = new Date(NOW).toISOString()) {
+  return { id, aqi, lat, lng, lastUpdated };
+}
+
+const NEARBY = [station('n1', 80, 19.01, 72.8), station('n2', 90, 19.0, 72.81), station('n3', 85, 18.99, 72.8)];
+
+const codes = result => result.flags.map(f => f.code);
+
+test('readings outside 0–500 are out of range and skip the spatial check', () => {
+  const result = quality.checkStation(station('s', 999), NEARBY, []);
+  assert.equal(result.flagged, true);
+  assert.deepEqual(codes(result), ['out_of_range']);
+});
+
+test('a reading far from the median of its neighbours is a spatial outlier', () => {
+  const result = quality.checkStation(station('s', 300), NEARBY, []);
+  assert.deepEqual(codes(result), ['spatial_outlier']);
+  assert.match(result.flags[0].detail, /median of 85 from 3 stations within 10 km/);
+});
+
+test('small absolute differences and distant or too few neighbours are not outliers', () => {
+  const quiet = [station('n1', 30, 19.01, 72.8), station('n2', 40, 19.0, 72.81)];
+  assert.equal(quality.checkStation(station('s', 12), quiet, []).flagged, false);
+
+  const distant = NEARBY.map(n => ({ ...n, lat: n.lat + 0.3 }));
+  assert.equal(quality.checkStation(station('s', 300), distant, []).flagged, false);
+  assert.equal(quality.checkStation(station('s', 300), NEARBY.slice(0, 1), []).flagged, false);
+});
+
+test('the station itself does not count as its own neighbour', () => {
+  const s = station('s', 300);
+  assert.equal(quality.checkStation(s, [s, s, NEARBY[0]], []).flagged, false);
+});
+
+test('a jump that doubles the previous stored reading is a spike', () => {
+  const recent = [{ observedAt: NOW, aqi: 250 }, { observedAt: NOW - HOUR, aqi: 100 }];
+  const result = quality.checkStation(station('s', 250), [], recent);
+  assert.deepEqual(codes(result), ['spike']);
+  assert.equal(result.flags[0].detail, 'AQI went from 100 to 250 in 60 min');
+
+  const old = [{ observedAt: NOW - 4 * HOUR, aqi: 100 }];
+  assert.equal(quality.checkStation(station('s', 250), [], old).flagged, false);
+});
+
+test('the same value for several hours is stuck', () => {
+  const recent = Array.from({ length: 6 }, (_, i) => ({ observedAt: NOW - i * HOUR, aqi: 42 }));
+  assert.deepEqual(codes(quality.checkStation(station('s', 42), [], recent)), ['stuck_value']);
+  assert.equal(quality.checkStation(station('s', 42), [], recent.slice(0, 5)).flagged, false);
+});
+
+test('stations without an AQI or position are never flagged', () => {
+  assert.deepEqual(quality.checkStation({ id: 's', aqi: null, lat: 19, lng: 72.8 }, NEARBY), { id: 's', aqi: null, lat: 19, lng: 72.8, flagged: false, flags: [] });
+});
+
+test('checkStations reads the stored history for the whole batch', () => {
+  history.recordReadings([
+    { id: 'q-spike', lastUpdated: NOW - HOUR, aqi: 60 },
+    { id: 'q-spike', lastUpdated: NOW, aqi: 200 },
+    ...Array.from({ length: 6 }, (_, i) => ({ id: 'q-stuck', lastUpdated: NOW - i * HOUR, aqi: 55 })),
+  ]);
+  const stations = [station('q-spike', 200, 19.5, 73.5), station('q-stuck', 55, 19.6, 73.6), station('q-new', 70)];
+  const [spike, stuck, fresh] = quality.checkStations(stations, stations);
+  assert.deepEqual(codes(spike), ['spike']);
+  assert.deepEqual(codes(stuck), ['stuck_value']);
+  assert.equal(fresh.flagged, false);
+});
+
+test('parseExcludeFlagged defaults to true', () => {
+  assert.equal(quality.parseExcludeFlagged(undefined), true);
+  assert.equal(quality.parseExcludeFlagged('0'), false);
+  assert.equal(quality.parseExcludeFlagged('false'), false);
+  assert.equal(quality.parseExcludeFlagged('maybe'), undefined);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STREAM_INTERVAL_MS = '50';
+const stream = require('../stream');
+const floodSites = require('../floodSites');
+
+const MUMBAI = { south: 18.89, west: 72.77, north: 19.27, east: 73.06 };
+
+// Collects the SSE events written to a response
+function fakeResponse() {
+  const events = [];
+  return {
+    events,
+    write(chunk) {
+      const match = /^event: (.+)\ndata: (.+)\n\n$/.exec(chunk);
+      if (match) events.push({ event: match[1], data: JSON.parse(match[2]) });
+    },
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(check) {
+  for (let i = 0; i < 100 && !check(); i++) await sleep(10);
+  assert.ok(check(), 'timed out waiting for a stream event');
+}
+
+test('a subscriber gets a full snapshot, then only what changed', async (t) => {
+  const res = fakeResponse();
+  const sub = stream.subscribe(res, { bounds: MUMBAI, layers: ['flood'] });
+  t.after(() => stream.unsubscribe(sub));
+
+  await waitFor(() => res.events.some(e => e.event === 'flood'));
+  assert.deepEqual(res.events[0], { event: 'ready', data: { layers: ['flood'], intervalMs: 50 } });
+  const snapshot = res.events.find(e => e.event === 'flood').data;
+  assert.equal(snapshot.full, true);
+  assert.equal(snapshot.stations.length, floodSites.listSites(MUMBAI).length);
+
+  floodSites.recordReadings('f1', [{ waterLevel: 0.8 }]);
+  await waitFor(() => res.events.filter(e => e.event === 'flood').length > 1);
+  const update = res.events.filter(e => e.event === 'flood')[1].data;
+  assert.equal(update.full, false);
+  assert.deepEqual(update.stations.map(s => [s.id, s.riskLevel]), [['f1', 'Severe']]);
+  assert.deepEqual(update.removed, []);
+
+  await sleep(150);
+  assert.equal(res.events.filter(e => e.event === 'flood').length, 2, 'unchanged ticks send nothing');
+});
+
+test('a site that leaves the bounds is listed as removed', async (t) => {
+  const res = fakeResponse();
+  const sub = stream.subscribe(res, { bounds: MUMBAI, layers: ['flood'] });
+  t.after(() => stream.unsubscribe(sub));
+  await waitFor(() => res.events.some(e => e.event === 'flood'));
+
+  floodSites.updateSite('f5', { coordinates: [77.2, 28.6] });
+  await waitFor(() => res.events.filter(e => e.event === 'flood').length > 1);
+  assert.deepEqual(res.events.filter(e => e.event === 'flood')[1].data, { full: false, stations: [], removed: ['f5'] });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const tileCache = require('../tileCache');
+
+const MUMBAI = { south: 18.9, west: 72.8, north: 19.2, east: 73.0 };
+
+function loaderFor(stations) {
+  const calls = [];
+  const loader = async (bounds) => {
+    calls.push(bounds);
+    return stations.filter(s => s.lat >= bounds.south && s.lat < bounds.north && s.lng >= bounds.west && s.lng < bounds.east);
+  };
+  return { loader, calls };
+}
+
+const STATIONS = [
+  { id: 1, lat: 19.0, lng: 72.85 },
+  { id: 2, lat: 19.1, lng: 72.95 },
+  { id: 3, lat: 19.5, lng: 72.85 },
+];
+
+test('tilesForBounds snaps the bounds onto a grid sized by their span', () => {
+  const tiles = tileCache.tilesForBounds(MUMBAI);
+  assert.deepEqual(tiles.map(t => t.key), ['0.25:291:75', '0.25:291:76', '0.25:292:75', '0.25:292:76']);
+  assert.deepEqual(tiles[0].bounds, { south: 18.75, west: 72.75, north: 19, east: 73 });
+  assert.ok(tileCache.tilesForBounds({ south: 0, west: 0, north: 10, east: 10 }).every(t => t.key.startsWith('4:')));
+});
+
+test('tiles are loaded once and later requests are served from the cache', async (t) => {
+  tileCache.clear();
+  t.after(() => tileCache.clear());
+  const { loader, calls } = loaderFor(STATIONS);
+
+  const first = await tileCache.getStations('test', MUMBAI, loader);
+  assert.equal(first.status, 'MISS');
+  assert.deepEqual(first.stations.map(s => s.id).sort(), [1, 2], 'stations outside the bounds are dropped');
+  assert.equal(calls.length, 4);
+
+  const second = await tileCache.getStations('test', MUMBAI, loader);
+  assert.equal(second.status, 'HIT');
+  assert.equal(calls.length, 4);
+});
+
+test('concurrent requests for a tile share one load', async (t) => {
+  tileCache.clear();
+  t.after(() => tileCache.clear());
+  const { loader, calls } = loaderFor(STATIONS);
+
+  await Promise.all([tileCache.getStations('test', MUMBAI, loader), tileCache.getStations('test', MUMBAI, loader)]);
+  assert.equal(calls.length, 4);
+});
+
+test('an expired tile is still served when reloading it fails', async (t) => {
+  tileCache.clear();
+  t.after(() => tileCache.clear());
+  const { loader } = loaderFor(STATIONS);
+  await tileCache.getStations('test', MUMBAI, loader);
+
+  const later = Date.now() + 24 * 60 * 60 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  const result = await tileCache.getStations('test', MUMBAI, async () => { throw new Error('upstream down'); });
+  assert.equal(result.status, 'STALE');
+  assert.deepEqual(result.stations.map(s => s.id).sort(), [1, 2]);
+});
+
+test('a failed first load is an error', async (t) => {
+  tileCache.clear();
+  t.after(() => tileCache.clear());
+  await assert.rejects(tileCache.getStations('test', MUMBAI, async () => { throw new Error('upstream down'); }), /upstream down/);
+});
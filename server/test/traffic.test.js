@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const traffic = require('../traffic');
+
+const MINUTE = 60 * 1000;
+const SEGMENT = 'weh-andheri-vileparle';
+
+test('validateSample checks the segment, speed and time', () => {
+  assert.equal(traffic.validateSample({ segmentId: SEGMENT, speed: 42 }), null);
+  assert.match(traffic.validateSample({ segmentId: 'nowhere', speed: 42 }), /Unknown `segmentId`/);
+  assert.match(traffic.validateSample({ segmentId: SEGMENT, speed: 250 }), /from 0 to 200/);
+  assert.match(traffic.validateSample({ segmentId: SEGMENT, speed: 42, observedAt: Date.now() + 10 * MINUTE }), /cannot be in the future/);
+  assert.match(traffic.validateSample(null), /JSON object/);
+});
+
+test('segments without recent samples have no congestion estimate', () => {
+  const segment = traffic.listSegments().find(s => s.id === 'weh-vileparle-santacruz');
+  assert.equal(segment.speed, null);
+  assert.equal(segment.congestionLevel, 'Unknown');
+  assert.equal(segment.clearanceMinutes, null);
+  assert.ok(segment.lengthKm > 0 && segment.freeFlowMinutes > 0);
+});
+
+test('the current speed averages the samples in the window and sets the congestion level', () => {
+  traffic.recordSamples([
+    { segmentId: SEGMENT, speed: 10, observedAt: Date.now() - traffic.SAMPLE_WINDOW_MS - MINUTE },
+    { segmentId: SEGMENT, speed: 30, observedAt: Date.now() - 2 * MINUTE },
+    { segmentId: SEGMENT, speed: 20, observedAt: Date.now() - MINUTE },
+    { segmentId: SEGMENT, speed: 90, observedAt: Date.now() + 60 * MINUTE },
+  ]);
+
+  const segment = traffic.getSegment(SEGMENT);
+  assert.equal(segment.speed, 25);
+  assert.equal(segment.sampleCount, 2, 'old and future-dated samples are left out');
+  assert.equal(segment.congestionLevel, 'Yellow');
+  assert.equal(segment.clearanceMinutes, Math.round((segment.lengthKm / 25) * 600) / 10);
+  assert.ok(segment.delayMinutes > 0);
+});
+
+test('stored samples come back with their congestion level', () => {
+  const segment = traffic.getSegment(SEGMENT);
+  const samples = traffic.getSamples(segment, { from: Date.now() - 5 * MINUTE, to: Date.now() });
+  assert.deepEqual(samples.map(s => [s.speed, s.congestionLevel]), [[30, 'Yellow'], [20, 'Red']]);
+});
+
+test('listSegments filters by bounds', () => {
+  assert.equal(traffic.listSegments({ south: 28.5, west: 77.0, north: 28.7, east: 77.3 }).length, 0);
+  assert.ok(traffic.listSegments({ south: 19.0, west: 72.8, north: 19.2, east: 72.9 }).some(s => s.id === SEGMENT));
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getUpstream, listUpstreams, UpstreamError } = require('../upstream');
+
+const FAST = { baseDelayMs: 1, maxDelayMs: 1, retries: 2, failureThreshold: 3, cooldownMs: 60_000 };
+
+function respondInTurn(t, statuses) {
+  let call = 0;
+  return t.mock.method(global, 'fetch', async () => {
+    const status = statuses[Math.min(call++, statuses.length - 1)];
+    return new Response(JSON.stringify({ status }), { status });
+  });
+}
+
+test('5xx responses are retried until one succeeds', async (t) => {
+  const fetchMock = respondInTurn(t, [503, 500, 200]);
+  const api = getUpstream('test-retry', FAST);
+  assert.deepEqual(await api.getJson('https://example.test/'), { status: 200 });
+  assert.equal(fetchMock.mock.callCount(), 3);
+  assert.equal(api.status().circuit, 'closed');
+});
+
+test('other 4xx responses are handed back without retrying', async (t) => {
+  const fetchMock = respondInTurn(t, [404]);
+  const response = await getUpstream('test-4xx', FAST).request('https://example.test/');
+  assert.equal(response.status, 404);
+  assert.equal(fetchMock.mock.callCount(), 1);
+});
+
+test('429 becomes a retryable UpstreamError with status 429', async (t) => {
+  respondInTurn(t, [429]);
+  await assert.rejects(getUpstream('test-429', { ...FAST, failureThreshold: 10 }).request('https://example.test/'), (err) => {
+    assert.ok(err instanceof UpstreamError);
+    assert.equal(err.status, 429);
+    assert.equal(err.upstream, 'test-429');
+    assert.equal(err.retryable, true);
+    return true;
+  });
+});
+
+test('the circuit opens after consecutive failures and then fails fast', async (t) => {
+  const fetchMock = respondInTurn(t, [500]);
+  const api = getUpstream('test-breaker', FAST);
+
+  await assert.rejects(api.request('https://example.test/'), { status: 502 });
+  assert.equal(fetchMock.mock.callCount(), 3);
+  assert.equal(api.status().circuit, 'open');
+
+  await assert.rejects(api.request('https://example.test/'), { status: 503, message: 'test-breaker is unavailable (circuit open)' });
+  assert.equal(fetchMock.mock.callCount(), 3);
+  assert.ok(listUpstreams().some(u => u.name === 'test-breaker' && u.lastError));
+});
+
+test('after the cooldown a single trial call closes the circuit again', async (t) => {
+  respondInTurn(t, [500, 500, 500, 200]);
+  const api = getUpstream('test-recover', FAST);
+  await assert.rejects(api.request('https://example.test/'));
+
+  const later = Date.now() + FAST.cooldownMs;
+  t.mock.method(Date, 'now', () => later);
+  assert.equal((await api.request('https://example.test/')).status, 200);
+  assert.equal(api.status().circuit, 'closed');
+  assert.equal(api.status().consecutiveFailures, 0);
+});
+
+test('calls beyond the concurrency limit wait for a free slot', async (t) => {
+  let active = 0;
+  let peak = 0;
+  t.mock.method(global, 'fetch', async () => {
+    peak = Math.max(peak, ++active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+    return new Response('{}');
+  });
+  const api = getUpstream('test-concurrency', { ...FAST, concurrency: 2 });
+  await Promise.all(Array.from({ length: 5 }, () => api.getJson('https://example.test/')));
+  assert.equal(peak, 2);
+});
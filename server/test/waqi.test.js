@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const waqi = require('../providers/waqi');
+
+const FEED = {
+  idx: 7021,
+  aqi: 151,
+  dominentpol: 'pm25',
+  city: { name: 'Bandra, Mumbai', geo: [19.06, 72.84] },
+  time: { iso: '2024-01-01T12:00:00+05:30' },
+  iaqi: { pm25: { v: 151 }, pm10: { v: 50 }, o3: { v: 100 }, co: { v: 51 }, t: { v: 29 } },
+  attributions: [{ name: 'MPCB', url: 'https://mpcb.gov.in' }, { name: 'World Air Quality Index Project', url: 'https://waqi.info' }],
+};
+
+test('getStation reads WAQI sub-indices back into concentrations', async (t) => {
+  process.env.WAQI_API_KEY = 'test';
+  t.mock.method(global, 'fetch', async () => new Response(JSON.stringify({ status: 'ok', data: FEED })));
+
+  const station = await waqi.getStation(7021);
+  assert.equal(station.aqi, 151);
+  assert.equal(station.pm25, 55.5);
+  assert.equal(station.pm10, 54);
+  assert.equal(station.o3, 70, 'ozone comes back in ppb');
+  assert.equal(station.co, 4.5);
+  assert.equal(station.no2, null);
+  assert.deepEqual(station.derivedPollutants, ['pm25', 'pm10', 'co', 'o3']);
+  assert.equal(station.network, 'MPCB');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const wards = require('../wards');
+
+const COLABA = [
+  { id: 1, city: 'Colaba', lat: 18.92, lng: 72.82, aqi: 100 },
+  { id: 2, city: 'Fort', lat: 18.93, lng: 72.83, aqi: 50 },
+];
+
+test('stations are averaged per ward', () => {
+  const ward = wards.aggregateWards(COLABA).find(w => w.id === 'A');
+  assert.equal(ward.aqi, 75);
+  assert.equal(ward.meanAqi, 75);
+  assert.equal(ward.maxAqi, 100);
+  assert.equal(ward.stationCount, 2);
+  assert.equal(ward.estimated, false);
+  assert.equal(ward.polygons, undefined);
+});
+
+test('wards without a station get an estimate from nearby stations', () => {
+  const ward = wards.aggregateWards(COLABA).find(w => w.id === 'B');
+  assert.equal(ward.stationCount, 0);
+  assert.equal(ward.meanAqi, null);
+  assert.ok(ward.aqi >= 50 && ward.aqi <= 100);
+  assert.equal(ward.estimated, true);
+});
+
+test('wards with no station in reach have no AQI and are not estimated', () => {
+  for (const ward of wards.aggregateWards([{ id: 3, lat: 21, lng: 79, aqi: 80 }])) {
+    assert.equal(ward.aqi, null);
+    assert.equal(ward.estimated, false);
+  }
+});
+
+test('the bundled outlines are marked approximate', () => {
+  assert.ok(wards.aggregateWards([]).every(w => w.approximate === true));
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const weather = require('../weather');
+
+const HOUR = 60 * 60 * 1000;
+const STATION = { id: 'test-colaba', name: 'Colaba', coordinates: [72.81, 18.91] };
+
+// Open-Meteo time strings are UTC without a zone suffix
+const openMeteoTime = time => new Date(time).toISOString().slice(0, 16);
+
+// Open-Meteo forecast payload for `hours` hours starting at midnight UTC today
+function forecastPayload(now = Date.now(), hours = 48) {
+  const midnight = Math.floor(now / (24 * HOUR)) * 24 * HOUR;
+  const series = fn => Array.from({ length: hours }, (_, i) => fn(i));
+  return {
+    current: {
+      time: openMeteoTime(Math.floor(now / (15 * 60 * 1000)) * 15 * 60 * 1000),
+      temperature_2m: 31.2, relative_humidity_2m: 68, precipitation: 0.2, weather_code: 61,
+      pressure_msl: 1008.4, wind_speed_10m: 14.3, wind_direction_10m: 250,
+    },
+    current_units: {
+      temperature_2m: '°C', relative_humidity_2m: '%', precipitation: 'mm',
+      pressure_msl: 'hPa', wind_speed_10m: 'km/h', wind_direction_10m: '°',
+    },
+    hourly: {
+      time: series(i => openMeteoTime(midnight + i * HOUR)),
+      temperature_2m: series(i => 25 + i / 10),
+      relative_humidity_2m: series(() => 70),
+      precipitation_probability: series(i => i),
+      precipitation: series(() => 0),
+      pressure_msl: series(() => 1009),
+      wind_speed_10m: series(() => 10),
+      wind_direction_10m: series(() => 240),
+      boundary_layer_height: series(i => 500 + i),
+    },
+    hourly_units: { boundary_layer_height: 'm' },
+  };
+}
+
+function respondWith(t, body, status = 200) {
+  t.mock.method(global, 'fetch', async () => new Response(JSON.stringify(body), { status }));
+}
+
+test('parseDays accepts 1 to MAX_FORECAST_DAYS', () => {
+  assert.equal(weather.parseDays(undefined, 1), 1);
+  assert.equal(weather.parseDays('7', 1), 7);
+  assert.equal(weather.parseDays('0', 1), undefined);
+  assert.equal(weather.parseDays('8', 1), undefined);
+  assert.equal(weather.parseDays('1.5', 1), undefined);
+});
+
+test('current conditions carry wind, humidity, pressure and the boundary layer', async (t) => {
+  const now = Date.now();
+  respondWith(t, forecastPayload(now));
+  const hour = new Date(now).getUTCHours();
+
+  const result = await weather.getWeather(STATION, 1);
+  assert.equal(result.stale, false);
+  assert.equal(result.temperature, 31.2);
+  assert.equal(result.condition, 'Rain');
+  assert.equal(result.humidity, 68);
+  assert.equal(result.pressure, 1008.4);
+  assert.equal(result.windSpeed, 14.3);
+  assert.equal(result.windDirection, 250);
+  assert.equal(result.boundaryLayerHeight, 500 + hour, 'read from the current hour of the hourly series');
+  assert.equal(result.precipitationProbability, hour);
+  assert.equal(result.units.boundaryLayerHeight, 'm');
+  assert.equal(result.forecast24h.length, 24);
+  assert.equal(result.forecast24h[0].time, openMeteoTime(Math.floor(now / HOUR) * HOUR));
+  assert.equal(result.forecast, undefined);
+});
+
+test('a multi-day request adds the hourly forecast for every day', async (t) => {
+  respondWith(t, forecastPayload(Date.now(), 24 * 8));
+  const result = await weather.getWeather(STATION, 7);
+  assert.equal(result.forecast.length, 7 * 24);
+  assert.deepEqual(Object.keys(result.forecast[0]).sort(), [
+    'boundaryLayerHeight', 'humidity', 'precipitation', 'precipitationProbability',
+    'pressure', 'temp', 'time', 'windDirection', 'windSpeed',
+  ]);
+});
+
+test('when Open-Meteo fails the last good reading is served as stale', async (t) => {
+  const station = { ...STATION, id: 'test-stale' };
+  respondWith(t, forecastPayload());
+  const fresh = await weather.getWeather(station, 1);
+
+  respondWith(t, { error: true, reason: 'Internal error' }, 400);
+  const stale = await weather.getWeather(station, 1);
+  assert.equal(stale.stale, true);
+  assert.equal(stale.observedAt, fresh.observedAt);
+  assert.equal(stale.temperature, fresh.temperature);
+  assert.deepEqual(stale.forecast24h, fresh.forecast24h);
+});
+
+test('a station that never had a good reading comes back empty instead of made up', async (t) => {
+  respondWith(t, { error: true, reason: 'Internal error' }, 400);
+  const result = await weather.getWeather({ ...STATION, id: 'test-never' }, 1);
+  assert.deepEqual(result, {
+    id: 'test-never',
+    name: 'Colaba',
+    coordinates: STATION.coordinates,
+    temperature: null,
+    condition: null,
+    icon: null,
+    observedAt: null,
+    stale: true,
+    forecast24h: [],
+  });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const weatherStations = require('../weatherStations');
+
+test('validate requires a name and [lng, lat] coordinates on create', () => {
+  assert.equal(weatherStations.validate({ name: 'Powai', coordinates: [72.9, 19.12] }), null);
+  assert.equal(weatherStations.validate({ coordinates: [72.9, 19.12] }), '`name` is required.');
+  assert.equal(weatherStations.validate({ name: 'Powai', coordinates: [72.9] }), '`coordinates` must be [lng, lat].');
+  assert.equal(weatherStations.validate({ name: 'Powai', coordinates: [19.12, 200] }), '`coordinates` are out of range.');
+  assert.match(weatherStations.validate({ name: 'Powai', coordinates: [72.9, 19.12], id: 'a b' }), /`id` may only contain/);
+});
+
+test('partial updates only check the fields they carry', () => {
+  assert.equal(weatherStations.validate({ region: 'East' }, { partial: true }), null);
+  assert.equal(weatherStations.validate({ name: '' }, { partial: true }), '`name` is required.');
+});
+
+test('the registry is seeded and filtered by bounds', () => {
+  const all = weatherStations.listStations();
+  assert.ok(all.length > 0);
+  const bounds = { south: 18.89, west: 72.77, north: 19.0, east: 72.9 };
+  const inside = weatherStations.listStations(bounds);
+  assert.ok(inside.length > 0 && inside.length < all.length);
+  assert.ok(inside.every(s => s.coordinates[1] >= 18.89 && s.coordinates[1] <= 19.0));
+});
+
+test('stations can be created, updated and deleted, and ids are unique', () => {
+  const created = weatherStations.createStation({ id: 'test-powai', name: ' Powai ', coordinates: [72.9, 19.12] });
+  assert.deepEqual(created, { id: 'test-powai', name: 'Powai', region: null, coordinates: [72.9, 19.12] });
+  assert.equal(weatherStations.createStation({ id: 'test-powai', name: 'Again', coordinates: [72.9, 19.12] }), null);
+
+  assert.deepEqual(weatherStations.updateStation('test-powai', { region: 'East' }).region, 'East');
+  assert.equal(weatherStations.updateStation('missing', { region: 'East' }), null);
+
+  weatherStations.saveObservation('test-powai', Date.now(), { temperature: 30 });
+  assert.deepEqual(weatherStations.getLastObservation('test-powai'), { temperature: 30 });
+
+  assert.equal(weatherStations.deleteStation('test-powai'), true);
+  assert.equal(weatherStations.getStation('test-powai'), null);
+  assert.equal(weatherStations.getLastObservation('test-powai'), null);
+});
@@ -0,0 +1,143 @@
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { isInBounds } = require('./geo');
+
+// Station lists are cached per fixed map tile instead of per requested bounding box, so
+// panning the map hits the same keys again and again. Each request is snapped onto the
+// tile grid, missing tiles are loaded, and the stations are stitched back together.
+//
+// Freshness per tile:
+//   age < TTL                -> served from cache
+//   TTL <= age < TTL + STALE -> served from cache, refreshed in the background
+//   older / missing          -> loaded before responding
+const TTL_MS = Number(process.env.AQI_CACHE_TTL_MS) || 60_000;
+const STALE_MS = Number(process.env.AQI_CACHE_STALE_MS) || 10 * 60_000;
+const MAX_ENTRIES = 1000;
+
+// Tile edge lengths in degrees, smallest first. The size follows the span of the request
+// (roughly the map zoom), not its position, so panning at one zoom level keeps reusing the
+// same grid. A request covers at most (TILES_ACROSS + 1)² tiles.
+const TILE_SIZES = [0.25, 0.5, 1, 2, 4, 8, 16];
+const TILES_ACROSS = 3;
+
+const entries = new Map(); // key -> { stations, fetchedAt, pending }
+
+function tileRange(bounds, size) {
+  return {
+    x0: Math.floor(bounds.west / size),
+    x1: Math.floor(bounds.east / size),
+    y0: Math.floor(bounds.south / size),
+    y1: Math.floor(bounds.north / size),
+  };
+}
+
+function tilesForBounds(bounds) {
+  const span = Math.max(bounds.north - bounds.south, bounds.east - bounds.west);
+  const size = TILE_SIZES.find(candidate => candidate * TILES_ACROSS >= span) ?? TILE_SIZES[TILE_SIZES.length - 1];
+
+  const { x0, x1, y0, y1 } = tileRange(bounds, size);
+  const tiles = [];
+  for (let x = x0; x <= x1; x++) {
+    for (let y = y0; y <= y1; y++) {
+      tiles.push({
+        key: `${size}:${x}:${y}`,
+        bounds: { south: y * size, west: x * size, north: (y + 1) * size, east: (x + 1) * size },
+      });
+    }
+  }
+  return tiles;
+}
+
+function store(key, stations) {
+  // Map keeps insertion order, so deleting first makes this the most recent entry
+  entries.delete(key);
+  entries.set(key, { stations, fetchedAt: Date.now(), pending: null });
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// Load one tile, sharing the in-flight promise with any concurrent request for it
+function load(key, tile, loader) {
+  const existing = entries.get(key);
+  if (existing?.pending) return existing.pending;
+
+  const pending = loader(tile.bounds)
+    .then((stations) => {
+      store(key, stations);
+      return stations;
+    })
+    .catch((err) => {
+      const entry = entries.get(key);
+      if (entry) entry.pending = null;
+      throw err;
+    });
+
+  if (existing) {
+    existing.pending = pending;
+  } else {
+    entries.set(key, { stations: null, fetchedAt: 0, pending });
+  }
+  return pending;
+}
+
+async function getTile(namespace, tile, loader) {
+  const result = await lookupTile(namespace, tile, loader);
+  metrics.cacheRequests.inc({ cache: 'aqi-tiles', result: result.status.toLowerCase() });
+  return result;
+}
+
+async function lookupTile(namespace, tile, loader) {
+  const key = `${namespace}:${tile.key}`;
+  const entry = entries.get(key);
+  const age = entry?.stations ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (age < TTL_MS) {
+    return { stations: entry.stations, status: 'HIT' };
+  }
+
+  if (age < TTL_MS + STALE_MS) {
+    load(key, tile, loader).catch((err) => {
+      logger.warn('background tile refresh failed', { tile: key, err });
+    });
+    return { stations: entry.stations, status: 'STALE' };
+  }
+
+  try {
+    return { stations: await load(key, tile, loader), status: 'MISS' };
+  } catch (err) {
+    // Better an old answer than none when the upstream is down
+    if (entry?.stations) {
+      logger.warn('tile load failed, serving expired copy', { tile: key, err });
+      return { stations: entry.stations, status: 'STALE' };
+    }
+    throw err;
+  }
+}
+
+// Stations inside `bounds`, assembled from cached tiles. `namespace` separates caches
+// (e.g. per provider); `loader(tileBounds)` fetches one tile from upstream.
+// `status` is the worst freshness seen across the tiles: MISS > STALE > HIT.
+async function getStations(namespace, bounds, loader) {
+  const results = await Promise.all(
+    tilesForBounds(bounds).map(tile => getTile(namespace, tile, loader))
+  );
+
+  const byId = new Map();
+  for (const { stations } of results) {
+    for (const s of stations) {
+      if (!byId.has(s.id) && isInBounds(s.lat, s.lng, bounds)) byId.set(s.id, s);
+    }
+  }
+
+  const statuses = results.map(r => r.status);
+  const status = statuses.includes('MISS') ? 'MISS' : statuses.includes('STALE') ? 'STALE' : 'HIT';
+
+  return { stations: [...byId.values()], status };
+}
+
+function clear() {
+  entries.clear();
+}
+
+module.exports = { getStations, tilesForBounds, clear };
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const logger = require('./logger');
+const { isInBounds, distanceKm } = require('./geo');
+const { MAX_CLOCK_SKEW_MS, parseTime } = require('./history');
+
+// Road-segment model for the traffic layer. Segments come from a GeoJSON file of LineStrings
+// (properties: id, name, road, freeFlowSpeed in km/h); speed samples are ingested through
+// /api/traffic/speeds. Each segment is served as:
+// { id, name, road, paths, lengthKm, freeFlowSpeed, speed, congestionLevel,
+//   clearanceMinutes, freeFlowMinutes, delayMinutes, sampleCount, observedAt }
+const SEGMENTS_PATH = process.env.TRAFFIC_SEGMENTS_PATH || path.join(__dirname, 'data', 'road-segments.geojson');
+
+// Only samples this recent count towards a segment's current speed
+const SAMPLE_WINDOW_MS = Number(process.env.TRAFFIC_SAMPLE_WINDOW_MS) || 15 * 60 * 1000;
+
+// Current speed as a share of free-flow speed at or above which a segment is Green / Yellow.
+// Anything slower is Red.
+const CONGESTION_RATIOS = { Green: 0.7, Yellow: 0.4 };
+
+function pathLengthKm(line) {
+  let km = 0;
+  for (let i = 1; i < line.length; i++) km += distanceKm(line[i - 1], line[i]);
+  return km;
+}
+
+function loadSegments(file) {
+  const collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return (collection.features || []).map((feature, i) => {
+    const { id, name, road, freeFlowSpeed } = feature.properties || {};
+    const { type, coordinates } = feature.geometry || {};
+    const paths = type === 'LineString' ? [coordinates] : type === 'MultiLineString' ? coordinates : null;
+
+    if (typeof id !== 'string' || !id) throw new Error(`${path.basename(file)}: feature ${i} has no string \`id\``);
+    if (!paths) throw new Error(`${path.basename(file)}: segment "${id}" must be a LineString or MultiLineString`);
+    if (!(freeFlowSpeed > 0)) throw new Error(`${path.basename(file)}: segment "${id}" needs a positive \`freeFlowSpeed\``);
+
+    return {
+      id,
+      name: name || id,
+      road: road ?? null,
+      paths,
+      lengthKm: Math.round(paths.reduce((km, line) => km + pathLengthKm(line), 0) * 100) / 100,
+      freeFlowSpeed,
+    };
+  });
+}
+
+const segments = loadSegments(SEGMENTS_PATH);
+const segmentsById = new Map(segments.map(s => [s.id, s]));
+logger.info('loaded road segments', { count: segments.length, file: path.basename(SEGMENTS_PATH) });
+
+function getCongestionLevel(speed, freeFlowSpeed) {
+  if (speed === null) return 'Unknown';
+  const ratio = speed / freeFlowSpeed;
+  if (ratio >= CONGESTION_RATIOS.Green) return 'Green';
+  if (ratio >= CONGESTION_RATIOS.Yellow) return 'Yellow';
+  return 'Red';
+}
+
+// Minutes to drive the segment at `speed` km/h; null at a standstill
+function travelMinutes(lengthKm, speed) {
+  return speed > 0 ? Math.round((lengthKm / speed) * 60 * 10) / 10 : null;
+}
+
+const currentSpeed = db.prepare(`
+  SELECT AVG(speed) AS speed, COUNT(*) AS count, MAX(observed_at) AS observed_at
+  FROM traffic_speeds
+  WHERE segment_id = ? AND observed_at > ? AND observed_at <= ?
+`);
+
+// The segment with its current state, from the samples inside the last SAMPLE_WINDOW_MS.
+// Samples dated ahead of the clock (beyond the allowed skew) are left out, so they cannot hold
+// a segment's state. Clearance time is how long it takes to get through the segment at the
+// current speed.
+function withState(segment, now = Date.now()) {
+  const row = currentSpeed.get(segment.id, now - SAMPLE_WINDOW_MS, now + MAX_CLOCK_SKEW_MS);
+  const speed = row.count > 0 ? Math.round(row.speed * 10) / 10 : null;
+  const freeFlowMinutes = travelMinutes(segment.lengthKm, segment.freeFlowSpeed);
+  const clearanceMinutes = speed === null ? null : travelMinutes(segment.lengthKm, speed);
+
+  return {
+    ...segment,
+    speed,
+    congestionLevel: getCongestionLevel(speed, segment.freeFlowSpeed),
+    clearanceMinutes,
+    freeFlowMinutes,
+    delayMinutes: clearanceMinutes === null ? null : Math.max(0, Math.round((clearanceMinutes - freeFlowMinutes) * 10) / 10),
+    sampleCount: row.count,
+    observedAt: row.observed_at === null ? null : new Date(row.observed_at).toISOString(),
+  };
+}
+
+// All segments, or only those with a vertex inside `bounds` ({ south, west, north, east })
+function listSegments(bounds) {
+  const now = Date.now();
+  return segments
+    .filter(s => !bounds || s.paths.some(line => line.some(([lng, lat]) => isInBounds(lat, lng, bounds))))
+    .map(s => withState(s, now));
+}
+
+function getSegment(id) {
+  const segment = segmentsById.get(id);
+  return segment ? withState(segment) : null;
+}
+
+// One speed sample: { segmentId, speed (km/h), observedAt? }.
+// Returns an error message, or null when it is usable.
+function validateSample(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Each sample must be a JSON object.';
+  if (!segmentsById.has(input.segmentId)) return `Unknown \`segmentId\` "${input.segmentId}".`;
+  if (!Number.isFinite(input.speed) || input.speed < 0 || input.speed > 200) return '`speed` must be a number of km/h from 0 to 200.';
+  if (input.observedAt !== undefined) {
+    const observedAt = parseTime(input.observedAt);
+    if (observedAt === null) return '`observedAt` must be an ISO timestamp or epoch ms.';
+    if (observedAt > Date.now() + MAX_CLOCK_SKEW_MS) return '`observedAt` cannot be in the future.';
+  }
+  return null;
+}
+
+const insertSample = db.prepare(`
+  INSERT INTO traffic_speeds (segment_id, observed_at, recorded_at, speed)
+  VALUES (@segmentId, @observedAt, @recordedAt, @speed)
+`);
+
+// Stores validated samples. Samples without `observedAt` are stamped with the time they arrived.
+const recordSamples = db.transaction(samples => {
+  const recordedAt = Date.now();
+  for (const s of samples) {
+    insertSample.run({ segmentId: s.segmentId, observedAt: parseTime(s.observedAt) ?? recordedAt, recordedAt, speed: s.speed });
+  }
+});
+
+// Stored samples for a segment between `from` and `to` (epoch ms), oldest first
+function getSamples(segment, { from, to }) {
+  return db.prepare(`
+    SELECT observed_at, speed FROM traffic_speeds
+    WHERE segment_id = ? AND observed_at BETWEEN ? AND ?
+    ORDER BY observed_at
+  `).all(segment.id, from, to).map(row => ({
+    time: new Date(row.observed_at).toISOString(),
+    speed: row.speed,
+    congestionLevel: getCongestionLevel(row.speed, segment.freeFlowSpeed),
+  }));
+}
+
+module.exports = {
+  SAMPLE_WINDOW_MS,
+  listSegments,
+  getSegment,
+  validateSample,
+  recordSamples,
+  getSamples,
+};
@@ -0,0 +1,205 @@
+// Shared HTTP client for third-party APIs (WAQI, OpenAQ, Open-Meteo).
+//
+// Each upstream gets its own client with:
+//   - a concurrency limit (extra calls wait in a FIFO queue)
+//   - a per-attempt timeout
+//   - retries with exponential backoff and full jitter for timeouts, network errors,
+//     429 and 5xx responses (Retry-After is honoured when present)
+//   - a circuit breaker: after FAILURE_THRESHOLD consecutive failures calls fail fast
+//     for COOLDOWN_MS, then a single trial call decides whether to close it again
+//   - latency / error metrics per attempt and a status summary for /api/health
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const DEFAULTS = {
+  concurrency: Number(process.env.UPSTREAM_CONCURRENCY) || 4,
+  timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS) || 10_000,
+  retries: Number(process.env.UPSTREAM_RETRIES ?? 2),
+  baseDelayMs: 500,
+  maxDelayMs: 8_000,
+  failureThreshold: 5,
+  cooldownMs: 30_000,
+};
+
+class UpstreamError extends Error {
+  constructor(message, { upstream, status = 502, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.upstream = upstream;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createUpstream(name, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+
+  let active = 0;
+  const queue = [];
+  const breaker = { state: 'closed', failures: 0, openedAt: 0, trialInFlight: false };
+  const health = { lastSuccessAt: null, lastFailureAt: null, lastError: null };
+
+  function setState(state) {
+    breaker.state = state;
+    metrics.upstreamCircuitState.set({ upstream: name }, CIRCUIT_STATES[state]);
+  }
+  setState('closed');
+
+  function acquire() {
+    if (active < config.concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => queue.push(resolve));
+  }
+
+  // Hand the slot straight to the next waiter, or free it
+  function release() {
+    const next = queue.shift();
+    if (next) next();
+    else active--;
+  }
+
+  function enterBreaker() {
+    if (breaker.state === 'open') {
+      if (Date.now() - breaker.openedAt < config.cooldownMs) {
+        metrics.upstreamErrors.inc({ upstream: name, status: 'circuit_open' });
+        throw new UpstreamError(`${name} is unavailable (circuit open)`, { upstream: name, status: 503 });
+      }
+      setState('half-open');
+    }
+    if (breaker.state === 'half-open') {
+      if (breaker.trialInFlight) {
+        metrics.upstreamErrors.inc({ upstream: name, status: 'circuit_open' });
+        throw new UpstreamError(`${name} is unavailable (circuit half-open)`, { upstream: name, status: 503 });
+      }
+      breaker.trialInFlight = true;
+    }
+  }
+
+  function recordSuccess() {
+    if (breaker.state !== 'closed') logger.info('upstream circuit closed', { upstream: name });
+    setState('closed');
+    breaker.failures = 0;
+    breaker.trialInFlight = false;
+    health.lastSuccessAt = Date.now();
+  }
+
+  function recordFailure(err) {
+    breaker.failures++;
+    breaker.trialInFlight = false;
+    health.lastFailureAt = Date.now();
+    health.lastError = err.message;
+    if (breaker.state === 'half-open' || breaker.failures >= config.failureThreshold) {
+      if (breaker.state !== 'open') logger.warn('upstream circuit opened', { upstream: name, failures: breaker.failures, err });
+      setState('open');
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  function backoff(attempt, retryAfterMs) {
+    const ceiling = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+    const delay = Math.random() * ceiling;
+    return retryAfterMs !== null ? Math.max(delay, Math.min(retryAfterMs, config.maxDelayMs)) : delay;
+  }
+
+  async function attempt(url, init) {
+    await acquire();
+    const endTimer = metrics.upstreamRequestDuration.startTimer({ upstream: name });
+    let status = 'network';
+    try {
+      const response = await fetch(url, { ...init, signal: AbortSignal.timeout(config.timeoutMs) });
+      status = response.status;
+      if (response.status === 429 || response.status >= 500) {
+        throw new UpstreamError(`${name} responded with HTTP ${response.status}`, {
+          upstream: name,
+          status: response.status === 429 ? 429 : 502,
+          retryable: true,
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        });
+      }
+      return response;
+    } catch (err) {
+      if (err instanceof UpstreamError) {
+        metrics.upstreamErrors.inc({ upstream: name, status });
+        throw err;
+      }
+      const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+      if (timedOut) status = 'timeout';
+      metrics.upstreamErrors.inc({ upstream: name, status });
+      throw new UpstreamError(
+        timedOut ? `${name} timed out after ${config.timeoutMs}ms` : `${name} request failed: ${err.cause?.message ?? err.message}`,
+        { upstream: name, status: timedOut ? 504 : 502, retryable: true }
+      );
+    } finally {
+      endTimer({ status });
+      release();
+    }
+  }
+
+  // Resolves with the fetch Response for anything but 429/5xx. Other 4xx responses are
+  // returned as-is (they are the caller's problem, not the upstream's).
+  async function request(url, init = {}) {
+    for (let n = 0; ; n++) {
+      enterBreaker();
+      try {
+        const response = await attempt(url, init);
+        recordSuccess();
+        return response;
+      } catch (err) {
+        recordFailure(err);
+        if (!err.retryable || n >= config.retries) throw err;
+        await sleep(backoff(n, err.retryAfterMs));
+      }
+    }
+  }
+
+  async function getJson(url, init = {}) {
+    const response = await request(url, { ...init, headers: { Accept: 'application/json', ...init.headers } });
+    return response.json();
+  }
+
+  // Snapshot for /api/health
+  function status() {
+    return {
+      name,
+      circuit: breaker.state,
+      consecutiveFailures: breaker.failures,
+      lastSuccessAt: health.lastSuccessAt && new Date(health.lastSuccessAt).toISOString(),
+      lastFailureAt: health.lastFailureAt && new Date(health.lastFailureAt).toISOString(),
+      lastError: health.lastError,
+    };
+  }
+
+  return { name, request, getJson, status };
+}
+
+const clients = new Map();
+
+// One shared client per upstream name, so every caller of e.g. 'open-meteo' competes for
+// the same concurrency slots and trips the same breaker. Options only apply on first use.
+function getUpstream(name, options) {
+  if (!clients.has(name)) clients.set(name, createUpstream(name, options));
+  return clients.get(name);
+}
+
+// Status of every upstream client created so far
+function listUpstreams() {
+  return [...clients.values()].map(client => client.status());
+}
+
+module.exports = { getUpstream, listUpstreams, UpstreamError };
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { isInPolygon } = require('./geo');
+const { estimateAt } = require('./interpolation');
+
+// Ward-level AQI for municipal staff, who work by BMC ward rather than by station. Ward outlines
+// come from a GeoJSON file of Polygons / MultiPolygons (properties: id, name, areas). A file
+// whose outlines are only rough stand-ins says so with `"approximate": true` on the
+// FeatureCollection, as the bundled one does. Each ward is served as:
+// { id, name, areas, rings, centroid: [lng, lat], approximate, aqi, meanAqi, maxAqi,
+//   stationCount, estimated, stations: [{ id, city, aqi }] }
+//
+// `aqi` is the station mean. Wards without a station get an IDW estimate from the stations
+// around them instead (`estimated: true`, meanAqi/maxAqi null), or null (`estimated: false`)
+// when none are close.
+const WARDS_PATH = process.env.AQI_WARDS_PATH || path.join(__dirname, 'data', 'bmc-wards.geojson');
+
+// Stations this far (degrees) outside the wards still feed the estimates near the edges
+const EXTENT_PADDING_DEG = 0.1;
+
+function loadWards(file) {
+  const collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const approximate = collection.approximate === true;
+  return (collection.features || []).map((feature, i) => {
+    const { id, name, areas } = feature.properties || {};
+    const { type, coordinates } = feature.geometry || {};
+    const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : null;
+
+    if (typeof id !== 'string' || !id) throw new Error(`${path.basename(file)}: feature ${i} has no string \`id\``);
+    if (!polygons) throw new Error(`${path.basename(file)}: ward "${id}" must be a Polygon or MultiPolygon`);
+
+    // Centroid of the outline vertices, good enough to place a label or an estimate
+    const outline = polygons.flatMap(rings => rings[0].slice(0, -1));
+    const centroid = [
+      outline.reduce((sum, [lng]) => sum + lng, 0) / outline.length,
+      outline.reduce((sum, [, lat]) => sum + lat, 0) / outline.length,
+    ];
+
+    return { id, name: name || id, areas: areas ?? null, polygons, rings: polygons.flat(), centroid, approximate };
+  });
+}
+
+const wards = loadWards(WARDS_PATH);
+logger.info('loaded wards', { count: wards.length, file: path.basename(WARDS_PATH), approximate: wards.some(w => w.approximate) });
+
+// Bounds covering every ward plus EXTENT_PADDING_DEG, to load the stations for aggregateWards
+function getExtent() {
+  const vertices = wards.flatMap(w => w.rings.flat());
+  return {
+    south: Math.min(...vertices.map(([, lat]) => lat)) - EXTENT_PADDING_DEG,
+    west: Math.min(...vertices.map(([lng]) => lng)) - EXTENT_PADDING_DEG,
+    north: Math.max(...vertices.map(([, lat]) => lat)) + EXTENT_PADDING_DEG,
+    east: Math.max(...vertices.map(([lng]) => lng)) + EXTENT_PADDING_DEG,
+  };
+}
+
+// Groups `stations` ({ id, city, lat, lng, aqi }) by the ward they fall in
+function aggregateWards(stations) {
+  const withAqi = stations.filter(s => Number.isFinite(s.aqi) && Number.isFinite(s.lat) && Number.isFinite(s.lng));
+  const points = withAqi.map(s => ({ lat: s.lat, lng: s.lng, value: s.aqi }));
+
+  return wards.map(({ polygons, ...ward }) => {
+    const inWard = withAqi.filter(s => polygons.some(rings => isInPolygon(s.lat, s.lng, rings)));
+    const values = inWard.map(s => s.aqi);
+    const meanAqi = values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+    const aqi = meanAqi ?? estimateAt(points, ward.centroid);
+
+    return {
+      ...ward,
+      aqi,
+      meanAqi,
+      maxAqi: values.length > 0 ? Math.max(...values) : null,
+      stationCount: inWard.length,
+      estimated: meanAqi === null && aqi !== null,
+      stations: inWard.map(s => ({ id: s.id, city: s.city, aqi: s.aqi })),
+    };
+  });
+}
+
+module.exports = { getExtent, aggregateWards };
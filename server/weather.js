@@ -0,0 +1,215 @@
+const alerts = require('./alerts');
+const logger = require('./logger');
+const store = require('./ingestion/store');
+const weatherStations = require('./weatherStations');
+const { getUpstream } = require('./upstream');
+
+// Current conditions and hourly forecasts for the registered weather stations, from
+// Open-Meteo (free, no API key). Shared by /api/weather and the live stream.
+const openMeteo = getUpstream('open-meteo');
+const PROVIDER = 'open-meteo';
+
+// Mapping for WMO weather codes to string descriptions and emojis
+function getWeatherInfo(code) {
+  if (code === 0) return { text: 'Clear Sky', icon: '☀️' };
+  if ([1, 2, 3].includes(code)) return { text: 'Partly Cloudy', icon: '⛅' };
+  if ([45, 48].includes(code)) return { text: 'Fog', icon: '🌫️' };
+  if ([51, 53, 55, 56, 57].includes(code)) return { text: 'Drizzle', icon: '🌦️' };
+  if ([61, 63, 65, 66, 67].includes(code)) return { text: 'Rain', icon: '🌧️' };
+  if ([71, 73, 75, 77].includes(code)) return { text: 'Snow', icon: '🌨️' };
+  if ([80, 81, 82].includes(code)) return { text: 'Rain Showers', icon: '🌦️' };
+  if ([85, 86].includes(code)) return { text: 'Snow Showers', icon: '🌨️' };
+  if ([95, 96, 99].includes(code)) return { text: 'Thunderstorm', icon: '⛈️' };
+  return { text: 'Unknown', icon: '❓' };
+}
+
+// Open-Meteo variables we ask for. Values the `current` block does not offer
+// (boundary-layer height, precipitation probability) are read from the hourly series.
+const CURRENT_VARS = 'temperature_2m,relative_humidity_2m,precipitation,weather_code,pressure_msl,wind_speed_10m,wind_direction_10m';
+const HOURLY_VARS = 'temperature_2m,relative_humidity_2m,precipitation_probability,precipitation,pressure_msl,wind_speed_10m,wind_direction_10m,boundary_layer_height';
+
+const MAX_FORECAST_DAYS = 7;
+const HOUR_MS = 60 * 60 * 1000;
+// Open-Meteo's current conditions are on a 15-minute grid, so a fresh fetch can be that old
+const CURRENT_STEP_MS = 15 * 60 * 1000;
+
+// Fetches current conditions plus `days` of hourly forecast (starting at the current hour) for one station.
+// Hourly points carry every variable; `forecast24h` is the first 24 of them. With `pastHours`,
+// the hours before the current one come back as `past`.
+async function fetchWeather(st, days, pastHours = 0) {
+  const lat = st.coordinates[1];
+  const lng = st.coordinates[0];
+
+  // One extra day so a full `days * 24` hours remain after slicing from the current hour
+  const past = pastHours > 0 ? `&past_hours=${pastHours}` : '';
+  const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lng}&current=${CURRENT_VARS}&hourly=${HOURLY_VARS}&forecast_days=${days + 1}${past}`;
+  const data = await openMeteo.getJson(url);
+
+  if (data.error) {
+    throw new Error(`Open-Meteo Error: ${data.reason}`);
+  }
+
+  // Open-meteo returns all hours for the days requested. We slice from the current hour.
+  const currentHourStr = data.current.time.slice(0, 14) + "00"; // gets "YYYY-MM-DDTHH:00"
+  let startIndex = data.hourly.time.indexOf(currentHourStr);
+  if (startIndex === -1) startIndex = 0; // fallback
+
+  const h = data.hourly;
+  const toPoint = (i) => ({
+    time: h.time[i],
+    temp: h.temperature_2m[i],
+    humidity: h.relative_humidity_2m[i],
+    precipitation: h.precipitation[i],
+    precipitationProbability: h.precipitation_probability[i],
+    pressure: h.pressure_msl[i],
+    windSpeed: h.wind_speed_10m[i],
+    windDirection: h.wind_direction_10m[i],
+    boundaryLayerHeight: h.boundary_layer_height[i],
+  });
+  const forecast = h.time.slice(startIndex, startIndex + days * 24).map((t, idx) => toPoint(startIndex + idx));
+
+  const weatherInfo = getWeatherInfo(data.current.weather_code);
+
+  return {
+    id: st.id,
+    name: st.name,
+    coordinates: st.coordinates, // [lng, lat] expected by map
+    observedAt: new Date(`${data.current.time}Z`).toISOString(),
+    stale: false,
+    temperature: data.current.temperature_2m,
+    condition: weatherInfo.text,
+    icon: weatherInfo.icon,
+    precipitation: data.current.precipitation,
+    precipitationProbability: forecast[0]?.precipitationProbability ?? null,
+    humidity: data.current.relative_humidity_2m,
+    pressure: data.current.pressure_msl,
+    windSpeed: data.current.wind_speed_10m,
+    windDirection: data.current.wind_direction_10m,
+    boundaryLayerHeight: forecast[0]?.boundaryLayerHeight ?? null,
+    units: {
+      temperature: data.current_units.temperature_2m,
+      precipitation: data.current_units.precipitation,
+      precipitationProbability: '%',
+      humidity: data.current_units.relative_humidity_2m,
+      pressure: data.current_units.pressure_msl,
+      windSpeed: data.current_units.wind_speed_10m,
+      windDirection: data.current_units.wind_direction_10m,
+      boundaryLayerHeight: data.hourly_units.boundary_layer_height,
+    },
+    forecast24h: forecast.slice(0, 24), // Trend data
+    ...(days > 1 && { forecast }),
+    ...(pastHours > 0 && { past: h.time.slice(0, startIndex).map((t, i) => toPoint(i)) }),
+  };
+}
+
+// Current conditions of a payload, or one hourly point, as a row for the weather history
+function toReading(observedAt, values) {
+  return {
+    observedAt,
+    temperature: values.temperature ?? values.temp,
+    humidity: values.humidity,
+    precipitation: values.precipitation,
+    pressure: values.pressure,
+    windSpeed: values.windSpeed,
+    windDirection: values.windDirection,
+  };
+}
+
+function saveWeather(st, weather) {
+  const observedAt = Date.parse(weather.observedAt);
+  weatherStations.saveObservation(st.id, observedAt, weather);
+  weatherStations.recordReadings(st.id, [toReading(observedAt, weather)]);
+  alerts.checkReadings('weather', [weather]);
+}
+
+// A saved payload served for now: its forecast trimmed to the hours still ahead
+function fromObservation(st, last, days) {
+  const { forecast, ...current } = last;
+  const hourStart = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  // Open-Meteo hourly times are UTC without a zone suffix
+  const upcoming = (forecast ?? last.forecast24h).filter(p => Date.parse(`${p.time}Z`) >= hourStart);
+
+  return {
+    ...current,
+    id: st.id,
+    name: st.name,
+    coordinates: st.coordinates,
+    forecast24h: upcoming.slice(0, 24),
+    ...(days > 1 && { forecast: upcoming.slice(0, days * 24) }),
+  };
+}
+
+// The last good reading for a station, marked `stale`, with its forecast trimmed to the hours still ahead.
+// Stations that never had a good reading come back with null values (`observedAt: null`).
+function lastKnownWeather(st, days) {
+  const last = weatherStations.getLastObservation(st.id);
+  if (!last) {
+    return {
+      id: st.id,
+      name: st.name,
+      coordinates: st.coordinates,
+      temperature: null,
+      condition: null,
+      icon: null,
+      observedAt: null,
+      stale: true,
+      forecast24h: []
+    };
+  }
+
+  return { ...fromObservation(st, last, days), stale: true };
+}
+
+// What the ingestion worker stored for a station, or null when it is older than `maxAgeMs` or
+// holds too little forecast for `days`
+function storedWeather(st, days, maxAgeMs) {
+  const last = weatherStations.getLastObservation(st.id);
+  if (!last || Date.now() - Date.parse(last.observedAt) > maxAgeMs + CURRENT_STEP_MS) return null;
+  if (days > 1 && !last.forecast) return null;
+  return { ...fromObservation(st, last, days), stale: false };
+}
+
+// Fresh weather for a station, falling back to its last good reading when Open-Meteo fails
+async function getWeather(st, days) {
+  try {
+    const weather = await fetchWeather(st, days);
+    saveWeather(st, weather);
+    return weather;
+  } catch (e) {
+    logger.warn('weather fetch failed, serving last known reading', { stationId: st.id, station: st.name, err: e });
+    return lastKnownWeather(st, days);
+  }
+}
+
+// Fetches and stores one station for the ingestion worker, with the full week of forecast so the
+// store can answer any `?days=`. With `since` (epoch ms), the past hours from then on are added
+// to the weather history. Returns how many past hours were filled in. Throws when Open-Meteo fails.
+async function ingestWeather(st, since = null) {
+  const pastHours = since === null ? 0 : Math.ceil((Date.now() - since) / HOUR_MS);
+  const { past = [], ...weather } = await fetchWeather(st, MAX_FORECAST_DAYS, pastHours);
+  const backfill = past
+    .map(p => toReading(Date.parse(`${p.time}Z`), p))
+    .filter(r => r.observedAt >= since);
+  weatherStations.recordReadings(st.id, backfill);
+  saveWeather(st, weather);
+  return backfill.length;
+}
+
+// `?days=` for the forecast length: 1..7, or the default when absent. Returns undefined when invalid.
+function parseDays(value, defaultDays) {
+  if (value === undefined) return defaultDays;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_FORECAST_DAYS) return undefined;
+  return days;
+}
+
+// Weather for every registered station inside `bounds` ({ south, west, north, east }). Stations
+// in a region the ingestion worker keeps up to date are served from the store.
+function listWeather(bounds, days = 1) {
+  return Promise.all(weatherStations.listStations(bounds).map(st => {
+    const region = store.findRegionAt('weather', PROVIDER, st.coordinates[1], st.coordinates[0]);
+    return (region && storedWeather(st, days, store.getMaxAge(region, 'weather'))) || getWeather(st, days);
+  }));
+}
+
+module.exports = { PROVIDER, MAX_FORECAST_DAYS, parseDays, getWeather, ingestWeather, listWeather };
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const path = require('path');
+const db = require('./db');
+const logger = require('./logger');
+const { isInBounds } = require('./geo');
+
+// Registry of weather points. Stations use the shape the map expects:
+// { id, name, region, coordinates: [lng, lat] }
+const SEED_PATH = path.join(__dirname, 'data', 'weather-stations.json');
+
+function toStation(row) {
+  return { id: row.id, name: row.name, region: row.region, coordinates: [row.lng, row.lat] };
+}
+
+const insertStation = db.prepare(`
+  INSERT INTO weather_stations (id, name, region, lat, lng, created_at, updated_at)
+  VALUES (@id, @name, @region, @lat, @lng, @now, @now)
+`);
+
+function seedIfEmpty() {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM weather_stations').get();
+  if (count > 0) return;
+
+  const seed = require(SEED_PATH);
+  const now = Date.now();
+  db.transaction(() => {
+    for (const s of seed) {
+      insertStation.run({ id: s.id, name: s.name, region: s.region ?? null, lng: s.coordinates[0], lat: s.coordinates[1], now });
+    }
+  })();
+  logger.info('seeded weather stations', { count: seed.length, file: path.basename(SEED_PATH) });
+}
+
+seedIfEmpty();
+
+// Checks a create/update payload. Returns an error message, or null when it is usable.
+// With `partial`, missing fields are allowed (PUT only changes what it is given).
+function validate(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') return 'Request body must be a JSON object.';
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) return '`name` is required.';
+  }
+  if (input.coordinates !== undefined || !partial) {
+    const c = input.coordinates;
+    if (!Array.isArray(c) || c.length !== 2 || !c.every(Number.isFinite)) {
+      return '`coordinates` must be [lng, lat].';
+    }
+    if (c[0] < -180 || c[0] > 180 || c[1] < -90 || c[1] > 90) return '`coordinates` are out of range.';
+  }
+  if (input.region !== undefined && input.region !== null && typeof input.region !== 'string') {
+    return '`region` must be a string.';
+  }
+  if (input.id !== undefined && (typeof input.id !== 'string' || !/^[\w-]{1,64}$/.test(input.id))) {
+    return '`id` may only contain letters, digits, "-" and "_".';
+  }
+  return null;
+}
+
+// All stations, or only those inside `bounds` ({ south, west, north, east })
+function listStations(bounds) {
+  const stations = db.prepare('SELECT * FROM weather_stations ORDER BY created_at, rowid').all().map(toStation);
+  if (!bounds) return stations;
+  return stations.filter(s => isInBounds(s.coordinates[1], s.coordinates[0], bounds));
+}
+
+function getStation(id) {
+  const row = db.prepare('SELECT * FROM weather_stations WHERE id = ?').get(id);
+  return row ? toStation(row) : null;
+}
+
+// Returns the new station, or null when the id is already taken
+function createStation(input) {
+  const id = input.id || `w-${crypto.randomUUID().slice(0, 8)}`;
+  if (getStation(id)) return null;
+
+  insertStation.run({
+    id,
+    name: input.name.trim(),
+    region: input.region ?? null,
+    lng: input.coordinates[0],
+    lat: input.coordinates[1],
+    now: Date.now(),
+  });
+  return getStation(id);
+}
+
+// Returns the updated station, or null when it does not exist
+function updateStation(id, input) {
+  const existing = getStation(id);
+  if (!existing) return null;
+
+  const coordinates = input.coordinates ?? existing.coordinates;
+  db.prepare(`
+    UPDATE weather_stations
+    SET name = @name, region = @region, lng = @lng, lat = @lat, updated_at = @now
+    WHERE id = @id
+  `).run({
+    id,
+    name: input.name !== undefined ? input.name.trim() : existing.name,
+    region: input.region !== undefined ? input.region : existing.region,
+    lng: coordinates[0],
+    lat: coordinates[1],
+    now: Date.now(),
+  });
+  return getStation(id);
+}
+
+// Returns false when there was nothing to delete
+function deleteStation(id) {
+  db.prepare('DELETE FROM weather_observations WHERE station_id = ?').run(id);
+  db.prepare('DELETE FROM weather_readings WHERE station_id = ?').run(id);
+  return db.prepare('DELETE FROM weather_stations WHERE id = ?').run(id).changes > 0;
+}
+
+// ─── Last-known-good observations ──────────────────────────────────
+
+// Keeps the latest successful weather payload for a station, replacing the previous one
+function saveObservation(id, observedAt, payload) {
+  db.prepare(`
+    INSERT INTO weather_observations (station_id, observed_at, payload)
+    VALUES (?, ?, ?)
+    ON CONFLICT (station_id) DO UPDATE SET observed_at = excluded.observed_at, payload = excluded.payload
+  `).run(id, observedAt, JSON.stringify(payload));
+}
+
+// The last saved payload for a station, or null if it never had a good reading
+function getLastObservation(id) {
+  const row = db.prepare('SELECT payload FROM weather_observations WHERE station_id = ?').get(id);
+  return row ? JSON.parse(row.payload) : null;
+}
+
+// ─── Hourly readings ───────────────────────────────────────────────
+
+const READING_COLUMNS = {
+  temperature: 'temperature',
+  humidity: 'humidity',
+  precipitation: 'precipitation',
+  pressure: 'pressure',
+  windSpeed: 'wind_speed',
+  windDirection: 'wind_direction',
+};
+
+const upsertReading = db.prepare(`
+  INSERT INTO weather_readings (station_id, observed_at, recorded_at, ${Object.values(READING_COLUMNS).join(', ')})
+  VALUES (@stationId, @observedAt, @recordedAt, ${Object.keys(READING_COLUMNS).map(key => `@${key}`).join(', ')})
+  ON CONFLICT (station_id, observed_at) DO UPDATE SET
+    recorded_at = excluded.recorded_at,
+    ${Object.values(READING_COLUMNS).map(column => `${column} = excluded.${column}`).join(',\n    ')}
+`);
+
+// Stores readings for one station: [{ observedAt (epoch ms), temperature, humidity,
+// precipitation, pressure, windSpeed, windDirection }]. A second reading for the same time replaces the first.
+const recordReadings = db.transaction((id, readings) => {
+  const recordedAt = Date.now();
+  for (const r of readings) {
+    if (!Number.isFinite(r.observedAt)) continue;
+    const row = { stationId: id, observedAt: r.observedAt, recordedAt };
+    for (const key of Object.keys(READING_COLUMNS)) row[key] = Number.isFinite(r[key]) ? r[key] : null;
+    upsertReading.run(row);
+  }
+});
+
+// Stored readings between from/to (epoch ms), oldest first
+function getReadings(id, from, to) {
+  const columns = Object.entries(READING_COLUMNS).map(([key, column]) => `${column} AS ${key}`);
+  return db.prepare(`
+    SELECT observed_at AS observedAt, ${columns.join(', ')}
+    FROM weather_readings
+    WHERE station_id = ? AND observed_at BETWEEN ? AND ?
+    ORDER BY observed_at
+  `).all(id, from, to).map(({ observedAt, ...values }) => ({ time: new Date(observedAt).toISOString(), ...values }));
+}
+
+module.exports = {
+  validate,
+  listStations,
+  getStation,
+  createStation,
+  updateStation,
+  deleteStation,
+  saveObservation,
+  getLastObservation,
+  recordReadings,
+  getReadings,
+};